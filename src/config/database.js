@@ -1,5 +1,9 @@
 import postgres from 'postgres';
 import dotenv from 'dotenv';
+import { LEVEL_SEVERITY, LEVEL_ALIASES, normalizeLevel } from '../services/log-levels.js';
+import { buildLogSearchSql } from '../services/log-query.js';
+import { buildMetadataFilterSql } from '../services/metadata-filter.js';
+import { HEADLINE_START, HEADLINE_STOP, renderSearchHeadline } from '../services/log-fts.js';
 
 dotenv.config();
 
@@ -44,6 +48,31 @@ const runBackgroundOptimization = async () => {
     await sql.unsafe(`
       CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_${LEGACY_TABLE_NAME}_type_level ON ${LEGACY_TABLE_NAME}(type, level)
     `);
+
+    // 멱등성 키 중복 방지
+    await sql.unsafe(`
+      CREATE UNIQUE INDEX CONCURRENTLY IF NOT EXISTS idx_${LEGACY_TABLE_NAME}_log_id ON ${LEGACY_TABLE_NAME}(log_id)
+    `);
+
+    // minLevel 조회
+    await sql.unsafe(`
+      CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_${LEGACY_TABLE_NAME}_severity ON ${LEGACY_TABLE_NAME}(severity, created_at)
+    `);
+
+    // 커서 페이지네이션 ((created_at, id) 키셋)
+    await sql.unsafe(`
+      CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_${LEGACY_TABLE_NAME}_created_at_id ON ${LEGACY_TABLE_NAME}(created_at, id)
+    `);
+
+    // meta 필터 (metadata @? jsonpath, 키 존재 조건도 쓰므로 기본 jsonb_ops)
+    await sql.unsafe(`
+      CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_${LEGACY_TABLE_NAME}_metadata_gin ON ${LEGACY_TABLE_NAME} USING GIN (metadata)
+    `);
+
+    // 전문 검색 (shiba_log_fts_document 식 인덱스)
+    await sql.unsafe(`
+      CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_${LEGACY_TABLE_NAME}_message_fts ON ${LEGACY_TABLE_NAME} USING GIN (${FTS_DOCUMENT_FUNCTION}(message))
+    `);
     
     // 기존 데이터의 created_at을 timestamp 값으로 설정 (null인 경우만)
     await sql.unsafe(`
@@ -98,7 +127,13 @@ const runBackgroundOptimization = async () => {
           trgm: `idx_${pName}_message_trgm`,
           type_level: `idx_${pName}_type_level`,
           created_at: `idx_${pName}_created_at`,
-          logged_at: `idx_${pName}_logged_at`
+          logged_at: `idx_${pName}_logged_at`,
+          log_id: `idx_${pName}_log_id`,
+          occurred_at: `idx_${pName}_occurred_at`,
+          severity: `idx_${pName}_severity`,
+          created_at_id: `idx_${pName}_created_at_id`,
+          metadata_gin: `idx_${pName}_metadata_gin`,
+          fts: `idx_${pName}_message_fts`
         };
 
         await dropInvalidIndex(indexNames.trgm);
@@ -120,10 +155,51 @@ const runBackgroundOptimization = async () => {
         await sql.unsafe(`
           CREATE INDEX CONCURRENTLY IF NOT EXISTS ${indexNames.logged_at} ON ${pName}(logged_at)
         `);
+
+        // 멱등성 키 중복 방지 (파티션 키가 timestamp이므로 부모 테이블이 아닌 파티션 단위로 UNIQUE 보장)
+        // 따라서 월 경계를 넘어 다른 파티션에 들어가는 재전송은 DB에서 걸러지지 않으며,
+        // 재시작으로 메모리의 최근 logId 목록(recentLogIds)이 비워진 뒤라면 중복 저장될 수 있다
+        await dropInvalidIndex(indexNames.log_id);
+        await sql.unsafe(`
+          CREATE UNIQUE INDEX CONCURRENTLY IF NOT EXISTS ${indexNames.log_id} ON ${pName}(log_id)
+        `);
+
+        // 클라이언트 이벤트 시각 기준 조회/정렬
+        await dropInvalidIndex(indexNames.occurred_at);
+        await sql.unsafe(`
+          CREATE INDEX CONCURRENTLY IF NOT EXISTS ${indexNames.occurred_at} ON ${pName}(occurred_at)
+        `);
+
+        // minLevel 조회 (severity 이상 + 최신순)
+        await dropInvalidIndex(indexNames.severity);
+        await sql.unsafe(`
+          CREATE INDEX CONCURRENTLY IF NOT EXISTS ${indexNames.severity} ON ${pName}(severity, created_at)
+        `);
+
+        // 커서 페이지네이션 ((created_at, id) 키셋)
+        await dropInvalidIndex(indexNames.created_at_id);
+        await sql.unsafe(`
+          CREATE INDEX CONCURRENTLY IF NOT EXISTS ${indexNames.created_at_id} ON ${pName}(created_at, id)
+        `);
+
+        // meta 필터 (metadata @? jsonpath)
+        await dropInvalidIndex(indexNames.metadata_gin);
+        await sql.unsafe(`
+          CREATE INDEX CONCURRENTLY IF NOT EXISTS ${indexNames.metadata_gin} ON ${pName} USING GIN (metadata)
+        `);
+
+        // 전문 검색
+        await dropInvalidIndex(indexNames.fts);
+        await sql.unsafe(`
+          CREATE INDEX CONCURRENTLY IF NOT EXISTS ${indexNames.fts} ON ${pName} USING GIN (${FTS_DOCUMENT_FUNCTION}(message))
+        `);
       }
       
       console.log('✅ 파티션 테이블 작업 완료 (컬럼 추가 및 인덱스 생성)');
     }
+
+    // 기존 로그의 레벨 정규화 및 severity 채우기
+    await backfillLevelSeverity();
     
     console.log('\n================================================================');
     console.log('✅ [Background] 백그라운드 인덱스 작업 완료!');
@@ -174,6 +250,185 @@ export const addTimestampFields = async () => {
   }
 };
 
+// 수집 기능 확장으로 추가된 컬럼들 (기존 테이블과 파티션 테이블 모두에 보장)
+const EXTRA_COLUMNS = [
+  { name: 'log_id', definition: 'VARCHAR(128)' }, // 로그 고유 ID (클라이언트 멱등성 키 또는 서버 생성 UUID)
+  { name: 'occurred_at', definition: 'TIMESTAMPTZ' }, // 클라이언트 이벤트 시각 (미전송 시 수신 시각)
+  { name: 'clock_skew_ms', definition: 'BIGINT' }, // 수신 시각 - 클라이언트 시각 (클라이언트가 occurredAt을 보낸 경우만)
+  { name: 'clock_skew_action', definition: 'VARCHAR(10)' }, // 허용 범위 초과 시 처리 결과 (clamped, flagged)
+  { name: 'severity', definition: 'SMALLINT' }, // 레벨의 숫자 심각도 (trace 0 ~ fatal 5, minLevel 조회용)
+  { name: 'sample_rate', definition: 'REAL' }, // 수집 시 보관 확률 (집계 시 1 / sample_rate 가중치, NULL은 1)
+  { name: 'truncated', definition: 'BOOLEAN' }, // 수집 시 길이/크기 제한으로 잘린 필드가 있는지
+  { name: 'occurrences', definition: 'INTEGER' }, // 반복 로그 묶기로 합쳐진 횟수 (NULL은 1)
+  { name: 'first_seen', definition: 'TIMESTAMPTZ' }, // 묶인 로그의 첫 수신 시각
+  { name: 'last_seen', definition: 'TIMESTAMPTZ' } // 묶인 로그의 마지막 수신 시각
+];
+
+export const ensureExtraColumns = async () => {
+  try {
+    const addColumns = EXTRA_COLUMNS
+      .map(column => `ADD COLUMN IF NOT EXISTS ${column.name} ${column.definition}`)
+      .join(',\n        ');
+
+    const tables = [LEGACY_TABLE_NAME];
+    if (USE_PARTITIONED_TABLE) {
+      tables.push(PARTITIONED_TABLE_NAME);
+    }
+
+    for (const tableName of tables) {
+      const exists = await sql`
+        SELECT tablename FROM pg_tables 
+        WHERE tablename = ${tableName} AND schemaname = 'public'
+      `;
+      if (exists.length === 0) continue;
+
+      await sql.unsafe(`
+        ALTER TABLE ${tableName}
+        ${addColumns}
+      `);
+    }
+
+    console.log(`✅ 확장 컬럼 확인 완료 (${EXTRA_COLUMNS.map(column => column.name).join(', ')})`);
+  } catch (error) {
+    console.error('❌ 확장 컬럼 추가 실패:', error);
+    throw error;
+  }
+};
+
+// 전문 검색 문서 함수 (GET /api/logs/search)
+// message를 simple 설정으로 토큰화하고 한글 구간의 2-gram을 덧붙임 ("결제실패" → 결제실패 + 결제 제실 실패)
+// 별도 tsvector 컬럼 대신 이 함수의 식 인덱스(idx_*_message_fts)를 사용 - 기존 행을 다시 쓰지 않고 CONCURRENTLY로 만들 수 있음
+// 검색어 쪽 2-gram 변환은 services/log-fts.js와 같은 규칙이어야 한다
+export const FTS_DOCUMENT_FUNCTION = 'shiba_log_fts_document';
+
+export const ensureFullTextSearch = async () => {
+  try {
+    await sql.unsafe(`
+      CREATE OR REPLACE FUNCTION ${FTS_DOCUMENT_FUNCTION}(input TEXT) RETURNS tsvector
+      LANGUAGE sql IMMUTABLE PARALLEL SAFE AS $fts$
+        SELECT to_tsvector('simple'::regconfig, coalesce(input, '') || ' ' || coalesce((
+          SELECT string_agg(substr(run, pos, 2), ' ' ORDER BY ord, pos)
+          FROM regexp_matches(coalesce(input, ''), '[가-힣]{2,}', 'g') WITH ORDINALITY AS m(match, ord),
+               LATERAL (SELECT m.match[1] AS run) r,
+               LATERAL generate_series(1, char_length(r.run) - 1) AS pos
+        ), ''))
+      $fts$
+    `);
+    console.log(`✅ 전문 검색 함수 확인 완료 (${FTS_DOCUMENT_FUNCTION})`);
+  } catch (error) {
+    console.error('❌ 전문 검색 함수 생성 실패:', error);
+    throw error;
+  }
+};
+
+// severity가 비어있는 기존 로그의 레벨을 표준 레벨로 정규화하고 severity 채우기
+// 긴 잠금을 피하기 위해 테이블(파티션)별로 작은 배치 단위로 갱신
+// 해석할 수 없는 레벨은 info로 바꾸고 원래 값은 metadata.original_level에 보존
+const LEVEL_BACKFILL_BATCH_SIZE = parseInt(process.env.LOG_LEVEL_BACKFILL_BATCH_SIZE) || 10000;
+
+export const backfillLevelSeverity = async () => {
+  const levelCase = [
+    ...Object.keys(LEVEL_SEVERITY).map(level => `WHEN '${level}' THEN '${level}'`),
+    ...Object.entries(LEVEL_ALIASES).map(([alias, level]) => `WHEN '${alias}' THEN '${level}'`)
+  ].join(' ');
+  const severityCase = Object.entries(LEVEL_SEVERITY)
+    .map(([level, severity]) => `WHEN '${level}' THEN ${severity}`)
+    .join(' ');
+  const normalizedLevel = `(CASE lower(btrim(level)) ${levelCase} ELSE NULL END)`;
+
+  const tables = await sql`
+    SELECT tablename FROM pg_tables
+    WHERE schemaname = 'public'
+    AND (tablename = ${LEGACY_TABLE_NAME} OR tablename ~ ${`^${PARTITIONED_TABLE_NAME}_[0-9]{4}_[0-9]{2}$`})
+    ORDER BY tablename
+  `;
+
+  let totalUpdated = 0;
+  for (const { tablename } of tables) {
+    let tableUpdated = 0;
+
+    for (;;) {
+      const result = await sql.unsafe(`
+        WITH target AS (
+          SELECT ctid, ${normalizedLevel} AS normalized
+          FROM ${tablename}
+          WHERE severity IS NULL
+          LIMIT ${LEVEL_BACKFILL_BATCH_SIZE}
+        )
+        UPDATE ${tablename} AS t
+        SET
+          level = COALESCE(target.normalized, 'info'),
+          severity = CASE COALESCE(target.normalized, 'info') ${severityCase} END,
+          metadata = CASE
+            WHEN target.normalized IS NULL THEN COALESCE(t.metadata, '{}'::jsonb) || jsonb_build_object('original_level', t.level)
+            ELSE t.metadata
+          END
+        FROM target
+        WHERE t.ctid = target.ctid
+      `);
+
+      tableUpdated += result.count;
+      if (result.count < LEVEL_BACKFILL_BATCH_SIZE) break;
+    }
+
+    if (tableUpdated > 0) {
+      console.log(`🏷️  ${tablename}: 레벨 정규화/severity 채우기 ${tableUpdated}개`);
+    }
+    totalUpdated += tableUpdated;
+  }
+
+  console.log(`✅ 레벨 severity 백필 완료 (${totalUpdated}개 갱신)`);
+  return totalUpdated;
+};
+
+// 로그 type별 metadata JSON Schema 저장 테이블
+const METADATA_SCHEMA_TABLE_NAME = 'log_metadata_schemas';
+
+export const ensureMetadataSchemaTable = async () => {
+  await sql.unsafe(`
+    CREATE TABLE IF NOT EXISTS ${METADATA_SCHEMA_TABLE_NAME} (
+      type VARCHAR(50) PRIMARY KEY,
+      schema JSONB NOT NULL,
+      mode VARCHAR(10) NOT NULL DEFAULT 'warn',
+      description TEXT,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+};
+
+export const loadMetadataSchemas = async () => {
+  await ensureMetadataSchemaTable();
+  return sql`
+    SELECT type, schema, mode, description, created_at, updated_at
+    FROM ${sql(METADATA_SCHEMA_TABLE_NAME)}
+    ORDER BY type
+  `;
+};
+
+export const upsertMetadataSchema = async ({ type, schema, mode, description = null }) => {
+  const [row] = await sql`
+    INSERT INTO ${sql(METADATA_SCHEMA_TABLE_NAME)} (type, schema, mode, description)
+    VALUES (${type}, ${sql.json(schema)}, ${mode}, ${description})
+    ON CONFLICT (type) DO UPDATE SET
+      schema = EXCLUDED.schema,
+      mode = EXCLUDED.mode,
+      description = EXCLUDED.description,
+      updated_at = NOW()
+    RETURNING type, schema, mode, description, created_at, updated_at
+  `;
+  return row;
+};
+
+export const deleteMetadataSchema = async (type) => {
+  const rows = await sql`
+    DELETE FROM ${sql(METADATA_SCHEMA_TABLE_NAME)}
+    WHERE type = ${type}
+    RETURNING type
+  `;
+  return rows.length > 0;
+};
+
 // 모든 파티션 테이블에 새로운 시간 필드 추가
 export const migrateAllPartitions = async () => {
   try {
@@ -233,6 +488,26 @@ export const migrateAllPartitions = async () => {
         await sql.unsafe(`
           CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_${tableName}_logged_at ON ${tableName}(logged_at)
         `);
+
+        // 멱등성 키 중복 방지 (파티션 단위 UNIQUE)
+        await sql.unsafe(`
+          CREATE UNIQUE INDEX CONCURRENTLY IF NOT EXISTS idx_${tableName}_log_id ON ${tableName}(log_id)
+        `);
+        await sql.unsafe(`
+          CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_${tableName}_occurred_at ON ${tableName}(occurred_at)
+        `);
+        await sql.unsafe(`
+          CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_${tableName}_severity ON ${tableName}(severity, created_at)
+        `);
+        await sql.unsafe(`
+          CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_${tableName}_created_at_id ON ${tableName}(created_at, id)
+        `);
+        await sql.unsafe(`
+          CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_${tableName}_metadata_gin ON ${tableName} USING GIN (metadata)
+        `);
+        await sql.unsafe(`
+          CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_${tableName}_message_fts ON ${tableName} USING GIN (${FTS_DOCUMENT_FUNCTION}(message))
+        `);
         
         console.log(`✅ ${tableName} 마이그레이션 완료`);
         
@@ -257,7 +532,9 @@ export const createPartitionTable = async () => {
       console.log('ℹ️  파티션 테이블 사용 안함 - 기존 테이블 사용');
       console.log(`📋 현재 사용 테이블: ${LEGACY_TABLE_NAME}`);
       
-      // 시간 필드 추가
+      // 시간 필드 및 확장 컬럼 추가
+      await ensureExtraColumns();
+      await ensureFullTextSearch();
       await addTimestampFields();
       
       // 기존 테이블에 인덱스 추가
@@ -302,12 +579,26 @@ export const createPartitionTable = async () => {
           type VARCHAR(50) NOT NULL,
           message TEXT NOT NULL,
           metadata JSONB,
+          log_id VARCHAR(128),
+          occurred_at TIMESTAMPTZ,
+          clock_skew_ms BIGINT,
+          clock_skew_action VARCHAR(10),
+          severity SMALLINT,
+          sample_rate REAL,
+          truncated BOOLEAN,
+          occurrences INTEGER,
+          first_seen TIMESTAMPTZ,
+          last_seen TIMESTAMPTZ,
           PRIMARY KEY (timestamp, id)
         ) PARTITION BY RANGE (timestamp)
       `);
       console.log('✅ 파티션 테이블 생성 완료 (created_at, logged_at 필드 포함)');
     }
 
+    // 기존 파티션 테이블에 확장 컬럼 보장
+    await ensureExtraColumns();
+    await ensureFullTextSearch();
+
     // 파티션 테이블 인덱스 생성
     await sql.unsafe(`
       CREATE INDEX IF NOT EXISTS idx_${PARTITIONED_TABLE_NAME}_timestamp ON ${PARTITIONED_TABLE_NAME}(timestamp)
@@ -432,6 +723,27 @@ export const createMonthlyPartition = async (date) => {
     `);
     
     console.log(`✅ 새 파티션 생성: ${partitionName} (${startDate.toISOString().split('T')[0]} ~ ${endDate.toISOString().split('T')[0]})`);
+
+    // 빈 파티션이므로 확장 컬럼 인덱스를 바로 생성 (기존 파티션은 백그라운드에서 CONCURRENTLY 생성)
+    // log_id UNIQUE는 이 파티션 안에서만 보장됨 (다른 달 파티션과의 중복은 메모리 중복 검사에만 의존)
+    await sql.unsafe(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_${partitionName}_log_id ON ${partitionName}(log_id)
+    `);
+    await sql.unsafe(`
+      CREATE INDEX IF NOT EXISTS idx_${partitionName}_occurred_at ON ${partitionName}(occurred_at)
+    `);
+    await sql.unsafe(`
+      CREATE INDEX IF NOT EXISTS idx_${partitionName}_severity ON ${partitionName}(severity, created_at)
+    `);
+    await sql.unsafe(`
+      CREATE INDEX IF NOT EXISTS idx_${partitionName}_created_at_id ON ${partitionName}(created_at, id)
+    `);
+    await sql.unsafe(`
+      CREATE INDEX IF NOT EXISTS idx_${partitionName}_metadata_gin ON ${partitionName} USING GIN (metadata)
+    `);
+    await sql.unsafe(`
+      CREATE INDEX IF NOT EXISTS idx_${partitionName}_message_fts ON ${partitionName} USING GIN (${FTS_DOCUMENT_FUNCTION}(message))
+    `);
     
     // 새로 생성된 파티션 구조 검증
     await verifyPartitionStructure(partitionName);
@@ -483,50 +795,161 @@ export const getPartitionList = async () => {
   }
 };
 
-// 로그 삽입 함수 (트랜잭션 비활성화: 즉시 커밋)
+
+// 버퍼 로그를 DB 행으로 정규화
+// type은 수집 단계에서 제한되지만, 스풀에서 복구된 이전 로그 등이 배치 전체를 실패시키지 않도록 한 번 더 자름
+const TYPE_MAX_LENGTH = 50;
+
+const toInsertRow = (raw) => {
+  const type = String(raw.type || '').trim();
+  return {
+    log_id: raw.logId || null,
+    level: normalizeLevel(raw.level) ?? 'info',
+    severity: LEVEL_SEVERITY[normalizeLevel(raw.level) ?? 'info'],
+    type: type.slice(0, TYPE_MAX_LENGTH),
+    message: String(raw.message || '').trim(),
+    metadata: raw.metadata === undefined ? null : raw.metadata,
+    created_at: raw.createdAt ? new Date(raw.createdAt) : new Date(),
+    logged_at: new Date(),
+    occurred_at: raw.occurredAt != null ? new Date(raw.occurredAt) : (raw.createdAt ? new Date(raw.createdAt) : new Date()),
+    clock_skew_ms: Number.isFinite(raw.clockSkewMs) ? Math.round(raw.clockSkewMs) : null,
+    clock_skew_action: raw.clockSkewAction || null,
+    sample_rate: Number.isFinite(raw.sampleRate) ? raw.sampleRate : 1,
+    truncated: raw.truncated === true || type.length > TYPE_MAX_LENGTH,
+    occurrences: Number.isInteger(raw.occurrences) ? raw.occurrences : 1,
+    first_seen: raw.firstSeen ? new Date(raw.firstSeen) : null,
+    last_seen: raw.lastSeen ? new Date(raw.lastSeen) : null
+  };
+};
+
+const INSERT_COLUMNS = ['log_id', 'level', 'severity', 'type', 'message', 'metadata', 'created_at', 'logged_at', 'occurred_at', 'clock_skew_ms', 'clock_skew_action', 'sample_rate', 'truncated', 'occurrences', 'first_seen', 'last_seen'];
+
+// 한 번의 INSERT 문에 담을 최대 행 수 (파라미터 한도 65535 / 컬럼 수 이내)
+const INSERT_CHUNK_SIZE = Math.min(
+  parseInt(process.env.LOG_INSERT_CHUNK_SIZE) || 1000,
+  Math.floor(65535 / INSERT_COLUMNS.length)
+);
+
+// 다중 행 INSERT 실패 후 행 단위로 다시 넣을 때 동시에 보낼 INSERT 수 (연결 풀 max 20 중 일부만 사용)
+// 1000행을 하나씩 순서대로 보내면 왕복 시간만으로 배치 타임아웃을 넘기기 쉬움
+const ROW_INSERT_CONCURRENCY = Math.min(Math.max(parseInt(process.env.LOG_ROW_INSERT_CONCURRENCY) || 8, 1), 16);
+
+// 특정 행의 데이터 때문에 발생한 에러인지 판별 (SQLSTATE 22xxx: 데이터 예외, 23xxx: 제약 조건 위반)
+const isRowLevelError = (error) => {
+  return typeof error?.code === 'string' && (error.code.startsWith('22') || error.code.startsWith('23'))
+};
+
+// INSERT 한 문장에 허용하는 최대 시간
+// 서버에서는 트랜잭션 안의 SET LOCAL statement_timeout으로 잠금 대기 등을 끊고(SQLSTATE 57014),
+// 응답이 오지 않는 반쯤 끊긴 연결은 클라이언트 쪽 기한(약간의 여유 포함)으로 끊는다
+// 어느 쪽이든 행과 무관한 에러로 던져져 배치 전체가 재시도됨 (log_id ON CONFLICT DO NOTHING이라 이미 커밋된 행은 중복으로만 보고됨)
+const INSERT_STATEMENT_TIMEOUT_MS = Math.max(parseInt(process.env.LOG_INSERT_STATEMENT_TIMEOUT_MS) || 5000, 100);
+const INSERT_CLIENT_GRACE_MS = 2000;
+
+const insertWithTimeout = (currentTable, rows) => {
+  let timer
+  const deadline = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`로그 INSERT가 ${INSERT_STATEMENT_TIMEOUT_MS + INSERT_CLIENT_GRACE_MS}ms 안에 끝나지 않았습니다`)
+      error.code = 'INSERT_TIMEOUT'
+      reject(error)
+    }, INSERT_STATEMENT_TIMEOUT_MS + INSERT_CLIENT_GRACE_MS)
+  })
+  const insertPromise = sql.begin(async tx => {
+    await tx.unsafe(`SET LOCAL statement_timeout = ${INSERT_STATEMENT_TIMEOUT_MS}`)
+    return tx`
+      INSERT INTO ${tx(currentTable)} ${tx(rows, ...INSERT_COLUMNS)}
+      ON CONFLICT DO NOTHING
+      RETURNING log_id
+    `
+  })
+  // 기한을 넘긴 뒤 늦게 실패하더라도 처리되지 않은 rejection이 되지 않도록 함
+  insertPromise.catch(() => {})
+  return Promise.race([insertPromise, deadline]).finally(() => clearTimeout(timer))
+};
+
+// 로그 삽입 함수 (다중 행 INSERT, 청크 단위 즉시 커밋)
+// - 청크 전체를 하나의 INSERT 문으로 저장 (1000개 = 1회 왕복, 문장마다 INSERT_STATEMENT_TIMEOUT_MS 제한)
+// - 청크 INSERT가 실패하면 해당 청크만 행 단위로 다시 넣어 실패한 행을 분리
+// - log_id가 이미 저장된 로그는 ON CONFLICT DO NOTHING으로 건너뜀 (재시도/중복 전송 방지)
+// 반환값: { inserted: 저장된 행 수, duplicates: [log], failed: [{ log, error }] }
 export const batchInsert = async (logs) => {
-  if (!logs || logs.length === 0) return []
+  if (!logs || logs.length === 0) return { inserted: 0, duplicates: [], failed: [] }
 
-  try {
-    const currentTable = getCurrentTableName()
+  const currentTable = getCurrentTableName()
 
-    // 파티션 테이블 사용 시 월별 파티션을 먼저 보장
-    if (USE_PARTITIONED_TABLE) {
-      await ensureCurrentMonthPartition()
-    }
-
-    // 1) 입력값 정규화 & 개별 INSERT (즉시 커밋)
-    const results = []
-    for (const raw of logs) {
-      const level = typeof raw.level === 'string' && raw.level.trim() !== '' ? raw.level.trim() : 'info'
-      const type = String(raw.type || '').trim()
-      const message = String(raw.message || '').trim()
-      const metadata = raw.metadata === undefined ? null : raw.metadata
-
-      const createdAt = raw.createdAt ? new Date(raw.createdAt) : new Date()
-      const loggedAt = new Date()
-
-      const res = await sql`
-        INSERT INTO ${sql(currentTable)}
-          (level, type, message, metadata, created_at, logged_at)
-        VALUES (
-          ${level},
-          ${type},
-          ${message},
-          ${metadata},
-          ${createdAt},
-          ${loggedAt}
-        )
-      `
-      results.push(res)
+  // 파티션 테이블 사용 시 월별 파티션을 먼저 보장
+  if (USE_PARTITIONED_TABLE) {
+    await ensureCurrentMonthPartition()
+  }
+
+  let inserted = 0
+  const duplicates = []
+  const failed = []
+
+  for (let i = 0; i < logs.length; i += INSERT_CHUNK_SIZE) {
+    const chunk = logs.slice(i, i + INSERT_CHUNK_SIZE)
+    const rows = chunk.map(toInsertRow)
+
+    try {
+      const insertedRows = await insertWithTimeout(currentTable, rows)
+      inserted += insertedRows.length
+
+      if (insertedRows.length < rows.length) {
+        const insertedIds = new Set(insertedRows.map(row => row.log_id))
+        chunk.forEach(log => {
+          if (!insertedIds.has(log.logId)) duplicates.push(log)
+        })
+      }
+    } catch (chunkError) {
+      // 연결 장애 등 행과 무관한 에러는 그대로 던져 배치 전체를 재시도
+      if (!isRowLevelError(chunkError)) {
+        console.error('❌ 로그 저장 실패:', chunkError)
+        throw chunkError
+      }
+
+      console.warn(`⚠️ 다중 행 INSERT 실패 (${chunkError.message}) - ${rows.length}개 행을 개별 저장으로 재시도`)
+
+      // 행마다 하나씩 ROW_INSERT_CONCURRENCY개를 동시에 처리 (행과 무관한 에러가 나면 남은 행은 보내지 않고 던짐)
+      let nextRow = 0
+      let fatalError = null
+      const insertRows = async () => {
+        while (nextRow < rows.length && !fatalError) {
+          const j = nextRow++
+          try {
+            const insertedRows = await insertWithTimeout(currentTable, [rows[j]])
+            if (insertedRows.length > 0) {
+              inserted++
+            } else {
+              duplicates.push(chunk[j])
+            }
+          } catch (rowError) {
+            if (!isRowLevelError(rowError)) {
+              fatalError = fatalError || rowError
+              return
+            }
+            failed.push({ log: chunk[j], error: rowError })
+          }
+        }
+      }
+
+      await Promise.all(Array.from({ length: Math.min(ROW_INSERT_CONCURRENCY, rows.length) }, insertRows))
+      if (fatalError) {
+        console.error('❌ 로그 저장 실패:', fatalError)
+        throw fatalError
+      }
     }
+  }
 
-    // console.log(`✅ 로그 ${logs.length}개 저장 완료 (개별 INSERT)`) - 너무 시끄러워서 주석 처리
-    return results
-  } catch (error) {
-    console.error('❌ 로그 저장 실패:', error)
-    throw error
+  if (failed.length > 0) {
+    console.warn(`⚠️ 로그 ${logs.length}개 중 ${failed.length}개 행 저장 실패`)
   }
+
+  if (duplicates.length > 0) {
+    console.log(`♻️ 이미 저장된 로그 ${duplicates.length}개 건너뜀 (log_id 중복)`)
+  }
+
+  return { inserted, duplicates, failed }
 };
 
 // 로그 조회 함수
@@ -557,11 +980,51 @@ const getEstimatedCount = async (tableName) => {
   }
 };
 
+// 조건에 맞는 로그 수 - Hybrid Approach (1,000개까지 정확 + 그 이상은 EXPLAIN 추정)
+// 반환값: { count, estimated }
+const countFilteredLogs = async (tableName, whereClause, params) => {
+  // 1. 먼저 1,000개까지만 세어봄 (매우 빠름)
+  const exactCountLimit = 1000;
+  const exactCount = await sql.unsafe(`
+    SELECT COUNT(*) as count
+    FROM (
+      SELECT 1
+      FROM ${tableName}
+      ${whereClause}
+      LIMIT ${exactCountLimit}
+    ) as sub
+  `, params).then(res => parseInt(res[0].count));
+
+  if (exactCount < exactCountLimit) {
+    // 1,000개 미만이면 정확한 개수 반환
+    return { count: exactCount, estimated: false };
+  }
+
+  // 1,000개 이상이면 EXPLAIN을 사용하여 전체 개수 추정 (0ms)
+  // EXPLAIN 결과에서 rows=N 부분을 파싱
+  const res = await sql.unsafe(`
+    EXPLAIN (FORMAT JSON)
+    SELECT *
+    FROM ${tableName}
+    ${whereClause}
+  `, params);
+  try {
+    const plan = res[0]['QUERY PLAN'][0]['Plan'];
+    const estimatedRows = plan['Plan Rows'];
+    // 추정치가 1,000보다 작게 나올 수도 있으므로 보정
+    return { count: Math.max(exactCountLimit, estimatedRows), estimated: true };
+  } catch (e) {
+    console.warn('EXPLAIN 파싱 실패, 기본값 반환', e);
+    return { count: exactCountLimit, estimated: true };
+  }
+};
+
 // 로그 조회 함수 (최적화됨)
 export const queryLogs = async (filters = {}) => {
   const {
     type,
     level,
+    minLevel, // 지정 레벨 이상 (severity 컬럼 기준)
     message,
     startDate,
     endDate,
@@ -569,9 +1032,16 @@ export const queryLogs = async (filters = {}) => {
     metadata,
     limit = 50,
     offset = 0,
-    reverse = false
+    reverse = false,
+    timeField = 'created_at', // 'created_at'(서버 수신 시각) 또는 'occurred_at'(클라이언트 이벤트 시각)
+    cursor = null, // 키셋 페이지네이션 기준 키 (log-cursor.js, created_at 기준일 때만) - 정렬 방향으로 이 키 다음 행부터 조회
+    query = null, // q 검색 쿼리 AST (log-query.js parseLogSearchQuery 결과)
+    metaFilters = [] // metadata 필드 조건 (metadata-filter.js parseMetadataFilter 결과, AND)
   } = filters;
 
+  // 컬럼명이 SQL에 직접 들어가므로 허용 목록으로 제한
+  const timeColumn = timeField === 'occurred_at' ? 'occurred_at' : 'created_at';
+
   try {
     const currentTable = getCurrentTableName();
     let conditions = [];
@@ -585,18 +1055,22 @@ export const queryLogs = async (filters = {}) => {
     }
     if (level) {
       conditions.push(`level = $${paramIndex++}`);
-      params.push(level);
+      params.push(normalizeLevel(level) ?? level);
+    }
+    if (minLevel) {
+      conditions.push(`severity >= $${paramIndex++}`);
+      params.push(LEVEL_SEVERITY[normalizeLevel(minLevel)] ?? LEVEL_SEVERITY.info);
     }
     if (message) {
       conditions.push(`message ILIKE $${paramIndex++}`);
       params.push(`%${message}%`);
     }
     if (startDate) {
-      conditions.push(`created_at >= $${paramIndex++}`);
+      conditions.push(`${timeColumn} >= $${paramIndex++}`);
       params.push(startDate);
     }
     if (endDate) {
-      conditions.push(`created_at <= $${paramIndex++}`);
+      conditions.push(`${timeColumn} <= $${paramIndex++}`);
       params.push(endDate);
     }
     if (userId) {
@@ -607,8 +1081,43 @@ export const queryLogs = async (filters = {}) => {
       conditions.push(`metadata::text ILIKE $${paramIndex++}`);
       params.push(`%${metadata}%`);
     }
+    if (metaFilters.length > 0) {
+      // jsonpath(@?) 조건이라 metadata GIN 인덱스(idx_*_metadata_gin)를 탐
+      const metaCondition = buildMetadataFilterSql(metaFilters, paramIndex);
+      conditions.push(metaCondition.clause);
+      params.push(...metaCondition.params);
+      paramIndex += metaCondition.params.length;
+    }
+    if (query) {
+      const search = buildLogSearchSql(query, paramIndex);
+      conditions.push(search.clause);
+      params.push(...search.params);
+      paramIndex += search.params.length;
+    }
 
     const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    // 커서 조건은 데이터 조회에만 적용 (카운트는 필터 전체 기준)
+    // (created_at, id) 행 비교로 idx_*_created_at_id 인덱스를 탐
+    let dataWhereClause = whereClause;
+    const dataParams = [...params];
+    if (cursor) {
+      const cursorTime = `(TIMESTAMPTZ 'epoch' + $${paramIndex++}::bigint * INTERVAL '1 microsecond')`;
+      dataParams.push(String(cursor.us));
+      let cursorCondition;
+      if (cursor.source === 'database') {
+        cursorCondition = `(created_at, id) ${reverse ? '>' : '<'} (${cursorTime}, $${paramIndex++}::bigint)`;
+        dataParams.push(cursor.id);
+      } else if (reverse) {
+        // 메모리 로그 키는 같은 created_at의 DB 로그보다 크다
+        cursorCondition = `created_at > ${cursorTime}`;
+      } else {
+        // 커서 로그가 그 사이 저장되었으면 제외
+        cursorCondition = `created_at <= ${cursorTime} AND log_id IS DISTINCT FROM $${paramIndex++}`;
+        dataParams.push(cursor.logId ?? null);
+      }
+      dataWhereClause = `WHERE ${[...conditions, `(${cursorCondition})`].join(' AND ')}`;
+    }
     
     // 1. 데이터 조회 쿼리 (LIMIT 적용으로 빠름)
     // 인덱스를 타게 하기 위해 단순 조회로 변경
@@ -619,7 +1128,10 @@ export const queryLogs = async (filters = {}) => {
     
     // reverse 옵션에 따른 정렬 방향 결정
     const sortDirection = reverse ? 'ASC' : 'DESC';
-    let orderByClause = `ORDER BY created_at ${sortDirection}, logged_at ${sortDirection}`;
+    // occurred_at이 없는 과거 데이터는 항상 뒤쪽에 배치
+    let orderByClause = timeColumn === 'occurred_at'
+      ? `ORDER BY occurred_at ${sortDirection} NULLS LAST, created_at ${sortDirection}, id ${sortDirection}`
+      : `ORDER BY created_at ${sortDirection}, id ${sortDirection}`;
     
     // if (message || metadata) {
     //   orderByClause = "ORDER BY (created_at + INTERVAL '0 seconds') DESC, logged_at DESC";
@@ -631,60 +1143,42 @@ export const queryLogs = async (filters = {}) => {
         timestamp,
         created_at,
         logged_at,
+        occurred_at,
+        clock_skew_ms,
+        clock_skew_action,
         level,
+        severity,
+        sample_rate,
+        truncated,
+        occurrences,
+        first_seen,
+        last_seen,
         type,
         message,
-        metadata
+        metadata,
+        -- 커서용 마이크로초 (EXTRACT(EPOCH)가 double인 PG 버전에서도 정확하도록 초/마이크로초를 나눠 계산)
+        (EXTRACT(EPOCH FROM date_trunc('second', created_at))::bigint * 1000000 + EXTRACT(MICROSECONDS FROM created_at)::bigint % 1000000) AS cursor_us
       FROM ${currentTable}
-      ${whereClause}
+      ${dataWhereClause}
       ${orderByClause}
       LIMIT $${paramIndex++}
       OFFSET $${paramIndex++}
-    `, [...params, limit, offset]);
+    `, [...dataParams, limit, offset]);
 
     // 2. 카운트 쿼리 (성능을 위해 최대 10,000개까지만 카운트)
     let countQuery;
+    let totalEstimated = false; // 카운트가 추정치인지 (통계 또는 EXPLAIN 기반)
     
     // 필터가 없는 경우: 통계 기반 추정치 사용 (초고속)
     if (conditions.length === 0) {
       countQuery = getEstimatedCount(currentTable);
+      totalEstimated = true;
     } else {
       // 필터가 있는 경우: Hybrid Approach (1,000개까지 정확 + 그 이상은 EXPLAIN 추정)
-      // 1. 먼저 1,000개까지만 세어봄 (매우 빠름)
-      const exactCountLimit = 1000;
-      const exactCount = await sql.unsafe(`
-        SELECT COUNT(*) as count
-        FROM (
-          SELECT 1
-          FROM ${currentTable}
-          ${whereClause}
-          LIMIT ${exactCountLimit}
-        ) as sub
-      `, params).then(res => parseInt(res[0].count));
-
-      if (exactCount < exactCountLimit) {
-        // 1,000개 미만이면 정확한 개수 반환
-        countQuery = Promise.resolve(exactCount);
-      } else {
-        // 1,000개 이상이면 EXPLAIN을 사용하여 전체 개수 추정 (0ms)
-        // EXPLAIN 결과에서 rows=N 부분을 파싱
-        countQuery = sql.unsafe(`
-          EXPLAIN (FORMAT JSON)
-          SELECT *
-          FROM ${currentTable}
-          ${whereClause}
-        `, params).then(res => {
-          try {
-            const plan = res[0]['QUERY PLAN'][0]['Plan'];
-            const estimatedRows = plan['Plan Rows'];
-            // 추정치가 1,000보다 작게 나올 수도 있으므로 보정
-            return Math.max(exactCountLimit, estimatedRows);
-          } catch (e) {
-            console.warn('EXPLAIN 파싱 실패, 기본값 반환', e);
-            return exactCountLimit;
-          }
-        });
-      }
+      countQuery = countFilteredLogs(currentTable, whereClause, params).then(({ count, estimated }) => {
+        totalEstimated = estimated;
+        return count;
+      });
     }
 
     // 병렬 실행
@@ -708,6 +1202,10 @@ export const queryLogs = async (filters = {}) => {
       rows[0] = firstRow;
     }
 
+    // 빈 결과에서도 전체 개수를 알 수 있도록 배열에도 붙여 둠
+    rows.totalCount = Number(totalCount);
+    rows.totalEstimated = totalEstimated;
+
     return rows;
 
   } catch (error) {
@@ -716,6 +1214,105 @@ export const queryLogs = async (filters = {}) => {
   }
 };
 
+// ts_headline 옵션 (검색어 강조 <mark>, 긴 메시지는 일치 구간 위주로 최대 2조각)
+// 강조는 구분자 문자로 받은 뒤 renderSearchHeadline에서 HTML 이스케이프와 함께 <mark>로 바꾼다
+const SEARCH_HEADLINE_OPTIONS = `StartSel="${HEADLINE_START}", StopSel="${HEADLINE_STOP}", MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "`;
+
+// 전문 검색 (GET /api/logs/search)
+// tsquery: services/log-fts.js buildSearchTsQuery 결과 (to_tsquery('simple') 문법)
+// terms: 같은 결과의 terms (ts_headline이 강조하지 못하는 한글 부분 일치를 강조할 때 사용)
+// order: 'relevance'(ts_rank_cd 내림차순, 같으면 최신순) 또는 'time'(최신순)
+// 반환값: { rows (rank, HTML 이스케이프된 headline 포함), total, totalEstimated }
+export const searchLogs = async (filters = {}) => {
+  const {
+    tsquery,
+    terms = [],
+    type,
+    level,
+    minLevel,
+    startDate,
+    endDate,
+    limit = 50,
+    offset = 0,
+    order = 'relevance'
+  } = filters;
+
+  try {
+    const currentTable = getCurrentTableName();
+    const document = `${FTS_DOCUMENT_FUNCTION}(message)`;
+    const params = [tsquery];
+    let paramIndex = 2;
+    // 식 인덱스(idx_*_message_fts)를 타도록 인덱스와 같은 식으로 비교
+    const query = `to_tsquery('simple', $1)`;
+    const conditions = [`${document} @@ ${query}`];
+
+    if (type) {
+      conditions.push(`type = $${paramIndex++}`);
+      params.push(type);
+    }
+    if (level) {
+      conditions.push(`level = $${paramIndex++}`);
+      params.push(normalizeLevel(level) ?? level);
+    }
+    if (minLevel) {
+      conditions.push(`severity >= $${paramIndex++}`);
+      params.push(LEVEL_SEVERITY[normalizeLevel(minLevel)] ?? LEVEL_SEVERITY.info);
+    }
+    if (startDate) {
+      conditions.push(`created_at >= $${paramIndex++}`);
+      params.push(startDate);
+    }
+    if (endDate) {
+      conditions.push(`created_at <= $${paramIndex++}`);
+      params.push(endDate);
+    }
+
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+    const orderColumns = order === 'time' ? ['created_at', 'id'] : ['rank', 'created_at', 'id'];
+    const orderBy = (alias) => `ORDER BY ${orderColumns.map(column => `${alias}${column} DESC`).join(', ')}`;
+
+    // 순위는 일치하는 행 전체에 대해 계산하고, 비용이 큰 ts_headline은 잘라낸 페이지에만 적용
+    const dataQuery = sql.unsafe(`
+      SELECT page.*, ts_headline('simple', translate(page.message, $${paramIndex++}, ''), ${query}, $${paramIndex++}) AS headline
+      FROM (
+        SELECT
+          id,
+          log_id,
+          created_at,
+          logged_at,
+          occurred_at,
+          level,
+          severity,
+          type,
+          message,
+          metadata,
+          occurrences,
+          ts_rank_cd(${document}, ${query}, 32) AS rank
+        FROM ${currentTable}
+        ${whereClause}
+        ${orderBy('')}
+        LIMIT $${paramIndex++}
+        OFFSET $${paramIndex++}
+      ) page
+      ${orderBy('page.')}
+    `, [...params, HEADLINE_START + HEADLINE_STOP, SEARCH_HEADLINE_OPTIONS, limit, offset]);
+
+    const [rows, { count, estimated }] = await Promise.all([
+      dataQuery,
+      countFilteredLogs(currentTable, whereClause, params)
+    ]);
+
+    rows.forEach(row => {
+      row.headline = renderSearchHeadline(row.headline, terms);
+    });
+
+    return { rows, total: count, totalEstimated: estimated };
+  } catch (error) {
+    console.error('❌ 전문 검색 실패:', error);
+    throw error;
+  }
+};
+
 // 데이터 정리 함수 (사용자가 원하지 않으므로 비활성화)
 export const cleanupOldData = async (monthsToKeep = 6) => {
   console.log(`ℹ️  데이터 정리 기능이 호출되었지만 실행하지 않습니다 (데이터 보호)`);
@@ -969,7 +1566,9 @@ export const autoRepairSystem = async () => {
   console.log('🔧 시스템 자동 복구 시작...');
   
   try {
-    // 1. 시간 필드 추가
+    // 1. 시간 필드, 확장 컬럼 및 전문 검색 함수 추가
+    await ensureExtraColumns();
+    await ensureFullTextSearch();
     await addTimestampFields();
     
     // 2. 모든 파티션 마이그레이션
@@ -21,6 +21,37 @@ const options = {
           in: 'header',
           name: 'x-api-key',
           description: 'API 키를 x-api-key 헤더에 포함시켜 주세요. 서버는 키 로테이션을 위해 SHIBA_LOG_API_KEY 또는 SHIBA_LOG_API_KEY2와 일치하는 키를 허용합니다.'
+        },
+        SchemaAdminKey: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'x-admin-key',
+          description: 'metadata 스키마 등록/삭제용 관리자 키 (SCHEMA_ADMIN_API_KEY). 수집용 API 키와 별도로 필요합니다.'
+        }
+      },
+      responses: {
+        Overloaded: {
+          description: '서버 버퍼 한도 초과 (Retry-After 헤더의 초 이후 재시도)',
+          headers: {
+            'Retry-After': {
+              schema: { type: 'integer' },
+              description: '재시도까지 기다릴 시간 (초)'
+            }
+          },
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/ErrorResponse' }
+            }
+          }
+        }
+      },
+      parameters: {
+        IdempotencyKey: {
+          in: 'header',
+          name: 'Idempotency-Key',
+          required: false,
+          schema: { type: 'string' },
+          description: '재전송 중복 방지용 키. 배치/스트림에서는 항목 위치가 덧붙여져 항목별 logId로 사용됩니다 (항목에 logId가 있으면 그 값을 우선 사용). 큰따옴표로 감싼 값은 따옴표를 벗겨 사용하며, logId 형식(영문, 숫자, ._:-, 128자 이하)에 맞지 않는 키는 idem:<해시> 형태로 바뀝니다.'
         }
       },
       schemas: {
@@ -30,24 +61,40 @@ const options = {
           properties: {
             type: {
               type: 'string',
-              description: '로그 타입',
+              maxLength: 50,
+              description: '로그 타입 (50자를 넘으면 LOG_FIELD_LIMIT_POLICY에 따라 잘라서 저장하거나 거부)',
               example: 'user_action'
             },
             message: {
               type: 'string',
-              description: '로그 메시지',
+              description: '로그 메시지 (LOG_MAX_MESSAGE_LENGTH, 기본 32768자를 넘으면 잘라서 저장하거나 거부)',
               example: '사용자가 로그인했습니다'
             },
             level: {
               type: 'string',
-              enum: ['debug', 'info', 'warn', 'error'],
-              description: '로그 레벨',
+              enum: ['trace', 'debug', 'info', 'warn', 'error', 'fatal'],
+              description: '로그 레벨. 대소문자 구분 없이 err, warning, critical 등의 별칭도 받아 표준 레벨로 저장합니다 (해석할 수 없는 값은 기본적으로 info로 저장하고 원래 값을 metadata.original_level에 보존하며, LOG_UNKNOWN_LEVEL_POLICY=reject면 거부).',
               example: 'info',
               default: 'info'
             },
+            occurredAt: {
+              oneOf: [
+                { type: 'string', format: 'date-time' },
+                { type: 'integer', description: 'epoch 밀리초' }
+              ],
+              description: '클라이언트에서 이벤트가 발생한 시각 (오프라인 전송 대비). 서버 수신 시각(created_at)과 별도로 저장되며, 허용 범위를 벗어나면 LOG_CLOCK_SKEW_POLICY(clamp/reject/flag)에 따라 처리됩니다. 0001-01-01 ~ 9999-12-31 밖의 값은 정책과 관계없이 INVALID_OCCURRED_AT으로 거부됩니다.',
+              example: '2024-01-01T00:00:00.000Z'
+            },
+            logId: {
+              type: 'string',
+              maxLength: 128,
+              pattern: '^[A-Za-z0-9._:-]+$',
+              description: '클라이언트 멱등성 키 (같은 logId로 재전송된 로그는 중복 제거되어 duplicate로 응답). DB의 UNIQUE 인덱스는 월별 파티션 단위라서, 서버 재시작 후 월 경계를 넘어 들어온 재전송은 중복 제거되지 않을 수 있습니다.',
+              example: 'a3f1c2d4-5b6e-4f70-8a91-b2c3d4e5f607'
+            },
             metadata: {
               type: 'object',
-              description: '추가 메타데이터 (user_id 필드 포함 권장)',
+              description: '추가 메타데이터 (user_id 필드 포함 권장). JSON 크기가 LOG_MAX_METADATA_BYTES(기본 64KB)를 넘으면 _truncated 요약으로 바뀌거나 거부됩니다. _ingest는 서버 예약 키로, LOG_ENRICH_ENABLED=true이면 서버가 수신 IP, User-Agent 분석 결과, API 키, 국가 코드를 채웁니다',
               example: {
                 user_id: "12345",
                 session_id: "abc123",
@@ -70,6 +117,112 @@ const options = {
               minItems: 1,
               maxItems: 1000,
               description: '로그 배열 (최대 1000개)'
+            },
+            partial: {
+              type: 'boolean',
+              description: 'true이면 유효한 로그만 저장하고 항목별 결과 반환',
+              default: false
+            }
+          }
+        },
+        BatchItemResult: {
+          type: 'object',
+          properties: {
+            index: {
+              type: 'integer',
+              description: '요청 배열 내 위치',
+              example: 0
+            },
+            logId: {
+              type: 'string',
+              description: '저장(또는 중복 판정)된 로그 ID'
+            },
+            status: {
+              type: 'string',
+              enum: ['accepted', 'duplicate', 'rejected', 'sampled', 'shed', 'overloaded', 'not_processed'],
+              description: '처리 결과',
+              example: 'accepted'
+            },
+            code: {
+              type: 'string',
+              description: '거부 사유 코드',
+              example: 'MISSING_FIELDS'
+            },
+            reason: {
+              type: 'string',
+              description: '거부 사유',
+              example: 'type과 message 필드는 필수입니다'
+            },
+            violations: {
+              type: 'array',
+              description: 'metadata 스키마 위반 내용 (strict 모드로 거부된 경우)',
+              items: {
+                $ref: '#/components/schemas/SchemaViolation'
+              }
+            },
+            schemaViolations: {
+              type: 'array',
+              description: 'metadata 스키마 위반 내용 (warn 모드로 저장된 경우)',
+              items: {
+                $ref: '#/components/schemas/SchemaViolation'
+              }
+            },
+            collapsed: {
+              type: 'boolean',
+              description: '같은 에러가 반복되어 기존 행(logId)의 occurrences에 합쳐졌는지'
+            },
+            truncated: {
+              type: 'array',
+              description: '길이/크기 제한으로 잘려서 저장된 필드',
+              items: { type: 'string', enum: ['type', 'message', 'metadata'] }
+            }
+          }
+        },
+        SchemaViolation: {
+          type: 'object',
+          properties: {
+            path: {
+              type: 'string',
+              description: 'metadata 기준 JSON Pointer 경로',
+              example: '/user_id'
+            },
+            message: {
+              type: 'string',
+              example: "must have required property 'user_id'"
+            }
+          }
+        },
+        MetadataSchema: {
+          type: 'object',
+          required: ['schema'],
+          properties: {
+            type: {
+              type: 'string',
+              description: '로그 타입',
+              example: 'purchase'
+            },
+            schema: {
+              type: 'object',
+              description: 'metadata에 적용할 JSON Schema',
+              example: {
+                type: 'object',
+                required: ['user_id', 'amount'],
+                properties: {
+                  user_id: { type: 'integer' },
+                  amount: { type: 'number', minimum: 0 }
+                }
+              }
+            },
+            mode: {
+              type: 'string',
+              enum: ['strict', 'warn', 'off'],
+              description: 'strict: 위반 시 거부, warn: 저장 후 보고, off: 검증 안 함',
+              example: 'warn'
+            },
+            description: {
+              type: 'string',
+              nullable: true,
+              example: '결제 완료 로그'
             }
           }
         },
@@ -126,8 +279,17 @@ const options = {
                           type: { type: 'string', example: 'user_action' },
                           message: { type: 'string', example: '사용자가 로그인했습니다' },
                           level: { type: 'string', example: 'info' },
+                          severity: { type: 'integer', minimum: 0, maximum: 5, example: 2, description: '숫자 심각도 (trace=0 … fatal=5)' },
                           created_at: { type: 'string', format: 'date-time', description: '로그 생성 시간' },
                           logged_at: { type: 'string', format: 'date-time', description: 'DB 저장 시간' },
+                          occurred_at: { type: 'string', format: 'date-time', description: '클라이언트 이벤트 발생 시간' },
+                          clock_skew_ms: { type: 'integer', nullable: true, description: 'created_at - occurred_at (밀리초)' },
+                          clock_skew_action: { type: 'string', nullable: true, enum: ['clamped', 'flagged'], description: '허용 범위 초과 시 처리 결과' },
+                          truncated: { type: 'boolean', description: '수집 시 길이/크기 제한으로 잘린 필드가 있는지' },
+                          occurrences: { type: 'integer', example: 1, description: '반복 로그 묶기(LOG_COLLAPSE_ENABLED)로 합쳐진 횟수' },
+                          first_seen: { type: 'string', format: 'date-time', nullable: true, description: '묶인 로그의 첫 수신 시각' },
+                          last_seen: { type: 'string', format: 'date-time', nullable: true, description: '묶인 로그의 마지막 수신 시각' },
+                          sample_rate: { type: 'number', example: 1, description: '수집 시 보관 확률 (집계 시 1 / sample_rate 로 가중치, 과거 로그는 null = 1)' },
                           metadata: {
                             type: 'object',
                             example: {
@@ -140,11 +302,18 @@ const options = {
                         }
                       }
                     },
-                    total: { type: 'integer', description: '전체 로그 개수', example: 150 },
+                    total: { type: 'integer', description: '전체 로그 개수 (메모리 + DB)', example: 150 },
+                    totalEstimated: { type: 'boolean', description: 'DB 개수가 추정치(필터 없음: 테이블 통계, 1,000개 이상: EXPLAIN)이거나 DB를 조회하지 못해 total/totalPages가 정확하지 않은지', example: false },
+                    totalPages: { type: 'integer', nullable: true, description: 'total 기준 전체 페이지 수 (cursor 모드는 null)', example: 3 },
                     totalMemoryLogs: { type: 'integer', description: '메모리 로그 개수', example: 25 },
                     totalDatabaseLogs: { type: 'integer', description: 'DB 로그 개수', example: 125 },
                     bufferSize: { type: 'integer', description: '현재 버퍼 크기', example: 25 },
-                    sortedBy: { type: 'string', example: 'created_at_desc' }
+                    databaseAvailable: { type: 'boolean', description: 'DB 조회 성공 여부 (false면 메모리 로그만 포함)', example: true },
+                    sortedBy: { type: 'string', example: 'created_at_desc' },
+                    pagination: { type: 'string', enum: ['page', 'cursor'], description: '사용한 페이지네이션 방식' },
+                    nextCursor: { type: 'string', nullable: true, description: '다음 페이지 cursor (최신순이면 더 오래된 로그, 더 없으면 null)' },
+                    prevCursor: { type: 'string', nullable: true, description: '이전 페이지 cursor (최신순이면 더 최신 로그, 새 로그 확인용으로 항상 제공)' },
+                    hasMore: { type: 'boolean', description: '요청 방향으로 로그가 더 있는지' }
                   }
                 },
                 memory: {
@@ -153,7 +322,7 @@ const options = {
                 },
                 database: {
                   type: 'object',
-                  description: '데이터베이스의 로그들 (참조용)'
+                  description: '데이터베이스의 로그들 (참조용, combined 조회에서는 통합에 사용한 offset부터의 구간)'
                 },
                 meta: {
                   type: 'object',
@@ -223,6 +392,183 @@ const options = {
                       description: '데이터베이스 연결 상태'
                     }
                   }
+                },
+                ingest: {
+                  type: 'object',
+                  description: '수집 단계 설정 및 통계',
+                  properties: {
+                    clockSkew: { type: 'object', description: 'occurredAt 시각 차이 정책' },
+                    levels: { type: 'object', description: '표준 레벨과 숫자 심각도' },
+                    metadataSchemas: { type: 'object', description: 'type별 metadata 스키마 검증 통계' },
+                    fieldLimits: {
+                      type: 'object',
+                      description: '필드 길이/크기 제한 정책과 필드별 잘림/거부 건수',
+                      properties: {
+                        policy: { type: 'string', enum: ['truncate', 'reject'] },
+                        limits: { type: 'object', example: { type: 50, level: 10, message: 32768, metadata: 65536 } },
+                        truncated: { type: 'object', example: { type: 0, message: 3, metadata: 1 } },
+                        rejected: { type: 'object', example: { type: 0, message: 0, metadata: 0 } }
+                      }
+                    },
+                    sampling: {
+                      type: 'object',
+                      description: '샘플링/속도 제한 통계 (LOG_SAMPLING_RULES)',
+                      properties: {
+                        enabled: { type: 'boolean' },
+                        alwaysKeepLevel: { type: 'string', example: 'error', description: '이 레벨 이상은 항상 보관' },
+                        evaluated: { type: 'integer' },
+                        kept: { type: 'integer' },
+                        alwaysKept: { type: 'integer' },
+                        sampledOut: { type: 'integer', description: 'sampleRate로 제외된 로그 수' },
+                        rateLimited: { type: 'integer', description: 'maxPerSecond 초과로 제외된 로그 수' },
+                        dropped: { type: 'integer', description: 'sampledOut + rateLimited' },
+                        activeBuckets: { type: 'integer' },
+                        rules: { type: 'array', items: { type: 'object' }, description: '규칙별 matched/kept/sampledOut/rateLimited' }
+                      }
+                    },
+                    enrichment: {
+                      type: 'object',
+                      description: '수집 정보 보강(metadata._ingest) 설정 및 통계',
+                      properties: {
+                        enabled: { type: 'boolean' },
+                        fields: { type: 'array', items: { type: 'string', enum: ['ip', 'user_agent', 'api_key', 'country'] } },
+                        geoDatabase: { type: 'string', nullable: true, description: '로드된 GeoIP DB 경로' },
+                        enriched: { type: 'integer', description: '보강한 로그 수' },
+                        geoLookups: { type: 'integer' },
+                        geoHits: { type: 'integer', description: '국가를 찾은 조회 수' }
+                      }
+                    },
+                    redaction: {
+                      type: 'object',
+                      description: '개인정보 마스킹 통계',
+                      properties: {
+                        enabled: { type: 'boolean' },
+                        scanned: { type: 'integer', description: '검사한 로그 수' },
+                        redactedLogs: { type: 'integer', description: '하나 이상 가려진 로그 수' },
+                        redactions: { type: 'integer', description: '전체 치환 횟수' },
+                        hashSalted: { type: 'boolean', description: 'hash 처리에 LOG_REDACTION_HASH_SALT 사용 여부' },
+                        maxStringLength: { type: 'integer', description: '패턴 규칙을 적용할 문자열 최대 길이 (LOG_REDACTION_MAX_STRING_LENGTH)' },
+                        tooLong: { type: 'integer', description: '최대 길이를 넘어 통째로 가린 문자열 수' },
+                        rules: {
+                          type: 'array',
+                          description: '활성화된 규칙 목록 (ipv4 기본 규칙은 LOG_REDACTION_BUILTIN_RULES에 명시했을 때만 포함)',
+                          items: {
+                            type: 'object',
+                            properties: {
+                              name: { type: 'string', example: 'email' },
+                              kind: { type: 'string', enum: ['pattern', 'key'] },
+                              builtin: { type: 'boolean' },
+                              action: { type: 'string', enum: ['mask', 'hash'] },
+                              redactions: { type: 'integer', description: '규칙별 치환 횟수' }
+                            }
+                          }
+                        }
+                      }
+                    }
+                  }
+                },
+                beacon: {
+                  type: 'object',
+                  description: 'sendBeacon 수신 통계 (항상 204로 응답하므로 실패는 여기서 확인)',
+                  properties: {
+                    tokenAuth: { type: 'boolean', description: '서명 토큰 인증 사용 가능 여부 (BEACON_TOKEN_SECRET)' },
+                    requests: { type: 'integer' },
+                    unauthorized: { type: 'integer', description: '키/토큰이 없거나 잘못된 요청 수' },
+                    malformed: { type: 'integer', description: '본문을 해석하지 못한 요청 수' },
+                    accepted: { type: 'integer' },
+                    rejected: { type: 'integer', description: '검증 실패로 거부된 로그 수' },
+                    sampled: { type: 'integer' },
+                    dropped: { type: 'integer', description: '과부하로 버려진 로그 수' },
+                    lastError: { type: 'string', nullable: true },
+                    lastErrorAt: { type: 'string', format: 'date-time', nullable: true }
+                  }
+                },
+                websocket: {
+                  type: 'object',
+                  description: 'WebSocket 로그 수집 통계 (LOG_WS_PATH, 기본 /api/logs/ws)',
+                  properties: {
+                    enabled: { type: 'boolean' },
+                    path: { type: 'string', nullable: true, description: '업그레이드 경로 (수집 중이 아니면 null)' },
+                    activeConnections: { type: 'integer', description: '현재 연결 수' },
+                    maxConnections: { type: 'integer' },
+                    totalConnections: { type: 'integer', description: '시작 이후 누적 연결 수' },
+                    closedConnections: { type: 'integer' },
+                    rejectedUpgrades: { type: 'integer', description: '연결 수 초과/헤더 인증 실패로 거부한 업그레이드 수' },
+                    authFailures: { type: 'integer' },
+                    frames: { type: 'integer' },
+                    malformedFrames: { type: 'integer' },
+                    maxPendingBytes: { type: 'integer', description: '연결별 처리 대기 프레임 최대 크기 (LOG_WS_MAX_PENDING_BYTES)' },
+                    pauses: { type: 'integer', description: '처리 대기 프레임이 한도를 넘어 소켓 읽기를 멈춘 횟수' },
+                    backpressureCloses: { type: 'integer', description: '읽기를 멈춘 뒤에도 한도의 두 배를 넘어 닫은 연결 수' },
+                    bytes: { type: 'integer' },
+                    logs: { type: 'integer' },
+                    accepted: { type: 'integer' },
+                    rejected: { type: 'integer' },
+                    sampled: { type: 'integer' },
+                    dropped: { type: 'integer', description: '과부하로 버려진 로그 수' },
+                    errors: { type: 'integer', description: '서버 내부 오류로 저장하지 못한 로그 수 (ack status: error)' },
+                    lastError: { type: 'string', nullable: true },
+                    lastErrorAt: { type: 'string', format: 'date-time', nullable: true },
+                    connections: {
+                      type: 'array',
+                      description: '연결별 처리량 (처리한 로그가 많은 순으로 최대 100개)',
+                      items: {
+                        type: 'object',
+                        properties: {
+                          id: { type: 'string' },
+                          ip: { type: 'string' },
+                          apiKeyName: { type: 'string', nullable: true },
+                          authenticated: { type: 'boolean' },
+                          connectedAt: { type: 'string', format: 'date-time' },
+                          durationSec: { type: 'integer' },
+                          pendingFrames: { type: 'integer', description: '받았지만 아직 처리하지 않은 프레임 수' },
+                          pendingBytes: { type: 'integer' },
+                          paused: { type: 'boolean', description: '처리 대기 프레임이 많아 읽기를 멈춘 상태' },
+                          frames: { type: 'integer' },
+                          bytes: { type: 'integer' },
+                          logs: { type: 'integer' },
+                          accepted: { type: 'integer' },
+                          rejected: { type: 'integer' },
+                          sampled: { type: 'integer' },
+                          dropped: { type: 'integer' },
+                          errors: { type: 'integer' },
+                          logsPerSecond: { type: 'number', description: '연결 이후 평균 초당 로그 수' }
+                        }
+                      }
+                    }
+                  }
+                },
+                fluent: {
+                  type: 'object',
+                  description: 'Fluent Bit / Fluentd 수신 통계와 매핑 설정 (FLUENT_MAPPINGS)',
+                  properties: {
+                    requests: { type: 'integer' },
+                    records: { type: 'integer' },
+                    parseFailures: { type: 'integer', description: '본문을 해석하지 못한 요청 수' },
+                    accepted: { type: 'integer' },
+                    rejected: { type: 'integer' },
+                    sampled: { type: 'integer' },
+                    dropped: { type: 'integer' },
+                    lastError: { type: 'string', nullable: true },
+                    lastErrorAt: { type: 'string', format: 'date-time', nullable: true },
+                    tagHeader: { type: 'string', description: '태그 헤더 이름 (FLUENT_TAG_HEADER)' },
+                    defaults: { type: 'object', description: '기본 매핑' },
+                    mappings: { type: 'object', description: 'API 키 이름("*"는 전체)별 매핑 설정' }
+                  }
+                },
+                syslog: {
+                  type: 'object',
+                  description: 'syslog 수신 통계',
+                  properties: {
+                    enabled: { type: 'boolean' },
+                    received: { type: 'integer', description: '수신한 메시지 수' },
+                    accepted: { type: 'integer', description: '저장 대기열에 추가된 메시지 수' },
+                    parseFailures: { type: 'integer', description: 'RFC 5424/3164 파싱 실패 수' },
+                    rejected: { type: 'integer', description: '검증 실패로 거부된 메시지 수' },
+                    dropped: { type: 'integer', description: '과부하로 버려진 메시지 수' },
+                    sampled: { type: 'integer', description: '샘플링/속도 제한 규칙으로 제외된 메시지 수' },
+                    lastParseError: { type: 'string', nullable: true }
+                  }
                 }
               }
             },
@@ -263,6 +609,22 @@ const options = {
                   description: '처리 중 여부'
                 }
               }
+            },
+            backpressure: {
+              type: 'object',
+              description: '버퍼 한도 및 과부하 상태',
+              properties: {
+                state: { type: 'string', enum: ['normal', 'shedding', 'rejecting'] },
+                policy: { type: 'string', enum: ['reject', 'shed'] },
+                overloaded: { type: 'boolean' },
+                bufferEntries: { type: 'integer' },
+                bufferBytes: { type: 'integer' },
+                maxEntries: { type: 'integer' },
+                maxBytes: { type: 'integer' },
+                retryAfterSec: { type: 'integer' },
+                totalShed: { type: 'integer', description: '과부하로 버린 로그 수' },
+                totalRejected: { type: 'integer', description: '과부하로 거부한 로그 수' }
+              }
             }
           }
         },
@@ -290,4 +652,38 @@ const options = {
   apis: ['./src/routes/*.js'] // 라우터 파일 경로
 };
 
-export const swaggerSpec = swaggerJsdoc(options); 
+export const swaggerSpec = swaggerJsdoc(options);
+
+// 등록된 type별 metadata 스키마를 포함한 문서 생성 (요청마다 최신 등록 상태 반영)
+// 각 스키마는 components.schemas.Metadata_<type>으로 게시되고 LogEntry.metadata 설명에 목록이 추가됨
+export const buildSwaggerSpec = (metadataSchemas = []) => {
+  if (metadataSchemas.length === 0) return swaggerSpec;
+
+  const schemas = { ...swaggerSpec.components.schemas };
+  for (const { type, schema, mode, description } of metadataSchemas) {
+    // $schema/$id는 OpenAPI 3.0 스키마 객체에서 허용되지 않으므로 제외
+    const { $schema, $id, ...publishable } = schema;
+    schemas[`Metadata_${type}`] = {
+      ...publishable,
+      description: [description, `type '${type}' 로그의 metadata 스키마 (검증 모드: ${mode})`].filter(Boolean).join(' - ')
+    };
+  }
+
+  const logEntry = schemas.LogEntry;
+  const typeList = metadataSchemas.map(({ type, mode }) => `${type}(${mode}) → Metadata_${type}`).join(', ');
+  schemas.LogEntry = {
+    ...logEntry,
+    properties: {
+      ...logEntry.properties,
+      metadata: {
+        ...logEntry.properties.metadata,
+        description: `${logEntry.properties.metadata.description}. 스키마가 등록된 type: ${typeList}`
+      }
+    }
+  };
+
+  return {
+    ...swaggerSpec,
+    components: { ...swaggerSpec.components, schemas }
+  };
+}; 
@@ -1,10 +1,21 @@
+// 환경 변수 이름 → 현재 설정된 API 키 (허용된 이름이 아니거나 설정되지 않았으면 null)
+export const getConfiguredApiKey = (apiKeyName) => {
+  if (apiKeyName !== 'SHIBA_LOG_API_KEY' && apiKeyName !== 'SHIBA_LOG_API_KEY2') return null;
+  return process.env[apiKeyName] || null;
+};
+
+// API 키 → 해당 키를 설정한 환경 변수 이름 (유효하지 않으면 null)
+// 키 로테이션을 위해 두 개의 키를 허용
+export const resolveApiKeyName = (apiKey) => {
+  if (!apiKey) return null;
+  if (process.env.SHIBA_LOG_API_KEY && apiKey === process.env.SHIBA_LOG_API_KEY) return 'SHIBA_LOG_API_KEY';
+  if (process.env.SHIBA_LOG_API_KEY2 && apiKey === process.env.SHIBA_LOG_API_KEY2) return 'SHIBA_LOG_API_KEY2';
+  return null;
+};
+
 export const validateApiKey = (req, res, next) => {
   // 기존 Next.js route.ts와 동일한 방식으로 검증
   const apiKey = req.headers['x-api-key'];
-  const validKeys = [
-    process.env.SHIBA_LOG_API_KEY,
-    process.env.SHIBA_LOG_API_KEY2
-  ].filter(Boolean);
   
   if (!apiKey) {
     return res.status(401).json({ 
@@ -13,14 +24,39 @@ export const validateApiKey = (req, res, next) => {
     });
   }
   
-  // 키 로테이션을 위해 두 개의 키를 허용
-  if (!validKeys.includes(apiKey)) {
+  const apiKeyName = resolveApiKeyName(apiKey);
+  if (!apiKeyName) {
     return res.status(401).json({ 
       error: '인증 실패',
       message: '유효하지 않은 API 키입니다' 
     });
   }
   
+  // 수집 정보 보강(_ingest.api_key)용 - 키 원문 대신 어느 환경 변수의 키인지만 기록
+  req.apiKeyName = apiKeyName;
+
+  next();
+};
+
+// metadata 스키마 변경(PUT/DELETE) 전용 관리자 키 검증 (validateApiKey 뒤에 사용)
+// 수집 키는 게임 빌드에 포함되고 beacon에서는 ?key=로도 전달되므로, 다른 팀 type에 strict 스키마를 걸거나
+// 스키마를 지우지 못하도록 SCHEMA_ADMIN_API_KEY를 x-admin-key 헤더로 따로 요구한다 (설정하지 않으면 변경 불가)
+export const requireSchemaAdminKey = (req, res, next) => {
+  if (!process.env.SCHEMA_ADMIN_API_KEY) {
+    return res.status(403).json({
+      error: '권한 없음',
+      message: 'SCHEMA_ADMIN_API_KEY가 설정되지 않아 스키마를 변경할 수 없습니다'
+    });
+  }
+
+  const adminKey = req.headers['x-admin-key'];
+  if (!adminKey || adminKey !== process.env.SCHEMA_ADMIN_API_KEY) {
+    return res.status(403).json({
+      error: '권한 없음',
+      message: adminKey ? '유효하지 않은 관리자 키입니다' : 'x-admin-key 헤더가 누락되었습니다'
+    });
+  }
+
   next();
 };
 
@@ -30,7 +66,7 @@ export const logRequest = (req, res, next) => {
   const userAgent = req.headers['user-agent'] || 'Unknown';
   
   // 헬스체크 및 로그 저장/배치 요청은 로깅 제외 (너무 시끄러움)
-  if (url.includes('/health') || url === '/api/logs' || url === '/api/logs/batch') {
+  if (url.includes('/health') || url === '/api/logs' || url === '/api/logs/batch' || url === '/api/logs/stream' || url === '/v1/logs' || url === '/loki/api/v1/push') {
     return next();
   }
   
@@ -0,0 +1,27 @@
+import { logMemoryStore } from '../services/log-memory-store.js';
+
+// 버퍼가 한도를 넘은 상태에서 reject 정책이면 수집 요청을 429로 거부
+// (shed 정책에서는 요청을 받고 로그 단위로 우선순위가 낮은 것부터 버림)
+export const rejectWhenOverloaded = (req, res, next) => {
+  const backpressure = logMemoryStore.getBackpressureState();
+
+  if (!backpressure.overloaded || backpressure.policy !== 'reject') {
+    return next();
+  }
+
+  logMemoryStore.recordOverloadRejection();
+
+  res.set('Retry-After', String(backpressure.retryAfterSec));
+  return res.status(429).json({
+    error: '서버 버퍼가 가득 찼습니다',
+    message: `잠시 후 다시 시도하세요 (Retry-After: ${backpressure.retryAfterSec}초)`,
+    retryAfter: backpressure.retryAfterSec,
+    backpressure: {
+      state: backpressure.state,
+      bufferEntries: backpressure.bufferEntries,
+      bufferBytes: backpressure.bufferBytes,
+      maxEntries: backpressure.maxEntries,
+      maxBytes: backpressure.maxBytes
+    }
+  });
+};
@@ -0,0 +1,224 @@
+import express from 'express';
+import { ingestLog } from '../services/log-ingest.js';
+import { ingestContext } from '../services/log-enricher.js';
+import { issueBeaconToken, verifyBeaconToken, isBeaconTokenEnabled } from '../services/beacon-token.js';
+import { resolveApiKeyName, validateApiKey } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const MAX_BEACON_LOGS = 1000; // POST /api/logs/batch와 같은 한도
+
+const beaconStats = {
+  requests: 0,
+  unauthorized: 0,  // 키/토큰이 없거나 잘못된 요청
+  malformed: 0,     // JSON 해석 실패 또는 로그 배열이 아닌 본문
+  accepted: 0,
+  rejected: 0,      // 검증 실패
+  sampled: 0,
+  dropped: 0,       // 과부하로 버려진 로그
+  lastError: null,
+  lastErrorAt: null
+};
+
+export const getBeaconStats = () => ({
+  tokenAuth: isBeaconTokenEnabled(),
+  ...beaconStats
+});
+
+const recordError = (counter, message) => {
+  beaconStats[counter]++;
+  beaconStats.lastError = message;
+  beaconStats.lastErrorAt = new Date().toISOString();
+};
+
+// sendBeacon은 Content-Type을 고를 수 없으므로(text/plain, Blob 타입 등) 본문을 그대로 문자열로 받아 직접 해석
+// server.js에서 express.json보다 먼저 마운트되어 JSON 파싱 에러로 500이 나가지 않는다
+router.use(express.text({ type: () => true, limit: process.env.BEACON_MAX_BODY_SIZE || '256kb' }));
+
+// 본문 → 로그 배열 (단일 로그, 로그 배열, { logs: [...] } 모두 허용)
+const parseBeaconBody = (body) => {
+  const parsed = typeof body === 'string' ? JSON.parse(body) : body;
+  if (Array.isArray(parsed)) return parsed;
+  if (parsed && typeof parsed === 'object' && Array.isArray(parsed.logs)) return parsed.logs;
+  if (parsed && typeof parsed === 'object') return [parsed];
+  throw new Error('본문은 로그 객체, 로그 배열 또는 { logs: [...] } 형식이어야 합니다');
+};
+
+// 쿼리 key(API 키 원문) 또는 token(서명 토큰)으로 인증
+// 반환값: { apiKeyName, apiKey? } 또는 { error }
+const authenticateBeacon = (query) => {
+  if (typeof query.token === 'string' && query.token !== '') {
+    return verifyBeaconToken(query.token);
+  }
+
+  if (typeof query.key === 'string' && query.key !== '') {
+    const apiKeyName = resolveApiKeyName(query.key);
+    return apiKeyName ? { apiKeyName, apiKey: query.key } : { error: '유효하지 않은 API 키입니다' };
+  }
+
+  return { error: 'key 또는 token 쿼리 파라미터가 필요합니다' };
+};
+
+/**
+ * @swagger
+ * /api/logs/beacon:
+ *   post:
+ *     summary: navigator.sendBeacon 로그 수신
+ *     description: |
+ *       WebGL 빌드가 페이지를 닫을 때 navigator.sendBeacon으로 보내는 마지막 로그를 받습니다.
+ *       sendBeacon은 헤더를 붙일 수 없으므로 쿼리 문자열의 key(API 키) 또는 token(서명 토큰)으로 인증합니다.
+ *       본문은 text/plain JSON이며 단일 로그, 로그 배열, { logs: [...] } 형식을 모두 받습니다.
+ *       검증과 저장은 POST /api/logs/batch와 같은 경로를 거치고(부분 수락), 유효한 로그만 저장합니다.
+ *       브라우저는 응답을 읽지 않으므로 인증 실패나 잘못된 본문이어도 항상 즉시 204로 응답하며, 결과는 /api/logs/stats의 beacon 통계로 확인합니다.
+ *     tags:
+ *       - Logs
+ *     parameters:
+ *       - in: query
+ *         name: key
+ *         schema:
+ *           type: string
+ *         description: API 키 (클라이언트에 노출되므로 가능하면 token 사용 권장)
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *         description: POST /api/logs/beacon/token으로 발급받은 서명 토큰
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/plain:
+ *           schema:
+ *             type: string
+ *           example: '[{"type":"webgl","level":"error","message":"WebGL context lost"}]'
+ *     responses:
+ *       204:
+ *         description: 항상 204 (처리 결과는 통계로 확인)
+ */
+// POST /api/logs/beacon - sendBeacon 로그 수신
+router.post('/', (req, res) => {
+  beaconStats.requests++;
+
+  // 페이지 종료 중인 브라우저를 붙잡지 않도록 먼저 응답하고 처리
+  res.status(204).end();
+
+  const auth = authenticateBeacon(req.query);
+  if (auth.error) {
+    recordError('unauthorized', auth.error);
+    return;
+  }
+
+  let logs;
+  try {
+    logs = parseBeaconBody(req.body);
+  } catch (error) {
+    recordError('malformed', error.message);
+    return;
+  }
+
+  if (logs.length > MAX_BEACON_LOGS) {
+    beaconStats.rejected += logs.length - MAX_BEACON_LOGS;
+    logs = logs.slice(0, MAX_BEACON_LOGS);
+  }
+
+  req.apiKeyName = auth.apiKeyName;
+  const context = { ...ingestContext(req, 'beacon'), apiKey: auth.apiKey };
+
+  (async () => {
+    for (const logData of logs) {
+      const result = await ingestLog(logData, { context });
+      if (result.status === 'accepted' || result.status === 'duplicate') {
+        beaconStats.accepted++;
+      } else if (result.status === 'rejected') {
+        recordError('rejected', result.reason);
+      } else if (result.status === 'sampled') {
+        beaconStats.sampled++;
+      } else {
+        beaconStats.dropped++;
+      }
+    }
+  })().catch(error => {
+    console.error('beacon 로그 저장 실패:', error);
+    recordError('dropped', error.message);
+  });
+});
+
+/**
+ * @swagger
+ * /api/logs/beacon/token:
+ *   post:
+ *     summary: sendBeacon용 서명 토큰 발급
+ *     description: |
+ *       API 키 원문 대신 브라우저 빌드에 넣을 만료 시간이 있는 토큰을 발급합니다.
+ *       BEACON_TOKEN_SECRET이 설정되어 있어야 하며, 유효 기간은 BEACON_TOKEN_TTL_SEC(기본 1일, 최대 30일)입니다.
+ *       발급에 사용한 API 키를 지우거나 값을 바꾸면(로테이션) 그 키로 발급된 토큰은 만료 전이라도 거부됩니다 (WebSocket 인증 포함).
+ *     tags:
+ *       - Logs
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: ttlSec
+ *         schema:
+ *           type: integer
+ *         description: 토큰 유효 기간 (초)
+ *     responses:
+ *       200:
+ *         description: 토큰 발급 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 token:
+ *                   type: string
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *       401:
+ *         description: 인증 실패
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       503:
+ *         description: BEACON_TOKEN_SECRET 미설정
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+// POST /api/logs/beacon/token - 서명 토큰 발급
+router.post('/token', validateApiKey, (req, res) => {
+  if (!isBeaconTokenEnabled()) {
+    return res.status(503).json({
+      error: '토큰 발급 불가',
+      message: 'BEACON_TOKEN_SECRET이 설정되지 않았습니다'
+    });
+  }
+
+  const ttlSec = parseInt(req.query.ttlSec);
+  const { token, expiresAt } = issueBeaconToken(req.apiKeyName, Number.isFinite(ttlSec) ? ttlSec : undefined);
+
+  res.json({
+    success: true,
+    token,
+    expiresAt,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// 본문 크기 초과 등 본문 읽기 실패도 beacon은 204로 응답
+router.use((err, req, res, next) => {
+  if (req.path !== '/' || res.headersSent) return next(err);
+
+  beaconStats.requests++;
+  recordError('malformed', err.message);
+  res.status(204).end();
+});
+
+export default router;
@@ -0,0 +1,225 @@
+import express from 'express';
+import { logMemoryStore } from '../services/log-memory-store.js';
+import { ingestLog } from '../services/log-ingest.js';
+import { ingestContext } from '../services/log-enricher.js';
+import { parseFluentBody, mapFluentRecord, fluentEventKey, resolveFluentMapping, getFluentMappingConfig, MSGPACK_CONTENT_TYPES } from '../services/fluent.js';
+import { validateApiKey } from '../middleware/auth.js';
+import { rejectWhenOverloaded } from '../middleware/backpressure.js';
+
+const router = express.Router();
+
+// Fluent Bit header_tag / Fluentd headers로 보내는 태그 헤더 이름
+const TAG_HEADER = (process.env.FLUENT_TAG_HEADER || 'x-fluent-tag').toLowerCase();
+
+const fluentStats = {
+  requests: 0,
+  records: 0,
+  parseFailures: 0,
+  accepted: 0,
+  rejected: 0,
+  sampled: 0,
+  dropped: 0,
+  lastError: null,
+  lastErrorAt: null
+};
+
+export const getFluentStats = () => ({
+  ...fluentStats,
+  tagHeader: TAG_HEADER,
+  ...getFluentMappingConfig()
+});
+
+// Fluent Bit http output도 x-api-key 헤더로 인증 (Header x-api-key ...)
+router.use(validateApiKey);
+
+// json_stream처럼 배열이 아닌 JSON도 받아야 하므로 server.js에서 express.json보다 먼저 마운트하고 원본 바이트로 받음
+// (Content-Encoding: gzip은 body-parser가 해제)
+router.use(express.raw({ type: () => true, limit: process.env.FLUENT_MAX_BODY_SIZE || '10mb' }));
+
+/**
+ * @swagger
+ * /api/logs/fluent/{tag}:
+ *   post:
+ *     summary: Fluent Bit / Fluentd http output 로그 수신
+ *     description: |
+ *       Fluent Bit·Fluentd의 http output이 보내는 레코드를 저장합니다. 경로의 태그는 생략할 수 있습니다(POST /api/logs/fluent).
+ *
+ *       지원 형식:
+ *       - application/json: 레코드 배열(format json, date 키), 단일 객체, 줄 단위 JSON(json_lines, json_stream)
+ *       - application/x-ndjson: 줄 단위 JSON
+ *       - application/msgpack: [timestamp, record] 이벤트 스트림 (EventTime, [[timestamp, metadata], record] 포함)
+ *
+ *       매핑 규칙 (FLUENT_MAPPINGS로 API 키별 설정, 기본값 → "*" → 키별 설정 순으로 덮어씀):
+ *       - type: type 키 → 태그(경로 또는 FLUENT_TAG_HEADER 헤더, 기본 x-fluent-tag) → typeDefault(기본 fluent-bit)
+ *       - level: level, severity, lvl, log.level 중 처음 존재하는 키 (없으면 info)
+ *       - message: message, log, msg 중 처음 존재하는 키 (없으면 레코드 전체 JSON)
+ *       - occurredAt: msgpack 이벤트 타임스탬프 또는 date 키 (epoch 초/밀리초, ISO 8601)
+ *       - metadata: 매핑에 쓰지 않은 나머지 최상위 키 전체, 태그는 metadata.fluent_tag
+ *
+ *       Fluent Bit은 2xx가 아닌 응답을 받으면 청크 전체를 재전송하므로, 검증에 실패한 레코드는 200 응답의 rejected로 보고합니다.
+ *       레코드마다 API 키·태그·청크 내 위치·시각·내용으로 logId(fluent:<해시>)를 만들어, 버퍼가 가득 차 429로 재전송된 청크의 이미 저장된 레코드는 중복으로 건너뜁니다.
+ *     tags:
+ *       - Fluent
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tag
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Fluent 태그 (Fluentd endpoint의 ${tag} 플레이스홀더 등)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               type: object
+ *           example:
+ *             - date: 1718000000.123
+ *               log: "payment failed: timeout"
+ *               level: "error"
+ *               kubernetes: { pod_name: "game-api-7d9f", namespace_name: "prod" }
+ *         application/msgpack:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       200:
+ *         description: 저장 완료 (검증 실패 레코드는 rejected로 보고)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 accepted:
+ *                   type: integer
+ *                 rejected:
+ *                   type: integer
+ *                 sampled:
+ *                   type: integer
+ *                 dropped:
+ *                   type: integer
+ *                 errors:
+ *                   type: array
+ *                   description: 거부된 레코드 (최대 10개)
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       index:
+ *                         type: integer
+ *                       code:
+ *                         type: string
+ *                       reason:
+ *                         type: string
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: 요청 본문을 해석할 수 없음
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: 인증 실패
+ *       429:
+ *         $ref: '#/components/responses/Overloaded'
+ */
+// POST /api/logs/fluent[/:tag] - Fluent Bit / Fluentd http output
+router.post(['/', '/:tag'], rejectWhenOverloaded, async (req, res) => {
+  fluentStats.requests++;
+
+  let events;
+  try {
+    const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    events = parseFluentBody(body, MSGPACK_CONTENT_TYPES.some(type => req.is(type)));
+  } catch (error) {
+    fluentStats.parseFailures++;
+    fluentStats.lastError = error.message;
+    fluentStats.lastErrorAt = new Date().toISOString();
+    return res.status(400).json({
+      error: '요청 해석 실패',
+      message: `Fluent 레코드를 해석할 수 없습니다: ${error.message}`
+    });
+  }
+
+  try {
+    const mapping = resolveFluentMapping(req.apiKeyName);
+    const tag = req.params.tag || req.headers[TAG_HEADER] || null;
+    const context = ingestContext(req, 'fluent');
+
+    const counts = { accepted: 0, rejected: 0, sampled: 0, dropped: 0 };
+    const errors = [];
+    let retryAfterSec = null;
+
+    for (let index = 0; index < events.length; index++) {
+      const result = await ingestLog(mapFluentRecord(events[index], { mapping, tag }), {
+        context,
+        idempotencyKey: fluentEventKey(events[index], { apiKeyName: req.apiKeyName, tag, index })
+      });
+
+      if (result.status === 'accepted' || result.status === 'duplicate') {
+        counts.accepted++;
+      } else if (result.status === 'sampled') {
+        counts.sampled++;
+      } else if (result.status === 'rejected') {
+        counts.rejected++;
+        if (errors.length < 10) errors.push({ index, code: result.code, reason: result.reason });
+      } else {
+        counts.dropped++;
+        if (result.status === 'overloaded') retryAfterSec = result.retryAfterSec;
+      }
+    }
+
+    fluentStats.records += events.length;
+    for (const [key, value] of Object.entries(counts)) fluentStats[key] += value;
+    if (errors.length > 0) {
+      fluentStats.lastError = errors[0].reason;
+      fluentStats.lastErrorAt = new Date().toISOString();
+    }
+
+    // 처리 도중 버퍼가 가득 찬 경우 Fluent Bit이 재시도하도록 429 (이미 저장된 레코드는 재전송 시 fluentEventKey로 중복 처리됨)
+    if (retryAfterSec !== null) {
+      res.set('Retry-After', String(retryAfterSec));
+      return res.status(429).json({
+        error: '서버 버퍼가 가득 찼습니다',
+        message: `${events.length}개 중 ${counts.dropped}개를 저장하지 못했습니다`,
+        retryAfter: retryAfterSec,
+        ...counts
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${events.length}개 중 ${counts.accepted}개 레코드가 저장되었습니다`,
+      ...counts,
+      ...(errors.length > 0 && { errors }),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Fluent 로그 저장 실패:', error);
+
+    logMemoryStore.writeErrorLog(error, {
+      operation: 'fluentIngest',
+      contentType: req.headers['content-type'],
+      recordCount: events.length,
+      userAgent: req.headers['user-agent'],
+      ip: req.ip,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(500).json({
+      error: '로그 저장 실패',
+      message: '서버 내부 오류가 발생했습니다'
+    });
+  }
+});
+
+export default router;
@@ -1,7 +1,25 @@
 import express from 'express';
+import { createInterface } from 'readline';
+import { createGunzip, createInflate } from 'zlib';
+import { Transform } from 'stream';
 import { logMemoryStore } from '../services/log-memory-store.js';
-import { queryLogs, cleanupOldData, getPartitionList, getCurrentTableName, switchToPartitionedTable, switchToLegacyTable, verifySystemHealth, autoRepairSystem } from '../config/database.js';
-import { validateApiKey } from '../middleware/auth.js';
+import { validateLogEntry, ingestLog, deriveIdempotencyKey, getClockSkewConfig, getLevelConfig, getFieldLimitConfig } from '../services/log-ingest.js';
+import { normalizeLevel } from '../services/log-levels.js';
+import { logEnricher, ingestContext } from '../services/log-enricher.js';
+import { syslogListener } from '../services/syslog-listener.js';
+import { metadataSchemaRegistry, SCHEMA_MODES } from '../services/metadata-schema-registry.js';
+import { logRedactor } from '../services/log-redactor.js';
+import { logSampler } from '../services/log-sampler.js';
+import { encodeCursor, decodeCursor, logCursorKey } from '../services/log-cursor.js';
+import { parseLogSearchQuery } from '../services/log-query.js';
+import { parseMetadataFilterQuery } from '../services/metadata-filter.js';
+import { buildSearchTsQuery } from '../services/log-fts.js';
+import { getBeaconStats } from './beacon.js';
+import { getFluentStats } from './fluent.js';
+import { logWebSocketServer } from '../services/log-websocket.js';
+import { queryLogs, searchLogs, cleanupOldData, getPartitionList, getCurrentTableName, switchToPartitionedTable, switchToLegacyTable, verifySystemHealth, autoRepairSystem } from '../config/database.js';
+import { validateApiKey, requireSchemaAdminKey } from '../middleware/auth.js';
+import { rejectWhenOverloaded } from '../middleware/backpressure.js';
 
 const router = express.Router();
 
@@ -13,11 +31,16 @@ router.use(validateApiKey);
  * /api/logs:
  *   post:
  *     summary: 단일 로그 저장
- *     description: 단일 로그 엔트리를 저장합니다.
+ *     description: |
+ *       단일 로그 엔트리를 저장합니다.
+ *       logId 필드 또는 Idempotency-Key 헤더로 멱등성 키를 보내면 재전송된 로그는 중복 제거됩니다.
+ *       type에 metadata 스키마가 등록되어 있으면 검증합니다 (strict: 400 거부, warn: 저장 후 schemaViolations로 보고).
  *     tags:
  *       - Logs
  *     security:
  *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -63,6 +86,8 @@ router.use(validateApiKey);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/Overloaded'
  *       500:
  *         description: 서버 에러
  *         content:
@@ -71,49 +96,56 @@ router.use(validateApiKey);
  *               $ref: '#/components/schemas/ErrorResponse'
  */
 // POST /api/logs - 로그 저장
-router.post('/', async (req, res) => {
+router.post('/', rejectWhenOverloaded, async (req, res) => {
   try {
     const logData = req.body;
 
-    // 필수 필드 검증
-    if (!logData.type || !logData.message) {
+    // 검증 후 메모리 스토어에 추가 (배치/스트림과 공통 경로)
+    const result = await ingestLog(logData, {
+      idempotencyKey: deriveIdempotencyKey(req.headers['idempotency-key']),
+      context: ingestContext(req)
+    });
+    if (result.code === 'MISSING_FIELDS') {
       return res.status(400).json({
         error: '필수 필드가 누락되었습니다',
-        message: 'type과 message 필드는 필수입니다',
+        message: result.reason,
         required: ['type', 'message']
       });
     }
-
-    // 로그 데이터 유효성 검사
-    if (typeof logData.type !== 'string' || logData.type.trim() === '') {
+    if (result.code === 'SCHEMA_VIOLATION') {
       return res.status(400).json({
-        error: 'type 필드는 비어있지 않은 문자열이어야 합니다'
+        error: result.reason,
+        violations: result.violations
       });
     }
-
-    if (typeof logData.message !== 'string' || logData.message.trim() === '') {
+    if (result.status === 'rejected') {
       return res.status(400).json({
-        error: 'message 필드는 비어있지 않은 문자열이어야 합니다'
+        error: result.reason
       });
     }
-
-    // 로그 레벨 기본값 설정
-    if (!logData.level) {
-      logData.level = 'info';
-    }
-
-    // 메타데이터 처리
-    if (logData.metadata && typeof logData.metadata !== 'object') {
-      return res.status(400).json({
-        error: 'metadata 필드는 객체 타입이어야 합니다'
+    if (result.status === 'overloaded') {
+      res.set('Retry-After', String(result.retryAfterSec));
+      return res.status(429).json({
+        error: '서버 버퍼가 가득 찼습니다',
+        message: result.reason,
+        retryAfter: result.retryAfterSec
       });
     }
-
-    await logMemoryStore.addLog(logData);
     
     res.json({ 
       success: true,
-      message: '로그가 성공적으로 저장되었습니다',
+      message: result.status === 'duplicate'
+        ? '이미 수신된 로그입니다 (중복 제거됨)'
+        : result.status === 'shed' || result.status === 'sampled'
+          ? result.reason
+          : '로그가 성공적으로 저장되었습니다',
+      logId: result.logId,
+      deduplicated: result.status === 'duplicate',
+      dropped: result.status === 'shed',
+      sampled: result.status === 'sampled',
+      ...(result.collapsed && { collapsed: true }),
+      ...(result.truncated && { truncated: result.truncated }),
+      ...(result.schemaViolations && { schemaViolations: result.schemaViolations }),
       timestamp: new Date().toISOString()
     });
     
@@ -141,11 +173,23 @@ router.post('/', async (req, res) => {
  * /api/logs/batch:
  *   post:
  *     summary: 배치 로그 저장
- *     description: 여러 로그 엔트리를 한 번에 저장합니다. (최대 1000개)
+ *     description: |
+ *       여러 로그 엔트리를 한 번에 저장합니다. (최대 1000개)
+ *       기본 모드에서는 하나라도 유효하지 않으면 전체를 거부(400)합니다.
+ *       partial=true 이면 유효한 로그만 저장하고 항목별 결과(results)를 반환합니다.
+ *       metadata 스키마 위반은 strict 모드에서 거부, warn 모드에서 항목별 schemaViolations로 보고됩니다.
  *     tags:
  *       - Logs
  *     security:
  *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: query
+ *         name: partial
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: 부분 수락 모드 (요청 본문의 partial 필드로도 지정 가능)
  *     requestBody:
  *       required: true
  *       content:
@@ -175,19 +219,45 @@ router.post('/', async (req, res) => {
  *                     count:
  *                       type: integer
  *                       description: 저장된 로그 개수
+ *                     accepted:
+ *                       type: integer
+ *                       description: 저장된 로그 개수
+ *                     rejected:
+ *                       type: integer
+ *                       description: 거부된 로그 개수
+ *                     deduplicated:
+ *                       type: integer
+ *                       description: 중복으로 제거된 로그 개수
+ *                     sampled:
+ *                       type: integer
+ *                       description: 샘플링/속도 제한 규칙(LOG_SAMPLING_RULES)으로 제외된 로그 개수
+ *                     schemaWarnings:
+ *                       type: integer
+ *                       description: metadata 스키마 위반(warn 모드)으로 경고된 로그 개수
+ *                     deduplicatedIndexes:
+ *                       type: array
+ *                       items:
+ *                         type: integer
+ *                       description: 중복으로 제거된 로그의 위치
+ *                     results:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/BatchItemResult'
  *       400:
- *         description: 잘못된 요청
+ *         description: 잘못된 요청 (부분 수락 모드가 아닐 때 유효하지 않은 로그 포함)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       401:
  *         description: 인증 실패
+ *       429:
+ *         $ref: '#/components/responses/Overloaded'
  *       500:
  *         description: 서버 에러
  */
 // POST /api/logs/batch - 배치 로그 저장
-router.post('/batch', async (req, res) => {
+router.post('/batch', rejectWhenOverloaded, async (req, res) => {
   try {
     const { logs } = req.body;
 
@@ -209,31 +279,76 @@ router.post('/batch', async (req, res) => {
       });
     }
 
-    // 각 로그 유효성 검사
-    const invalidLogs = [];
+    // 부분 수락 모드: 유효한 로그만 저장하고 항목별 결과 반환
+    const partial = req.query.partial === 'true' || req.body.partial === true;
+
+    // 각 로그 유효성 검사 (단일 로그 저장과 동일한 규칙)
+    const idempotencyKey = req.headers['idempotency-key'];
     logs.forEach((log, index) => {
-      if (!log.type || !log.message) {
-        invalidLogs.push(`로그 ${index}: type과 message 필드 필수`);
+      const itemKey = deriveIdempotencyKey(idempotencyKey, index);
+      if (log && typeof log === 'object' && log.logId === undefined && itemKey) {
+        log.logId = itemKey;
+      }
+    });
+    const validationErrors = logs.map(log => validateLogEntry(log));
+    const invalidLogs = [];
+    validationErrors.forEach((validationError, index) => {
+      if (validationError) {
+        invalidLogs.push(`로그 ${index}: ${validationError.message}`);
       }
     });
 
-    if (invalidLogs.length > 0) {
+    if (invalidLogs.length > 0 && !partial) {
       return res.status(400).json({
         error: '유효하지 않은 로그들이 있습니다',
-        details: invalidLogs
+        details: invalidLogs,
+        results: validationErrors.map((validationError, index) => validationError
+          ? {
+            index,
+            status: 'rejected',
+            code: validationError.code,
+            reason: validationError.message,
+            ...(validationError.violations && { violations: validationError.violations })
+          }
+          : { index, status: 'not_processed' })
       });
     }
 
-    // 모든 로그를 메모리 스토어에 추가
-    for (const log of logs) {
-      if (!log.level) log.level = 'info';
-      await logMemoryStore.addLog(log);
+    // 유효한 로그를 메모리 스토어에 추가
+    const results = [];
+    const context = ingestContext(req);
+    for (let index = 0; index < logs.length; index++) {
+      const result = await ingestLog(logs[index], { context });
+      results.push({ index, ...result });
+    }
+
+    const acceptedCount = results.filter(result => result.status === 'accepted').length;
+    const deduplicatedCount = results.filter(result => result.status === 'duplicate').length;
+    const rejectedCount = results.filter(result => result.status === 'rejected').length;
+    const droppedCount = results.filter(result => result.status === 'shed' || result.status === 'overloaded').length;
+    const sampledCount = results.filter(result => result.status === 'sampled').length;
+    const schemaWarningCount = results.filter(result => result.schemaViolations).length;
+
+    // 처리 도중 버퍼가 가득 찬 경우 재시도 시점 안내
+    const overloadedResult = results.find(result => result.status === 'overloaded');
+    if (overloadedResult) {
+      res.set('Retry-After', String(overloadedResult.retryAfterSec));
     }
 
     res.json({
       success: true,
-      message: `${logs.length}개의 로그가 성공적으로 저장되었습니다`,
-      count: logs.length,
+      message: rejectedCount > 0 || deduplicatedCount > 0 || droppedCount > 0 || sampledCount > 0
+        ? `${acceptedCount}개의 로그가 저장되었습니다 (거부 ${rejectedCount}개, 중복 제거 ${deduplicatedCount}개, 과부하로 제외 ${droppedCount}개, 샘플링으로 제외 ${sampledCount}개)`
+        : `${logs.length}개의 로그가 성공적으로 저장되었습니다`,
+      count: acceptedCount,
+      accepted: acceptedCount,
+      rejected: rejectedCount,
+      deduplicated: deduplicatedCount,
+      dropped: droppedCount,
+      sampled: sampledCount,
+      schemaWarnings: schemaWarningCount,
+      deduplicatedIndexes: results.filter(result => result.status === 'duplicate').map(result => result.index),
+      results,
       timestamp: new Date().toISOString()
     });
 
@@ -257,12 +372,273 @@ router.post('/batch', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/logs/stream:
+ *   post:
+ *     summary: NDJSON 스트리밍 로그 저장
+ *     description: |
+ *       줄 단위 JSON(NDJSON) 본문을 스트리밍으로 읽어 한 줄씩 저장합니다.
+ *       요청 전체를 메모리에 올리지 않으므로 개수 제한이 없습니다.
+ *       gzip/deflate Content-Encoding을 지원하며, 빈 줄은 무시합니다.
+ *       한 줄이 LOG_STREAM_MAX_LINE_BYTES(기본 1MB, 압축 해제 후 기준)를 넘으면 읽기를 멈추고 413으로 응답합니다 (그 전 줄은 저장됨).
+ *     tags:
+ *       - Logs
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-ndjson:
+ *           schema:
+ *             type: string
+ *           example: |
+ *             {"type":"game_server","message":"서버 종료 시작","level":"info"}
+ *             {"type":"game_server","message":"세션 정리 완료","level":"info","metadata":{"sessions":120}}
+ *     responses:
+ *       200:
+ *         description: 스트림 처리 완료 (줄 단위 결과 포함)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 accepted:
+ *                   type: integer
+ *                   description: 저장된 줄 수
+ *                 rejected:
+ *                   type: integer
+ *                   description: 거부된 줄 수
+ *                 deduplicated:
+ *                   type: integer
+ *                   description: 중복으로 제거된 줄 수
+ *                 sampled:
+ *                   type: integer
+ *                   description: 샘플링/속도 제한 규칙으로 제외된 줄 수
+ *                 acceptedLines:
+ *                   type: array
+ *                   items:
+ *                     type: integer
+ *                   description: 저장된 줄 번호 (1부터 시작)
+ *                 rejectedLines:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       line:
+ *                         type: integer
+ *                       error:
+ *                         type: string
+ *                 deduplicatedLines:
+ *                   type: array
+ *                   items:
+ *                     type: integer
+ *                   description: 중복으로 제거된 줄 번호
+ *                 truncatedLines:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       line:
+ *                         type: integer
+ *                       fields:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                   description: 길이/크기 제한으로 잘려서 저장된 줄과 필드
+ *       401:
+ *         description: 인증 실패
+ *       413:
+ *         description: 한 줄이 최대 크기를 넘어 처리 중단 (그 전 줄의 결과 accepted, acceptedLines, rejectedLines와 failedAtLine 포함)
+ *       415:
+ *         description: 지원하지 않는 Content-Type
+ *       429:
+ *         $ref: '#/components/responses/Overloaded'
+ *       500:
+ *         description: 서버 에러
+ */
+// POST /api/logs/stream - NDJSON 스트리밍 로그 저장
+const MAX_STREAM_LINE_LENGTH = parseInt(process.env.LOG_STREAM_MAX_LINE_BYTES) || 1024 * 1024;
+
+// 줄 길이 제한 - readline은 줄 끝을 만날 때까지 한 줄 전체를 버퍼에 쌓으므로,
+// 줄바꿈 없이 끝없이 이어지는 본문이 메모리를 채우지 않도록 readline에 넘기기 전 바이트 단계에서 확인
+// 한도를 넘으면 그 앞의 완성된 줄까지만 넘기고 출력을 끝내며 exceeded = true로 표시 (이후 입력은 버림)
+const createLineLengthGuard = (maxBytes) => {
+  let lineBytes = 0;
+  const guard = new Transform({
+    transform(chunk, encoding, callback) {
+      if (guard.exceeded) return callback();
+
+      let start = 0;
+      let newline;
+      while ((newline = chunk.indexOf(0x0a, start)) !== -1) {
+        if (lineBytes + newline - start > maxBytes) break;
+        lineBytes = 0;
+        start = newline + 1;
+      }
+      if (newline === -1) lineBytes += chunk.length - start;
+
+      if (newline !== -1 || lineBytes > maxBytes) {
+        guard.exceeded = true;
+        if (start > 0) this.push(chunk.subarray(0, start));
+        this.push(null);
+        return callback();
+      }
+      callback(null, chunk);
+    }
+  });
+  guard.exceeded = false;
+  return guard;
+};
+
+router.post('/stream', rejectWhenOverloaded, async (req, res) => {
+  if (!req.is(['application/x-ndjson', 'application/ndjson', 'application/jsonl'])) {
+    return res.status(415).json({
+      error: '지원하지 않는 Content-Type입니다',
+      message: 'Content-Type은 application/x-ndjson 이어야 합니다'
+    });
+  }
+
+  const acceptedLines = [];
+  const rejectedLines = [];
+  const deduplicatedLines = [];
+  const sampledLines = [];
+  const truncatedLines = [];
+  let lineNumber = 0;
+
+  try {
+    // 압축된 본문은 스트림 단계에서 해제
+    const encoding = (req.headers['content-encoding'] || 'identity').toLowerCase();
+    let input = req;
+    if (encoding === 'gzip') {
+      input = req.pipe(createGunzip());
+    } else if (encoding === 'deflate') {
+      input = req.pipe(createInflate());
+    } else if (encoding !== 'identity') {
+      return res.status(415).json({
+        error: '지원하지 않는 Content-Encoding입니다',
+        message: `${encoding} 인코딩은 지원하지 않습니다 (gzip, deflate만 가능)`
+      });
+    }
+
+    const guard = createLineLengthGuard(MAX_STREAM_LINE_LENGTH);
+    input.on('error', error => guard.destroy(error));
+    const lines = createInterface({ input: input.pipe(guard), crlfDelay: Infinity });
+    const context = ingestContext(req);
+
+    for await (const line of lines) {
+      lineNumber++;
+      if (line.trim() === '') continue;
+
+      let logData;
+      try {
+        logData = JSON.parse(line);
+      } catch (parseError) {
+        rejectedLines.push({ line: lineNumber, error: `JSON 파싱 실패: ${parseError.message}` });
+        continue;
+      }
+
+      const result = await ingestLog(logData, {
+        idempotencyKey: deriveIdempotencyKey(req.headers['idempotency-key'], lineNumber),
+        context
+      });
+      if (result.status === 'rejected' || result.status === 'shed' || result.status === 'overloaded') {
+        rejectedLines.push({ line: lineNumber, code: result.code, error: result.reason });
+        if (result.status === 'overloaded' && !res.headersSent) {
+          res.set('Retry-After', String(result.retryAfterSec));
+        }
+        continue;
+      }
+      if (result.status === 'duplicate') {
+        deduplicatedLines.push(lineNumber);
+        continue;
+      }
+      if (result.status === 'sampled') {
+        sampledLines.push(lineNumber);
+        continue;
+      }
+
+      acceptedLines.push(lineNumber);
+      if (result.truncated) {
+        truncatedLines.push({ line: lineNumber, fields: result.truncated });
+      }
+    }
+
+    // 너무 긴 줄: 본문을 더 읽지 않고 연결을 닫음 (그 전 줄은 이미 저장됨)
+    if (guard.exceeded) {
+      input.unpipe(guard);
+      res.set('Connection', 'close');
+      return res.status(413).json({
+        error: '줄이 너무 깁니다',
+        message: `${lineNumber + 1}번째 줄이 최대 ${MAX_STREAM_LINE_LENGTH}바이트를 넘어 읽기를 중단했습니다`,
+        accepted: acceptedLines.length,
+        rejected: rejectedLines.length,
+        acceptedLines,
+        rejectedLines,
+        failedAtLine: lineNumber + 1
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${acceptedLines.length}개 줄 저장, ${rejectedLines.length}개 줄 거부`,
+      accepted: acceptedLines.length,
+      rejected: rejectedLines.length,
+      deduplicated: deduplicatedLines.length,
+      sampled: sampledLines.length,
+      acceptedLines,
+      rejectedLines,
+      deduplicatedLines,
+      sampledLines,
+      truncatedLines,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('스트리밍 로그 저장 실패:', error);
+
+    logMemoryStore.writeErrorLog(error, {
+      operation: 'streamLogSave',
+      linesRead: lineNumber,
+      accepted: acceptedLines.length,
+      rejected: rejectedLines.length,
+      userAgent: req.headers['user-agent'],
+      ip: req.ip,
+      timestamp: new Date().toISOString()
+    });
+
+    if (!res.headersSent) {
+      // 중간에 실패해도 이미 저장된 줄 번호는 알려준다
+      res.status(500).json({
+        error: '스트리밍 로그 저장에 실패했습니다',
+        message: error.message,
+        accepted: acceptedLines.length,
+        acceptedLines,
+        failedAtLine: lineNumber
+      });
+    }
+  }
+});
+
 /**
  * @swagger
  * /api/logs:
  *   get:
  *     summary: 로그 조회
- *     description: 필터링 조건에 따라 로그를 조회합니다. 메모리 버퍼와 데이터베이스 모두에서 조회합니다.
+ *     description: |
+ *       필터링 조건에 따라 로그를 조회합니다. 메모리 버퍼와 데이터베이스 모두에서 조회합니다.
+ *       반복 로그 묶기(LOG_COLLAPSE_ENABLED)가 켜져 있으면 같은 에러는 한 행으로 보이며 occurrences, first_seen, last_seen으로 횟수와 기간을 확인합니다.
+ *       원본 이벤트를 하나씩 봐야 하는 type은 LOG_COLLAPSE_EXCLUDE_TYPES에 넣으면 묶이지 않고 그대로 저장됩니다.
+ *
+ *       무한 스크롤은 page 대신 cursor를 사용합니다. 첫 요청(cursor 없음)의 nextCursor로 다음 페이지를,
+ *       prevCursor로 그 사이 들어온 새 로그를 가져오며, 메모리 버퍼와 DB 로그가 같은 순서로 이어집니다.
+ *
+ *       page 조회도 메모리 버퍼(DB에 저장 중인 로그 포함)와 DB 로그를 합친 하나의 목록을 limit개씩 나눈 결과라 페이지 사이에 빠지거나 겹치는 로그가 없습니다.
+ *       combined.total은 메모리 로그 수 + DB 로그 수이며, DB 개수가 추정치이면 combined.totalEstimated가 true입니다.
  *     tags:
  *       - Logs
  *     security:
@@ -277,8 +653,14 @@ router.post('/batch', async (req, res) => {
  *         name: level
  *         schema:
  *           type: string
- *           enum: [debug, info, warn, error]
- *         description: 로그 레벨로 필터링
+ *           enum: [trace, debug, info, warn, error, fatal]
+ *         description: 로그 레벨로 필터링 (err, warning 등 별칭도 허용)
+ *       - in: query
+ *         name: minLevel
+ *         schema:
+ *           type: string
+ *           enum: [trace, debug, info, warn, error, fatal]
+ *         description: 지정한 레벨 이상만 조회 (예 - warn이면 warn, error, fatal)
  *       - in: query
  *         name: message
  *         schema:
@@ -297,6 +679,13 @@ router.post('/batch', async (req, res) => {
  *           format: date-time
  *         description: 종료 날짜 (ISO 8601 형식)
  *       - in: query
+ *         name: timeField
+ *         schema:
+ *           type: string
+ *           enum: [created_at, occurred_at]
+ *           default: created_at
+ *         description: 날짜 필터와 정렬에 사용할 시각 (created_at - 서버 수신 시각, occurred_at - 클라이언트 이벤트 시각)
+ *       - in: query
  *         name: userId
  *         schema:
  *           type: string
@@ -305,20 +694,59 @@ router.post('/batch', async (req, res) => {
  *         name: metadata
  *         schema:
  *           type: string
- *         description: 메타데이터 내용으로 검색 (부분 일치)
+ *         description: 메타데이터 내용으로 검색 (JSON 전체 부분 일치, 특정 키는 meta 조건 권장)
+ *       - in: query
+ *         name: meta
+ *         style: form
+ *         explode: true
+ *         schema:
+ *           type: array
+ *           maxItems: 20
+ *           items:
+ *             type: string
+ *         example: ['stage_id=12', 'score>=1000', 'device.os=android', 'items exists']
+ *         description: |
+ *           metadata 필드 조건 (여러 개면 AND, metadata GIN 인덱스 사용)
+ *           - 형식: 경로 연산자 값 (=, !=, >, >=, <, <=) 또는 경로 exists / 경로 !exists
+ *           - 경로는 점으로 중첩 키 (device.os), 배열 값은 요소 중 하나라도 일치하면 일치
+ *           - = 는 숫자/불리언 값이면 같은 값의 문자열도 일치 (12 → 12, "12"), 따옴표로 감싸면 문자열만
+ *           - 비교 연산자는 값이 숫자면 숫자끼리, 아니면 문자열끼리 비교
+ *           - 쿼리 키에 경로를 써도 됩니다: ?meta.stage_id=12&meta.score>=1000&meta.items%20exists
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *           maxLength: 2000
+ *         example: 'level:error AND type:payment AND metadata.user_id:123 AND NOT message:"timeout"'
+ *         description: |
+ *           검색 쿼리 (다른 필터와 AND로 결합, 날짜 범위가 없으면 최근 7일)
+ *           - 연산자 AND, OR, NOT(대문자)과 괄호, 연산자 없이 나열하면 AND, 필드 없는 검색어는 message 검색
+ *           - 필드: type, log_id(정확히 일치), message, metadata(부분 일치), level, severity, created_at, occurred_at, metadata.<키>
+ *           - 와일드카드 *, ?와 field:*(값 존재), "따옴표"는 그대로 검색
+ *           - 범위 [a TO b], {a TO b}, 비교 >, >=, <, <= (level:>=warn, created_at:[2024-06-01 TO 2024-06-07], metadata.score:>1000)
+ *           - field:(a OR b)로 한 필드에 여러 값
+ *           문법 오류는 400 응답의 position(0부터 시작)으로 위치를 알려줍니다.
  *       - in: query
  *         name: reverse
  *         schema:
  *           type: boolean
  *           default: false
- *         description: 정렬 순서 반전 (true: 과거순, false: 최신순)
+ *         description: '정렬 순서 반전 (true - 과거순, false - 최신순)'
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: |
+ *           커서 페이지네이션 - 이전 응답의 data.combined.nextCursor 또는 prevCursor (page 대신 사용)
+ *           (created_at, id) 기준이라 새 로그가 들어와도 페이지가 밀리지 않으며, 같은 필터로 요청해야 합니다.
+ *           timeField=created_at에서만 사용할 수 있고 정렬 방향(reverse)은 커서를 만든 조회를 따릅니다.
  *       - in: query
  *         name: page
  *         schema:
  *           type: integer
  *           minimum: 1
  *           default: 1
- *         description: 페이지 번호
+ *         description: 페이지 번호 (cursor를 사용하면 무시)
  *       - in: query
  *         name: limit
  *         schema:
@@ -334,6 +762,22 @@ router.post('/batch', async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/LogsQueryResponse'
+ *       400:
+ *         description: 잘못된 파라미터 (q 문법 오류는 position 포함)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                 message:
+ *                   type: string
+ *                   example: '범위에 TO가 필요합니다 (위치 17)'
+ *                 position:
+ *                   type: integer
+ *                   nullable: true
+ *                   description: 문법 오류 위치 (q 문자열 기준 0부터)
  *       401:
  *         description: 인증 실패
  *       500:
@@ -374,105 +818,315 @@ const normalizeDateRange = (startInput, endInput) => {
   return { startDate, endDate };
 };
 
+// 검색 조건이 있는데 시작 날짜가 없을 때 쓰는 암묵적 시작 날짜 (7일 전 0시)
+// 검색 조건은 인덱스만으로 범위를 줄이기 어려워 전체 기간을 훑지 않도록 제한
+const implicitSearchStartDate = () => {
+  const sevenDaysAgo = new Date();
+  sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
+  sevenDaysAgo.setHours(0, 0, 0, 0);
+  return sevenDaysAgo;
+};
+
+// combined 정렬에서 통합 목록의 offset부터 count개를 만드는 데 필요한 DB 구간 조회
+// DB 행 d의 통합 목록 위치 = d + (그 행보다 앞선 메모리 로그 수)
+// 버퍼의 로그는 대부분 DB 로그보다 최신이므로 최신순이면 모두 앞선다고, reverse면 모두 뒤따른다고 가정해 count개만 가져오고,
+// 가져온 첫/마지막 행 앞의 실제 메모리 로그 수(countLogsBefore)로 모자란 앞/뒤 구간만 더 가져온다
+// (메모리 로그 수만큼 매번 더 가져오지 않으므로 깊은 페이지에서도 조회량이 페이지 크기 수준)
+// 반환값: { rows, dbOffset, dbLimit (sliceCombinedPage용, 끝까지 가져왔으면 Infinity), totalCount, totalEstimated }
+const fetchCombinedDbWindow = async (queryFilters, memoryLogs, { offset, count }) => {
+  const order = { reverse: queryFilters.reverse, timeField: queryFilters.timeField };
+  const fetchRows = async (dbOffset, dbLimit) => {
+    const result = await queryLogs({ ...queryFilters, offset: dbOffset, limit: dbLimit });
+    return {
+      rows: result.map(({ total_count, ...log }) => ({ ...log, source: 'database' })),
+      totalCount: result.totalCount,
+      totalEstimated: result.totalEstimated
+    };
+  };
+  const before = (row) => logMemoryStore.countLogsBefore(memoryLogs, row, order);
+
+  // 최소 시작 위치: 메모리 로그가 모두 앞선다면 (offset - 메모리 로그 수)부터 필요
+  const lowerBound = Math.max(0, offset - memoryLogs.length);
+  let dbOffset = order.reverse ? offset : lowerBound;
+  const first = await fetchRows(dbOffset, count);
+  let rows = first.rows;
+  let exhausted = rows.length < count;
+
+  // 가정한 위치 뒤에 DB 로그가 없음 → 남은 DB 로그 사용 (정확한 전체 개수를 알면 마지막 행부터)
+  if (rows.length === 0 && dbOffset > lowerBound) {
+    const start = !first.totalEstimated && first.totalCount > 0 ? Math.max(lowerBound, first.totalCount - 1) : lowerBound;
+    rows = (await fetchRows(start, dbOffset - start)).rows;
+    dbOffset = start;
+  }
+
+  if (rows.length > 0) {
+    // 첫 행의 통합 위치가 offset보다 뒤면 앞쪽 DB 행 추가 (첫 행보다 앞선 메모리 로그가 a개면 offset - a 이전 행은 필요 없음)
+    const precedingFirst = before(rows[0]);
+    if (dbOffset + precedingFirst > offset) {
+      const start = Math.max(lowerBound, offset - precedingFirst);
+      rows = [...(await fetchRows(start, dbOffset - start)).rows, ...rows];
+      dbOffset = start;
+    }
+
+    // 마지막 행의 통합 위치가 구간 끝(offset + count - 1)에 못 미치면 뒤쪽 DB 행 추가
+    if (!exhausted) {
+      const lastIndex = dbOffset + rows.length - 1;
+      const shortfall = offset + count - 1 - (lastIndex + before(rows[rows.length - 1]));
+      if (shortfall > 0) {
+        const more = (await fetchRows(lastIndex + 1, shortfall)).rows;
+        rows = [...rows, ...more];
+        exhausted = more.length < shortfall;
+      }
+    }
+  }
+
+  return {
+    rows,
+    dbOffset,
+    dbLimit: exhausted ? Infinity : rows.length,
+    totalCount: first.totalCount,
+    totalEstimated: first.totalEstimated
+  };
+};
+
 // GET /api/logs - 로그 조회
 router.get('/', async (req, res) => {
   try {
+    const timeField = req.query.timeField || 'created_at';
+    if (!['created_at', 'occurred_at'].includes(timeField)) {
+      return res.status(400).json({
+        error: '유효하지 않은 timeField입니다',
+        message: 'timeField는 created_at 또는 occurred_at 이어야 합니다'
+      });
+    }
+
+    // 레벨 필터는 표준 레벨로 정규화 (별칭 허용)
+    const level = req.query.level ? normalizeLevel(req.query.level) : undefined;
+    const minLevel = req.query.minLevel ? normalizeLevel(req.query.minLevel) : undefined;
+    if ((req.query.level && !level) || (req.query.minLevel && !minLevel)) {
+      return res.status(400).json({
+        error: '잘못된 레벨입니다',
+        message: 'level, minLevel은 trace, debug, info, warn, error, fatal 중 하나여야 합니다'
+      });
+    }
+
+    // 커서 페이지네이션 (created_at 기준만 지원, 정렬 방향은 커서를 만든 요청을 따름)
+    let cursor = null;
+    if (req.query.cursor) {
+      try {
+        cursor = decodeCursor(req.query.cursor);
+      } catch (error) {
+        return res.status(400).json({
+          error: '잘못된 cursor입니다',
+          message: error.message
+        });
+      }
+
+      if (timeField !== 'created_at') {
+        return res.status(400).json({
+          error: '커서 페이지네이션을 사용할 수 없습니다',
+          message: 'cursor는 timeField=created_at 조회에서만 사용할 수 있습니다'
+        });
+      }
+      if (req.query.reverse !== undefined && (req.query.reverse === 'true') !== cursor.reverse) {
+        return res.status(400).json({
+          error: '잘못된 cursor입니다',
+          message: 'cursor를 만든 조회와 reverse 값이 다릅니다'
+        });
+      }
+    }
+
+    // q 검색 쿼리 (문법 오류는 위치와 함께 400)
+    let searchQuery = null;
+    if (req.query.q) {
+      try {
+        searchQuery = parseLogSearchQuery(req.query.q);
+      } catch (error) {
+        return res.status(400).json({
+          error: '잘못된 검색 쿼리입니다',
+          message: error.message,
+          position: error.position ?? null
+        });
+      }
+    }
+
+    // metadata 필드 조건 (meta=stage_id=12 또는 meta.stage_id=12)
+    let metaFilters;
+    try {
+      metaFilters = parseMetadataFilterQuery(req.query);
+    } catch (error) {
+      return res.status(400).json({
+        error: '잘못된 meta 조건입니다',
+        message: error.message
+      });
+    }
+
     const range = normalizeDateRange(req.query.startDate, req.query.endDate);
     // 검색어는 있는데 날짜가 없으면 -> 최근 7일로 제한 (속도 최적화)
     // 전체 기간을 대상으로 검색+정렬하면 수백만 건을 정렬해야 해서 느림 (4초 이상)
     // 사용자가 명시적으로 날짜를 지정하지 않았다면, 최근 로그를 본다고 가정하고 범위를 좁힘
     let isImplicitDateRange = false;
-    if ((req.query.message || req.query.metadata) && !range.startDate) {
-      const sevenDaysAgo = new Date();
-      sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-      sevenDaysAgo.setHours(0, 0, 0, 0);
-      range.startDate = sevenDaysAgo;
+    if ((req.query.message || req.query.metadata || searchQuery) && !range.startDate) {
+      range.startDate = implicitSearchStartDate();
       isImplicitDateRange = true;
     }
 
     const filters = {
       type: req.query.type || undefined,
-      level: req.query.level || undefined,
+      level,
+      minLevel,
       message: req.query.message || undefined,
       startDate: range.startDate,
       endDate: range.endDate,
       userId: req.query.userId || undefined,
       metadata: req.query.metadata || undefined,
+      metaFilters,
+      q: req.query.q || undefined,
+      query: searchQuery || undefined, // q 파싱 결과 (메모리/DB 조건으로 변환)
       page: parseInt(req.query.page) || 1,
       limit: Math.min(parseInt(req.query.limit) || 50, 1000), // 최대 1000개 제한
       sortBy: req.query.sortBy || 'combined', // 'combined', 'memory', 'database'
-      reverse: req.query.reverse === 'true' // 정렬 순서 반전
+      reverse: cursor ? cursor.reverse : req.query.reverse === 'true', // 정렬 순서 반전
+      timeField, // 날짜 필터/정렬 기준 시각
+      ...(cursor && { cursor: req.query.cursor })
     };
 
-    // 메모리에서 로그 조회 (버퍼된 로그들)
-    const memoryResult = logMemoryStore.getStoredLogs(filters);
+    // 커서 모드: 커서 키 다음 행을 limit + 1개씩 가져와 통합한 뒤 limit개만 사용 (남는 1개로 다음 페이지 여부 판단)
+    // prev 방향은 반대 순서로 가져온 뒤 뒤집는다
+    const direction = cursor?.direction ?? 'next';
+    const ascending = direction === 'prev' ? !filters.reverse : filters.reverse;
+    const queryFilters = cursor
+      ? { ...filters, cursor: cursor.key, reverse: ascending, page: 1, limit: filters.limit + 1 }
+      : filters;
+
+    // 메모리에서 로그 조회 (버퍼된 로그 + 저장 중인 로그)
+    const memoryLogs = logMemoryStore.getSortedLogs(queryFilters);
+    const memoryResult = logMemoryStore.getStoredLogs(queryFilters, memoryLogs);
+    const memoryWindowLogs = cursor ? logMemoryStore.filterAfterCursor(memoryLogs, cursor.key, ascending) : memoryLogs;
+
+    // 통합 결과의 offset부터 limit + 1개를 만드는 데 필요한 DB 구간만 조회 (fetchCombinedDbWindow)
+    const pageOffset = cursor ? 0 : (filters.page - 1) * filters.limit;
+    const combined = filters.sortBy === 'combined';
+    let dbOffset = pageOffset;
+    let dbLimit = queryFilters.limit;
 
     // DB에서 로그 조회 (이미 저장된 로그들)
     let dbResult = null;
     let dbLogs = [];
+    let databaseAvailable = true;
     try {
-      const offset = (filters.page - 1) * filters.limit;
-      const queryResult = await queryLogs({
-        ...filters,
-        offset
-      });
-      
-      dbLogs = queryResult.map(({ total_count, ...log }) => ({
-        ...log,
-        source: 'database'
-      }));
+      let queryResult;
+      if (combined) {
+        const window = await fetchCombinedDbWindow(queryFilters, memoryWindowLogs, {
+          offset: pageOffset,
+          count: filters.limit + 1
+        });
+        ({ dbOffset, dbLimit } = window);
+        dbLogs = window.rows;
+        queryResult = window;
+      } else {
+        const result = await queryLogs({ ...queryFilters, limit: dbLimit, offset: dbOffset });
+        dbLogs = result.map(({ total_count, ...log }) => ({ ...log, source: 'database' }));
+        queryResult = result;
+      }
       
       dbResult = {
         records: dbLogs,
-        total: queryResult.length > 0 ? queryResult[0].total_count : 0,
-        page: filters.page,
-        totalPages: queryResult.length > 0 ? Math.ceil(queryResult[0].total_count / filters.limit) : 0
+        total: queryResult.totalCount,
+        totalEstimated: queryResult.totalEstimated,
+        offset: dbOffset,
+        page: cursor ? null : filters.page,
+        totalPages: Math.ceil(queryResult.totalCount / filters.limit)
       };
     } catch (dbError) {
       console.error('DB 로그 조회 중 에러:', dbError);
+      databaseAvailable = false;
       dbResult = {
         records: [],
         total: 0,
-        page: filters.page,
+        totalEstimated: false,
+        offset: dbOffset,
+        page: cursor ? null : filters.page,
         totalPages: 0
       };
     }
 
     // 통합 정렬된 결과 생성
     let combinedLogs = [];
-    if (filters.sortBy === 'combined') {
-      // 메모리와 DB 로그를 시간순으로 통합 정렬
-      const memoryLogs = memoryResult.records.filter(log => !log.total_count); // 메모리 로그만 필터링
-      combinedLogs = logMemoryStore.mergeAndSortLogs(
-        memoryLogs, 
-        dbLogs, 
-        filters.limit,
-        filters.reverse
-      );
+    let hasMore = false;
+    if (combined) {
+      // 메모리와 DB 로그를 시간순으로 통합한 목록에서 요청 페이지 구간만 잘라냄
+      combinedLogs = logMemoryStore.sliceCombinedPage(memoryWindowLogs, dbLogs, {
+        offset: pageOffset,
+        limit: filters.limit + 1,
+        dbOffset,
+        dbLimit,
+        reverse: queryFilters.reverse,
+        timeField: filters.timeField
+      });
+
+      hasMore = combinedLogs.length > filters.limit;
+      combinedLogs = combinedLogs.slice(0, filters.limit);
+      if (direction === 'prev') combinedLogs.reverse();
     }
 
+    // 다음/이전 페이지 커서 (created_at 기준 조회만)
+    // 빈 페이지면 요청 커서 위치를 유지해 새 로그를 다시 확인할 수 있게 한다
+    let nextCursor = null;
+    let prevCursor = null;
+    if (filters.timeField === 'created_at' && filters.sortBy === 'combined') {
+      const firstKey = combinedLogs.length > 0 ? logCursorKey(combinedLogs[0]) : cursor?.key;
+      const lastKey = combinedLogs.length > 0 ? logCursorKey(combinedLogs[combinedLogs.length - 1]) : cursor?.key;
+      const cursorOptions = { reverse: filters.reverse };
+
+      if (lastKey && (hasMore || direction === 'prev')) {
+        nextCursor = encodeCursor(lastKey, { ...cursorOptions, direction: 'next' });
+      }
+      if (firstKey) {
+        prevCursor = encodeCursor(firstKey, { ...cursorOptions, direction: 'prev' });
+      }
+    }
+
+    // 커서 계산용 내부 컬럼 제거
+    combinedLogs = combinedLogs.map(({ cursor_us, ...log }) => log);
+    dbResult.records = dbResult.records.map(({ cursor_us, ...log }) => log);
+
+    const combinedTotal = memoryResult.total + dbResult.total;
+
     const responseData = {
       success: true,
       data: {
         // 통합 정렬 결과 (기본)
         combined: {
           records: combinedLogs,
-          total: memoryResult.total + (dbResult?.total || 0),
+          total: combinedTotal,
+          // DB 개수가 통계/EXPLAIN 추정치이거나 DB를 조회하지 못했으면 true (total, totalPages는 참고용)
+          totalEstimated: dbResult.totalEstimated || !databaseAvailable,
+          totalPages: cursor ? null : Math.ceil(combinedTotal / filters.limit),
           totalMemoryLogs: memoryResult.total,
-          totalDatabaseLogs: dbResult?.total || 0,
+          totalDatabaseLogs: dbResult.total,
+          databaseAvailable,
           bufferSize: logMemoryStore.getBufferSize(),
-          sortedBy: 'created_at_desc'
+          sortedBy: `${filters.timeField}_${filters.reverse ? 'asc' : 'desc'}`,
+          pagination: cursor ? 'cursor' : 'page',
+          // 커서 페이지네이션: nextCursor는 더 오래된(reverse면 더 최신) 로그, prevCursor는 반대 방향
+          nextCursor,
+          prevCursor,
+          hasMore // 요청 방향(cursor 모드의 next/prev)으로 로그가 더 있는지
         },
         // 개별 결과 (필요시 참조용)
         memory: memoryResult,
         database: dbResult,
         // 메타 정보
           meta: {
-            query: filters,
+            query: { ...filters, query: undefined },
             isImplicitDateRange, // 클라이언트가 알 수 있게 플래그 추가
             timestamp: new Date().toISOString(),
             explanation: {
               created_at: '로그가 생성된 시간 (클라이언트 요청 시간)',
+              occurred_at: '클라이언트가 보낸 이벤트 발생 시간 (occurredAt 미전송 시 created_at과 동일)',
+              clock_skew_ms: 'created_at - occurred_at (밀리초, occurredAt을 보낸 경우만)',
+              severity: '레벨의 숫자 심각도 (trace 0, debug 1, info 2, warn 3, error 4, fatal 5)',
               logged_at: '로그가 DB에 실제 저장된 시간',
               source: 'memory: 아직 처리되지 않은 버퍼 로그, database: 이미 저장된 로그'
             }
@@ -492,6 +1146,244 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/logs/search:
+ *   get:
+ *     summary: 로그 전문 검색
+ *     description: |
+ *       PostgreSQL 전문 검색(tsvector, simple 설정 + 한글 2-gram)으로 message를 검색하고 관련도 순으로 반환합니다.
+ *       각 로그에는 관련도(rank, ts_rank_cd)와 검색어를 <mark>로 강조한 발췌(headline, ts_headline)가 붙습니다.
+ *       headline은 <mark> 태그 외의 내용을 HTML 이스케이프하므로 그대로 HTML로 렌더링할 수 있습니다 (message 원문은 이스케이프되지 않음).
+ *       한글 부분 일치("결제실패했습니다" 속 "결제")도 강조하며, 한 글자 한글 검색어는 강조하지 않습니다.
+ *
+ *       검색어 문법:
+ *       - 공백으로 나눈 단어는 모두 포함(AND), OR로 잇기, 앞에 -를 붙이면 제외 (payment OR refund -test)
+ *       - "따옴표"는 구문 검색 ("connection reset")
+ *       - 단어 끝 *는 접두어 검색 (pay* → payment, payload)
+ *       - 한글은 2-gram 기준이라 조사가 붙은 단어도 찾습니다 (결제 → 결제가, 결제실패). 강조는 단어 전체가 일치할 때만 표시됩니다.
+ *
+ *       startDate가 없으면 GET /api/logs의 검색 조건과 같이 최근 7일(7일 전 0시부터)만 검색합니다.
+ *
+ *       DB에 저장된 로그만 검색하므로 아직 메모리 버퍼에 있는 로그(bufferSize)는 포함되지 않습니다.
+ *     tags:
+ *       - Logs
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *           maxLength: 500
+ *         example: '"payment failed" 결제 pay* -test'
+ *         description: 검색어
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [relevance, time]
+ *           default: relevance
+ *         description: 정렬 (relevance - 관련도순, time - 최신순)
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: 로그 타입으로 필터링
+ *       - in: query
+ *         name: level
+ *         schema:
+ *           type: string
+ *         description: 로그 레벨로 필터링 (별칭 허용)
+ *       - in: query
+ *         name: minLevel
+ *         schema:
+ *           type: string
+ *         description: 지정 레벨 이상만 조회
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *         description: 시작 날짜 (created_at 기준, YYYY-MM-DD 또는 ISO 8601, 없으면 7일 전 0시)
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *         description: 종료 날짜 (created_at 기준, YYYY-MM-DD면 그날 끝까지)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *         description: 페이지당 항목 수 (발췌 생성 비용 때문에 최대 200)
+ *     responses:
+ *       200:
+ *         description: 검색 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     records:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id: { type: integer }
+ *                           log_id: { type: string }
+ *                           type: { type: string }
+ *                           level: { type: string }
+ *                           message: { type: string }
+ *                           metadata: { type: object }
+ *                           created_at: { type: string, format: date-time }
+ *                           rank: { type: number, description: '관련도 (0~1, ts_rank_cd 정규화)' }
+ *                           headline: { type: string, description: 'HTML 이스케이프된 발췌 (검색어만 <mark>로 강조)', example: '결제 요청 <mark>payment</mark> <mark>failed</mark>: timeout &lt;500&gt;' }
+ *                           source: { type: string, enum: [database] }
+ *                     total:
+ *                       type: integer
+ *                     totalEstimated:
+ *                       type: boolean
+ *                       description: total이 EXPLAIN 추정치인지 (1,000개 이상)
+ *                     page:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *                     order:
+ *                       type: string
+ *                     tsquery:
+ *                       type: string
+ *                       description: 검색어를 변환한 to_tsquery('simple') 식
+ *                     startDate:
+ *                       type: string
+ *                       format: date-time
+ *                       description: 실제 적용한 시작 날짜
+ *                     isImplicitDateRange:
+ *                       type: boolean
+ *                       description: startDate를 보내지 않아 최근 7일로 제한했는지
+ *                     bufferSize:
+ *                       type: integer
+ *                       description: 아직 DB에 저장되지 않아 검색에 포함되지 않은 버퍼 로그 수
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: 잘못된 파라미터 (검색어 문법 오류는 position 포함)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                 message:
+ *                   type: string
+ *                 position:
+ *                   type: integer
+ *                   nullable: true
+ *       401:
+ *         description: 인증 실패
+ *       503:
+ *         description: DB 조회 실패
+ */
+// GET /api/logs/search - 전문 검색
+router.get('/search', async (req, res) => {
+  let search;
+  try {
+    search = buildSearchTsQuery(req.query.query);
+  } catch (error) {
+    return res.status(400).json({
+      error: '잘못된 검색어입니다',
+      message: error.message,
+      position: error.position ?? null
+    });
+  }
+
+  const order = req.query.order || 'relevance';
+  if (!['relevance', 'time'].includes(order)) {
+    return res.status(400).json({
+      error: '유효하지 않은 order입니다',
+      message: 'order는 relevance 또는 time 이어야 합니다'
+    });
+  }
+
+  const level = req.query.level ? normalizeLevel(req.query.level) : undefined;
+  const minLevel = req.query.minLevel ? normalizeLevel(req.query.minLevel) : undefined;
+  if ((req.query.level && !level) || (req.query.minLevel && !minLevel)) {
+    return res.status(400).json({
+      error: '잘못된 레벨입니다',
+      message: 'level, minLevel은 trace, debug, info, warn, error, fatal 중 하나여야 합니다'
+    });
+  }
+
+  // GET /api/logs의 검색 조건과 같이 시작 날짜가 없으면 최근 7일로 제한 (관련도순은 일치하는 행 전체의 순위를 계산하므로)
+  const range = normalizeDateRange(req.query.startDate, req.query.endDate);
+  if ([range.startDate, range.endDate].some(date => date && Number.isNaN(date.getTime()))) {
+    return res.status(400).json({
+      error: '잘못된 날짜입니다',
+      message: 'startDate, endDate는 YYYY-MM-DD 또는 ISO 8601 형식이어야 합니다'
+    });
+  }
+  const isImplicitDateRange = !range.startDate;
+  if (isImplicitDateRange) {
+    range.startDate = implicitSearchStartDate();
+  }
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+  try {
+    const { rows, total, totalEstimated } = await searchLogs({
+      tsquery: search.tsquery,
+      terms: search.terms,
+      type: req.query.type || undefined,
+      level,
+      minLevel,
+      startDate: range.startDate,
+      endDate: range.endDate,
+      limit,
+      offset: (page - 1) * limit,
+      order
+    });
+
+    res.json({
+      success: true,
+      data: {
+        records: rows.map(row => ({ ...row, source: 'database' })),
+        total,
+        totalEstimated,
+        page,
+        totalPages: Math.ceil(total / limit),
+        order,
+        tsquery: search.tsquery,
+        startDate: range.startDate.toISOString(),
+        isImplicitDateRange,
+        bufferSize: logMemoryStore.getBufferSize()
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('전문 검색 실패:', error);
+    res.status(503).json({
+      error: '검색에 실패했습니다',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/logs/flush:
@@ -594,6 +1486,24 @@ router.get('/stats', async (req, res) => {
         database: {
           connectionString: process.env.SHIBA_LOG_DATABASE_URL ? 'Connected' : 'Not configured'
         },
+        // 수집 단계 설정
+        ingest: {
+          clockSkew: getClockSkewConfig(),
+          levels: getLevelConfig(),
+          fieldLimits: getFieldLimitConfig(),
+          metadataSchemas: metadataSchemaRegistry.getStats(),
+          sampling: logSampler.getStats(),
+          redaction: logRedactor.getStats(),
+          enrichment: logEnricher.getStats()
+        },
+        // syslog 수신 통계 (파싱 실패 포함)
+        syslog: syslogListener.getStats(),
+        // sendBeacon 수신 통계 (항상 204로 응답하므로 실패는 여기서만 확인 가능)
+        beacon: getBeaconStats(),
+        // WebSocket 연결 수와 연결별 처리량
+        websocket: logWebSocketServer.getStats(),
+        // Fluent Bit / Fluentd 수신 통계와 적용 중인 매핑
+        fluent: getFluentStats(),
         // 새로운 상세 통계
         performance: {
           averageBufferSize: stats.bufferSize,
@@ -714,6 +1624,15 @@ router.get('/health', (req, res) => {
     healthStatus = 'warning';
     issues.push('버퍼 크기가 큽니다');
   }
+
+  // 버퍼 한도 초과로 수집을 거부/버리는 중이면 위험
+  const backpressure = stats.backpressure;
+  if (backpressure.overloaded) {
+    healthStatus = 'critical';
+    issues.push(backpressure.state === 'shedding'
+      ? '버퍼 한도 초과 - 우선순위가 낮은 로그를 버리는 중입니다'
+      : '버퍼 한도 초과 - 수집 요청을 429로 거부하는 중입니다');
+  }
   
   // 실패율이 높으면 경고/위험
   const successRate = parseFloat(stats.successRate);
@@ -751,6 +1670,7 @@ router.get('/health', (req, res) => {
       bufferSize: stats.bufferSize,
       isProcessing: stats.isProcessing
     },
+    backpressure,
     logStore: {
       totalProcessed: stats.totalProcessed,
       totalFailed: stats.totalFailed,
@@ -763,6 +1683,7 @@ router.get('/health', (req, res) => {
     recommendations: healthStatus !== 'healthy' ? [
       healthStatus === 'critical' ? '데이터베이스 연결 상태를 확인하세요' : null,
       stats.bufferSize > stats.batchSize * 2 ? '수동 플러시를 실행하세요' : null,
+      backpressure.overloaded ? '데이터베이스 상태를 확인하고 버퍼 한도(LOG_BUFFER_MAX_ENTRIES, LOG_BUFFER_MAX_BYTES)를 점검하세요' : null,
       failedLogs.length > 0 ? '실패한 로그들을 재시도하세요' : null
     ].filter(Boolean) : null
   });
@@ -971,8 +1892,7 @@ router.post('/switch-to-legacy', async (req, res) => {
 // POST /api/logs/retry-failed - 실패한 로그 재시도
 router.post('/retry-failed', async (req, res) => {
   try {
-    const failedLogs = logMemoryStore.getFailedLogs();
-    const failedCount = failedLogs.length;
+    const failedCount = await logMemoryStore.retryFailedLogs();
     
     if (failedCount === 0) {
       return res.json({
@@ -983,8 +1903,6 @@ router.post('/retry-failed', async (req, res) => {
       });
     }
     
-    await logMemoryStore.retryFailedLogs();
-    
     res.json({
       success: true,
       message: `${failedCount}개 실패한 로그 재시도를 시작했습니다`,
@@ -1245,4 +2163,211 @@ router.post('/system/repair', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/logs/schemas:
+ *   get:
+ *     summary: metadata 스키마 목록 조회
+ *     description: 로그 type별로 등록된 metadata JSON Schema와 검증 통계를 조회합니다.
+ *     tags:
+ *       - Schemas
+ *     security:
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: 조회 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MetadataSchema'
+ *       401:
+ *         description: 인증 실패
+ */
+// GET /api/logs/schemas - metadata 스키마 목록
+router.get('/schemas', (req, res) => {
+  res.json({
+    success: true,
+    data: metadataSchemaRegistry.list(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * @swagger
+ * /api/logs/schemas/{type}:
+ *   get:
+ *     summary: metadata 스키마 조회
+ *     tags:
+ *       - Schemas
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 조회 성공
+ *       404:
+ *         description: 등록된 스키마 없음
+ *   put:
+ *     summary: metadata 스키마 등록/수정
+ *     description: |
+ *       로그 type의 metadata에 적용할 JSON Schema를 등록합니다. 이미 있으면 교체합니다.
+ *       등록 즉시 POST /api/logs, /batch 등 모든 수집 경로에서 검증되며 Swagger 문서의 Metadata_{type} 스키마로 게시됩니다.
+ *       수집용 API 키와 함께 x-admin-key 헤더에 SCHEMA_ADMIN_API_KEY가 필요합니다.
+ *     tags:
+ *       - Schemas
+ *     security:
+ *       - ApiKeyAuth: []
+ *         SchemaAdminKey: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           maxLength: 50
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MetadataSchema'
+ *     responses:
+ *       200:
+ *         description: 등록 성공
+ *       400:
+ *         description: 잘못된 스키마 또는 mode
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: 인증 실패
+ *       403:
+ *         description: 관리자 키 누락 또는 불일치 (SCHEMA_ADMIN_API_KEY 미설정 시 항상 403)
+ *       500:
+ *         description: 서버 에러
+ *   delete:
+ *     summary: metadata 스키마 삭제
+ *     description: 수집용 API 키와 함께 x-admin-key 헤더에 SCHEMA_ADMIN_API_KEY가 필요합니다.
+ *     tags:
+ *       - Schemas
+ *     security:
+ *       - ApiKeyAuth: []
+ *         SchemaAdminKey: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 삭제 성공
+ *       403:
+ *         description: 관리자 키 누락 또는 불일치
+ *       404:
+ *         description: 등록된 스키마 없음
+ */
+// GET /api/logs/schemas/:type - metadata 스키마 조회
+router.get('/schemas/:type', (req, res) => {
+  const schema = metadataSchemaRegistry.get(req.params.type);
+  if (!schema) {
+    return res.status(404).json({
+      error: '등록된 스키마가 없습니다',
+      message: `'${req.params.type}' 타입에 등록된 metadata 스키마가 없습니다`
+    });
+  }
+
+  res.json({
+    success: true,
+    data: schema,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// PUT /api/logs/schemas/:type - metadata 스키마 등록/수정
+router.put('/schemas/:type', requireSchemaAdminKey, async (req, res) => {
+  const { type } = req.params;
+  const { schema, mode, description } = req.body || {};
+
+  if (type.length > 50) {
+    return res.status(400).json({
+      error: 'type은 50자 이하여야 합니다'
+    });
+  }
+  if (mode !== undefined && !SCHEMA_MODES.includes(mode)) {
+    return res.status(400).json({
+      error: '잘못된 mode입니다',
+      message: `mode는 ${SCHEMA_MODES.join(', ')} 중 하나여야 합니다`
+    });
+  }
+
+  try {
+    metadataSchemaRegistry.compile(schema);
+  } catch (error) {
+    return res.status(400).json({
+      error: '유효하지 않은 JSON Schema입니다',
+      message: error.message
+    });
+  }
+
+  try {
+    const saved = await metadataSchemaRegistry.set(type, { schema, mode, description });
+    console.log(`📐 metadata 스키마 등록: ${type} (${saved.mode})`);
+
+    res.json({
+      success: true,
+      message: `'${type}' 타입의 metadata 스키마가 등록되었습니다`,
+      data: saved,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('metadata 스키마 등록 실패:', error);
+    res.status(500).json({
+      error: 'metadata 스키마 등록에 실패했습니다',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// DELETE /api/logs/schemas/:type - metadata 스키마 삭제
+router.delete('/schemas/:type', requireSchemaAdminKey, async (req, res) => {
+  try {
+    const deleted = await metadataSchemaRegistry.remove(req.params.type);
+    if (!deleted) {
+      return res.status(404).json({
+        error: '등록된 스키마가 없습니다',
+        message: `'${req.params.type}' 타입에 등록된 metadata 스키마가 없습니다`
+      });
+    }
+
+    console.log(`📐 metadata 스키마 삭제: ${req.params.type}`);
+    res.json({
+      success: true,
+      message: `'${req.params.type}' 타입의 metadata 스키마가 삭제되었습니다`,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('metadata 스키마 삭제 실패:', error);
+    res.status(500).json({
+      error: 'metadata 스키마 삭제에 실패했습니다',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
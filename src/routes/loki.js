@@ -0,0 +1,293 @@
+import express from 'express';
+import { logMemoryStore } from '../services/log-memory-store.js';
+import { ingestLog } from '../services/log-ingest.js';
+import { ingestContext } from '../services/log-enricher.js';
+import { parsePushRequest, parseLogQuery, matchesLogQuery, toStoreFilters, parseLokiTime, toStreamsResult } from '../services/loki.js';
+import { queryLogs } from '../config/database.js';
+import { validateApiKey } from '../middleware/auth.js';
+import { rejectWhenOverloaded } from '../middleware/backpressure.js';
+
+const router = express.Router();
+
+const PROTOBUF_CONTENT_TYPE = 'application/x-protobuf';
+// 후처리 필터(정규식, 기타 라벨 등)가 있을 때 DB/메모리에서 가져올 최대 행 수
+const QUERY_SCAN_LIMIT = parseInt(process.env.LOKI_QUERY_SCAN_LIMIT) || 5000;
+
+// Promtail/Grafana에서 x-api-key 헤더를 설정해 인증 (clients[].headers, 데이터소스 Custom HTTP Headers)
+router.use(validateApiKey);
+
+// Promtail 기본 포맷은 snappy 압축 protobuf
+router.use(express.raw({ type: PROTOBUF_CONTENT_TYPE, limit: '10mb' }));
+
+/**
+ * @swagger
+ * /loki/api/v1/push:
+ *   post:
+ *     summary: Loki 호환 로그 push
+ *     description: |
+ *       Promtail, Grafana Alloy 등 Loki 클라이언트가 보내는 push 요청을 저장합니다.
+ *       application/x-protobuf(snappy 압축 PushRequest)와 application/json을 지원합니다.
+ *
+ *       라벨 매핑:
+ *       - type: LOKI_TYPE_LABELS 중 처음 존재하는 라벨 (기본 type, job, app, service_name)
+ *       - level: LOKI_LEVEL_LABELS 중 처음 존재하는 라벨 (기본 level, severity, detected_level)
+ *       - LOKI_METADATA_LABELS 라벨은 metadata 최상위 키로 복사 (기본 user_id)
+ *       - 전체 라벨은 metadata.labels, 구조화 메타데이터는 metadata.structured_metadata에 저장
+ *       - 엔트리 타임스탬프는 occurredAt으로 저장
+ *     tags:
+ *       - Loki
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               streams:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     stream:
+ *                       type: object
+ *                       additionalProperties:
+ *                         type: string
+ *                     values:
+ *                       type: array
+ *                       items:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *           example:
+ *             streams:
+ *               - stream: { job: "game-api", level: "error", user_id: "12345" }
+ *                 values:
+ *                   - ["1718000000000000000", "결제 검증 실패"]
+ *         application/x-protobuf:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       204:
+ *         description: 저장 성공
+ *       400:
+ *         description: 요청 본문을 해석할 수 없거나 일부 엔트리가 검증에 실패함 (text/plain)
+ *       401:
+ *         description: 인증 실패
+ *       415:
+ *         description: 지원하지 않는 Content-Type
+ *       429:
+ *         $ref: '#/components/responses/Overloaded'
+ */
+// POST /loki/api/v1/push - Loki 호환 push
+router.post('/push', rejectWhenOverloaded, async (req, res) => {
+  let entries;
+
+  try {
+    if (req.is(PROTOBUF_CONTENT_TYPE)) {
+      entries = parsePushRequest(Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0), true);
+    } else if (req.is('application/json')) {
+      entries = parsePushRequest(req.body, false);
+    } else {
+      return res.status(415).type('text/plain').send(`지원하지 않는 Content-Type입니다 (application/json 또는 ${PROTOBUF_CONTENT_TYPE})`);
+    }
+  } catch (error) {
+    return res.status(400).type('text/plain').send(`push 요청 해석 실패: ${error.message}`);
+  }
+
+  try {
+    let rejected = 0;
+    let overloaded = 0;
+    let firstError = '';
+    let retryAfterSec = null;
+
+    const context = ingestContext(req, 'loki');
+    for (const logData of entries) {
+      const result = await ingestLog(logData, { context });
+      if (result.status === 'accepted' || result.status === 'duplicate' || result.status === 'shed' || result.status === 'sampled') continue;
+
+      if (result.status === 'overloaded') {
+        overloaded++;
+        retryAfterSec = result.retryAfterSec;
+      } else {
+        rejected++;
+      }
+      if (!firstError) firstError = result.reason;
+    }
+
+    // 버퍼 초과로 거부된 엔트리가 있으면 클라이언트가 재시도하도록 429
+    if (overloaded > 0) {
+      res.set('Retry-After', String(retryAfterSec));
+      return res.status(429).type('text/plain').send(`${entries.length}개 중 ${overloaded}개 거부: ${firstError}`);
+    }
+
+    // 검증 실패는 재시도해도 같으므로 400 (나머지 엔트리는 저장됨)
+    if (rejected > 0) {
+      return res.status(400).type('text/plain').send(`${entries.length}개 중 ${rejected}개 거부: ${firstError}`);
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('Loki push 저장 실패:', error);
+
+    logMemoryStore.writeErrorLog(error, {
+      operation: 'lokiPush',
+      contentType: req.headers['content-type'],
+      entryCount: entries.length,
+      userAgent: req.headers['user-agent'],
+      ip: req.ip,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(500).type('text/plain').send('로그 저장에 실패했습니다');
+  }
+});
+
+/**
+ * @swagger
+ * /loki/api/v1/query_range:
+ *   get:
+ *     summary: Loki 호환 로그 조회 (query_range 일부)
+ *     description: |
+ *       Grafana Loki 데이터소스에서 사용할 수 있는 로그 조회 API입니다.
+ *       지원 범위는 스트림 셀렉터({label="value"}, !=, =~, !~)와 라인 필터(|=, !=, |~, !~)입니다.
+ *       파서(| json 등)와 메트릭 쿼리(rate, count_over_time 등)는 지원하지 않습니다.
+ *       정규식(=~, !~, |~)은 Loki와 같은 RE2 문법이며, 전방탐색/역참조 등 RE2가 지원하지 않는 구문은 400으로 거부합니다.
+ *
+ *       type, level, user_id의 = 매처와 첫 번째 |= 필터는 DB 조회 조건으로 사용하고,
+ *       나머지 조건은 조회한 최대 LOKI_QUERY_SCAN_LIMIT(기본 5000)개 행에 적용합니다.
+ *       시간 범위와 정렬은 occurred_at(엔트리 타임스탬프) 기준입니다.
+ *     tags:
+ *       - Loki
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: '{type="game-api", level="error"} |= "결제"'
+ *       - in: query
+ *         name: start
+ *         schema:
+ *           type: string
+ *         description: 시작 시각 (나노초 epoch, 초 epoch 또는 RFC3339, 기본 end - 1시간)
+ *       - in: query
+ *         name: end
+ *         schema:
+ *           type: string
+ *         description: 종료 시각 (기본 현재)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 1000
+ *       - in: query
+ *         name: direction
+ *         schema:
+ *           type: string
+ *           enum: [backward, forward]
+ *           default: backward
+ *     responses:
+ *       200:
+ *         description: 조회 성공 (resultType streams)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     resultType:
+ *                       type: string
+ *                       example: streams
+ *                     result:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           stream:
+ *                             type: object
+ *                             additionalProperties:
+ *                               type: string
+ *                           values:
+ *                             type: array
+ *                             items:
+ *                               type: array
+ *                               items:
+ *                                 type: string
+ *       400:
+ *         description: 잘못되었거나 지원하지 않는 쿼리 (text/plain)
+ *       401:
+ *         description: 인증 실패
+ */
+// GET /loki/api/v1/query_range - Loki 호환 조회
+router.get('/query_range', async (req, res) => {
+  let logQuery;
+  let startDate;
+  let endDate;
+
+  try {
+    logQuery = parseLogQuery(req.query.query);
+    endDate = parseLokiTime(req.query.end, new Date());
+    startDate = parseLokiTime(req.query.start, new Date(endDate.getTime() - 60 * 60 * 1000));
+  } catch (error) {
+    return res.status(400).type('text/plain').send(error.message);
+  }
+
+  if (req.query.direction && !['backward', 'forward'].includes(req.query.direction)) {
+    return res.status(400).type('text/plain').send('direction은 backward 또는 forward 이어야 합니다');
+  }
+
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const filters = {
+      ...toStoreFilters(logQuery),
+      startDate,
+      endDate,
+      timeField: 'occurred_at',
+      reverse: req.query.direction === 'forward',
+      page: 1,
+      limit: QUERY_SCAN_LIMIT
+    };
+
+    const memoryLogs = logMemoryStore.getStoredLogs(filters).records
+      .filter(log => matchesLogQuery(log, logQuery));
+
+    let dbLogs = [];
+    try {
+      const rows = await queryLogs({ ...filters, offset: 0 });
+      dbLogs = rows
+        .map(({ total_count, ...log }) => log)
+        .filter(log => matchesLogQuery(log, logQuery));
+    } catch (dbError) {
+      console.error('Loki 조회 중 DB 에러:', dbError);
+    }
+
+    const rows = logMemoryStore.mergeAndSortLogs(memoryLogs, dbLogs, limit, filters.reverse, 'occurred_at');
+
+    res.json({
+      status: 'success',
+      data: {
+        resultType: 'streams',
+        result: toStreamsResult(rows),
+        stats: {
+          summary: { totalEntriesReturned: rows.length }
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Loki 조회 실패:', error);
+    res.status(500).type('text/plain').send(`로그 조회에 실패했습니다: ${error.message}`);
+  }
+});
+
+export default router;
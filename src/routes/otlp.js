@@ -0,0 +1,198 @@
+import express from 'express';
+import { logMemoryStore } from '../services/log-memory-store.js';
+import { ingestLog } from '../services/log-ingest.js';
+import { ingestContext } from '../services/log-enricher.js';
+import { decodeExportLogsRequest, mapExportLogsRequest } from '../services/otlp-logs.js';
+import { encodeFields } from '../services/protobuf.js';
+import { validateApiKey } from '../middleware/auth.js';
+import { rejectWhenOverloaded } from '../middleware/backpressure.js';
+
+const router = express.Router();
+
+const PROTOBUF_CONTENT_TYPE = 'application/x-protobuf';
+
+// OTel SDK exporter도 x-api-key 헤더로 인증 (OTEL_EXPORTER_OTLP_HEADERS="x-api-key=...")
+router.use(validateApiKey);
+
+// protobuf 요청 본문은 원본 바이트로 받음 (gzip은 body-parser가 해제)
+router.use(express.raw({ type: PROTOBUF_CONTENT_TYPE, limit: '10mb' }));
+
+// 요청과 같은 인코딩(JSON/protobuf)으로 응답
+const sendOtlpResponse = (req, res, status, { rejected = 0, message = '' } = {}) => {
+  const isProtobuf = req.is(PROTOBUF_CONTENT_TYPE);
+
+  if (status !== 200) {
+    // 실패 응답은 google.rpc.Status { code, message } (3: INVALID_ARGUMENT, 8: RESOURCE_EXHAUSTED, 13: INTERNAL)
+    const code = status === 400 ? 3 : status === 429 ? 8 : 13;
+    res.status(status);
+    if (isProtobuf) {
+      return res.type(PROTOBUF_CONTENT_TYPE).send(encodeFields([
+        { field: 1, type: 'varint', value: code },
+        { field: 2, type: 'string', value: message }
+      ]));
+    }
+    return res.json({ code, message });
+  }
+
+  // 성공 응답은 ExportLogsServiceResponse (거부된 레코드가 있을 때만 partialSuccess 포함)
+  if (isProtobuf) {
+    const partialSuccess = rejected > 0
+      ? encodeFields([
+        { field: 1, type: 'varint', value: rejected },
+        { field: 2, type: 'string', value: message }
+      ])
+      : null;
+    return res.type(PROTOBUF_CONTENT_TYPE).send(encodeFields([{ field: 1, type: 'bytes', value: partialSuccess }]));
+  }
+  return res.json(rejected > 0
+    ? { partialSuccess: { rejectedLogRecords: String(rejected), errorMessage: message } }
+    : {});
+};
+
+/**
+ * @swagger
+ * /v1/logs:
+ *   post:
+ *     summary: OpenTelemetry OTLP/HTTP 로그 수신
+ *     description: |
+ *       OTel SDK의 OTLP/HTTP 로그 exporter가 보내는 ExportLogsServiceRequest를 저장합니다.
+ *       application/json(OTLP/JSON)과 application/x-protobuf를 모두 지원하며, 응답도 요청과 같은 형식으로 보냅니다.
+ *
+ *       매핑 규칙:
+ *       - type: 리소스 속성 service.name → 스코프 이름 → OTLP_DEFAULT_LOG_TYPE(기본 otel)
+ *       - level: severityNumber(TRACE~FATAL) 또는 severityText
+ *       - message: body (문자열이 아니면 JSON 문자열)
+ *       - occurredAt: timeUnixNano (없으면 observedTimeUnixNano)
+ *       - metadata: trace_id, span_id, attributes, resource, scope, otel(severity/flags/eventName)
+ *
+ *       검증에 실패한 LogRecord는 partialSuccess.rejectedLogRecords로 보고합니다.
+ *     tags:
+ *       - OpenTelemetry
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               resourceLogs:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *           example:
+ *             resourceLogs:
+ *               - resource:
+ *                   attributes:
+ *                     - key: "service.name"
+ *                       value: { stringValue: "game-api" }
+ *                 scopeLogs:
+ *                   - scope: { name: "matchmaking" }
+ *                     logRecords:
+ *                       - timeUnixNano: "1718000000000000000"
+ *                         severityNumber: 17
+ *                         severityText: "ERROR"
+ *                         body: { stringValue: "매칭 서버 응답 없음" }
+ *                         traceId: "5b8efff798038103d269b633813fc60c"
+ *                         spanId: "eee19b7ec3c1b174"
+ *                         attributes:
+ *                           - key: "user_id"
+ *                             value: { intValue: "12345" }
+ *         application/x-protobuf:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       200:
+ *         description: 수신 성공 (일부 거부 시 partialSuccess 포함)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 partialSuccess:
+ *                   type: object
+ *                   properties:
+ *                     rejectedLogRecords:
+ *                       type: string
+ *                     errorMessage:
+ *                       type: string
+ *       400:
+ *         description: 요청 본문을 해석할 수 없음
+ *       401:
+ *         description: 인증 실패
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       415:
+ *         description: 지원하지 않는 Content-Type
+ *       429:
+ *         $ref: '#/components/responses/Overloaded'
+ */
+// POST /v1/logs - OTLP/HTTP 로그 수신
+router.post('/logs', rejectWhenOverloaded, async (req, res) => {
+  let entries;
+
+  try {
+    if (req.is(PROTOBUF_CONTENT_TYPE)) {
+      entries = mapExportLogsRequest(decodeExportLogsRequest(Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0)));
+    } else if (req.is('application/json')) {
+      entries = mapExportLogsRequest(req.body);
+    } else {
+      return res.status(415).json({
+        error: '지원하지 않는 Content-Type입니다',
+        message: `application/json 또는 ${PROTOBUF_CONTENT_TYPE} 형식으로 보내주세요`
+      });
+    }
+  } catch (error) {
+    return sendOtlpResponse(req, res, 400, { message: `ExportLogsServiceRequest 해석 실패: ${error.message}` });
+  }
+
+  try {
+    let rejected = 0;
+    let firstError = '';
+    let retryAfterSec = null;
+
+    const context = ingestContext(req, 'otlp');
+    for (const entry of entries) {
+      const result = entry.error
+        ? { status: 'rejected', reason: entry.error }
+        : await ingestLog(entry.logData, { context });
+
+      // 샘플링으로 제외된 로그는 서버 정책이므로 거부로 보고하지 않음
+      if (result.status === 'accepted' || result.status === 'duplicate' || result.status === 'sampled') continue;
+
+      rejected++;
+      if (result.status === 'overloaded') retryAfterSec = result.retryAfterSec;
+      if (!firstError) firstError = result.reason;
+    }
+
+    // 전부 버퍼 초과로 거부되었으면 재시도 가능한 429로 응답
+    if (retryAfterSec !== null && rejected === entries.length) {
+      res.set('Retry-After', String(retryAfterSec));
+      return sendOtlpResponse(req, res, 429, { message: firstError });
+    }
+
+    return sendOtlpResponse(req, res, 200, {
+      rejected,
+      message: rejected > 0 ? `${entries.length}개 중 ${rejected}개 거부: ${firstError}` : ''
+    });
+  } catch (error) {
+    console.error('OTLP 로그 저장 실패:', error);
+
+    logMemoryStore.writeErrorLog(error, {
+      operation: 'otlpLogSave',
+      contentType: req.headers['content-type'],
+      recordCount: entries.length,
+      userAgent: req.headers['user-agent'],
+      ip: req.ip,
+      timestamp: new Date().toISOString()
+    });
+
+    return sendOtlpResponse(req, res, 500, { message: '로그 저장에 실패했습니다' });
+  }
+});
+
+export default router;
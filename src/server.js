@@ -6,8 +6,17 @@ import dotenv from 'dotenv';
 import swaggerUi from 'swagger-ui-express';
 import { logRequest, errorHandler } from './middleware/auth.js';
 import { createPartitionTable, testConnection, startPartitionScheduler, getCurrentTableName, startConnectionMonitoring, stopConnectionMonitoring, addTimestampFields, migrateAllPartitions, verifySystemHealth, autoRepairSystem } from './config/database.js';
-import { swaggerSpec } from './config/swagger.js';
+import { swaggerSpec, buildSwaggerSpec } from './config/swagger.js';
 import logsRouter from './routes/logs.js';
+import beaconRouter from './routes/beacon.js';
+import fluentRouter from './routes/fluent.js';
+import otlpRouter from './routes/otlp.js';
+import lokiRouter from './routes/loki.js';
+import { logMemoryStore } from './services/log-memory-store.js';
+import { syslogListener } from './services/syslog-listener.js';
+import { logWebSocketServer } from './services/log-websocket.js';
+import { metadataSchemaRegistry } from './services/metadata-schema-registry.js';
+import { logEnricher } from './services/log-enricher.js';
 
 // 환경변수 로드
 dotenv.config();
@@ -18,6 +27,12 @@ const PORT = process.env.PORT || 3002;
 // 서버 시작 시간 기록
 const serverStartTime = new Date();
 
+// 프록시/로드밸런서 뒤에서 req.ip가 실제 클라이언트 IP가 되도록 설정 (예: true, 1, loopback)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 // 미들웨어 설정
 app.use(helmet({
   contentSecurityPolicy: false, // API 서버이므로 비활성화
@@ -26,10 +41,19 @@ app.use(helmet({
 app.use(cors({
   origin: '*',  // 모든 도메인에서 접근 허용 (게임에서 어떤 URL인지 모르므로)
   methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-api-key'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-api-key', 'Idempotency-Key'],
+  exposedHeaders: ['Retry-After'],
 }));
 
 app.use(compression());
+
+// sendBeacon 수신 - 본문을 직접 해석하고 항상 204로 응답해야 하므로 JSON 파서와 요청 로깅보다 먼저 마운트
+// (쿼리 문자열에 API 키가 들어 있을 수 있어 URL을 로그에 남기지 않음)
+app.use('/api/logs/beacon', beaconRouter);
+
+// Fluent Bit / Fluentd http output - json_stream·msgpack 본문을 직접 해석하므로 JSON 파서보다 먼저 마운트
+app.use('/api/logs/fluent', fluentRouter);
+
 app.use(express.json({ limit: '10mb' })); // 대용량 로그 배치 처리를 위한 크기 증가
 app.use(express.urlencoded({ extended: true }));
 
@@ -55,11 +79,16 @@ const swaggerOptions = {
   }
 };
 
-// API 문서 라우트
-app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec, swaggerOptions));
+// API 문서 라우트 (등록된 metadata 스키마를 반영하기 위해 요청마다 문서 생성)
+app.use('/api-docs', (req, res, next) => {
+  req.swaggerDoc = buildSwaggerSpec(metadataSchemaRegistry.list());
+  next();
+}, swaggerUi.serveFiles(swaggerSpec, swaggerOptions), swaggerUi.setup(swaggerSpec, swaggerOptions));
 
 // 라우터 설정
 app.use('/api/logs', logsRouter);
+app.use('/v1', otlpRouter); // OpenTelemetry OTLP/HTTP 수신
+app.use('/loki/api/v1', lokiRouter); // Loki 호환 push/조회 (Promtail, Grafana)
 
 // 루트 엔드포인트 - API 문서로 리다이렉트
 app.get('/', (req, res) => {
@@ -76,6 +105,11 @@ app.use('*', (req, res) => {
       'POST /api/logs - 로그 저장',
       'GET /api/logs - 로그 조회',
       'POST /api/logs/batch - 배치 로그 저장',
+      'POST /api/logs/stream - NDJSON 스트리밍 로그 저장',
+      'POST /api/logs/beacon - navigator.sendBeacon 로그 수신 (key/token 쿼리 인증)',
+      'POST /api/logs/beacon/token - sendBeacon용 서명 토큰 발급',
+      'GET  /api/logs/ws - WebSocket 로그 스트리밍 (업그레이드)',
+      'POST /api/logs/fluent[/:tag] - Fluent Bit / Fluentd http output 로그 수신',
       'POST /api/logs/flush - 강제 플러시',
       'GET /api/logs/stats - 서버 통계',
       'GET /api/logs/health - 헬스체크',
@@ -88,7 +122,13 @@ app.use('*', (req, res) => {
       'GET /api/logs/failed - 실패한 로그 목록 조회',
       'GET /api/logs/pending - 처리 중인 로그 목록 조회',
       'GET /api/logs/system/verify - 시스템 상태 검증',
-      'POST /api/logs/system/repair - 시스템 자동 복구'
+      'POST /api/logs/system/repair - 시스템 자동 복구',
+      'GET /api/logs/schemas - metadata 스키마 목록',
+      'PUT /api/logs/schemas/:type - metadata 스키마 등록/수정 (x-admin-key 필요)',
+      'DELETE /api/logs/schemas/:type - metadata 스키마 삭제 (x-admin-key 필요)',
+      'POST /v1/logs - OpenTelemetry OTLP/HTTP 로그 수신',
+      'POST /loki/api/v1/push - Loki 호환 로그 push',
+      'GET /loki/api/v1/query_range - Loki 호환 로그 조회'
     ]
   });
 });
@@ -151,6 +191,24 @@ async function startServer() {
     console.log('🔍 데이터베이스 연결 상태 모니터링 시작...');
     startConnectionMonitoring();
 
+    // 타입별 metadata 스키마 로드 (요청 수락 전에 검증 규칙 준비)
+    console.log('📐 metadata 스키마 로드 중...');
+    try {
+      await metadataSchemaRegistry.load();
+    } catch (error) {
+      console.error('❌ metadata 스키마 로드 실패 - 스키마 검증 없이 시작합니다:', error.message);
+    }
+
+    // 수집 정보 보강용 GeoIP DB 로드 (LOG_ENRICH_ENABLED=true일 때만)
+    await logEnricher.loadGeoDatabase();
+
+    // 이전 프로세스가 저장하지 못한 로그 복구 (크래시/강제 종료 대비)
+    console.log('💾 로그 스풀 복구 중...');
+    logMemoryStore.recoverFromSpool();
+
+    // syslog 수신기 시작 (SYSLOG_ENABLED=true일 때만)
+    await syslogListener.start();
+
     // 서버 시작
     const server = app.listen(PORT, () => {
       const currentTable = getCurrentTableName();
@@ -169,6 +227,11 @@ async function startServer() {
       console.log('   POST /api/logs - 로그 저장');
       console.log('   GET  /api/logs - 로그 조회');
       console.log('   POST /api/logs/batch - 배치 로그 저장');
+      console.log('   POST /api/logs/stream - NDJSON 스트리밍 로그 저장');
+      console.log('   POST /api/logs/beacon - navigator.sendBeacon 로그 수신 (key/token 쿼리 인증)');
+      console.log('   POST /api/logs/beacon/token - sendBeacon용 서명 토큰 발급');
+      console.log(`   GET  ${logWebSocketServer.path} - WebSocket 로그 스트리밍 (업그레이드)`);
+      console.log('   POST /api/logs/fluent[/:tag] - Fluent Bit / Fluentd http output 로그 수신');
       console.log('   POST /api/logs/flush - 강제 플러시');
       console.log('   GET  /api/logs/stats - 서버 통계');
       console.log('   GET  /api/logs/health - 헬스체크');
@@ -182,11 +245,20 @@ async function startServer() {
       console.log('   GET  /api/logs/pending - 처리 중인 로그 목록 조회');
       console.log('   GET  /api/logs/system/verify - 시스템 상태 검증');
       console.log('   POST /api/logs/system/repair - 시스템 자동 복구');
+      console.log('   GET  /api/logs/schemas - metadata 스키마 목록');
+      console.log('   PUT  /api/logs/schemas/:type - metadata 스키마 등록/수정');
+      console.log('   DELETE /api/logs/schemas/:type - metadata 스키마 삭제');
+      console.log('   POST /v1/logs - OpenTelemetry OTLP/HTTP 로그 수신');
+      console.log('   POST /loki/api/v1/push - Loki 호환 로그 push');
+      console.log('   GET  /loki/api/v1/query_range - Loki 호환 로그 조회');
       console.log('');
-      console.log('🔑 모든 /api/logs 엔드포인트는 x-api-key 헤더가 필요합니다.');
+      console.log('🔑 모든 /api/logs, /v1, /loki 엔드포인트는 x-api-key 헤더가 필요합니다. (/api/logs/beacon은 key 또는 token 쿼리)');
       console.log('');
     });
 
+    // WebSocket 로그 수집 (같은 포트에서 업그레이드 처리)
+    logWebSocketServer.attach(server);
+
     // 개선된 Graceful shutdown 처리
     const gracefulShutdown = async (signal) => {
       console.log(`\n⚠️  ${signal} 시그널 수신 - 안전한 서버 종료 시작...`);
@@ -200,6 +272,12 @@ async function startServer() {
       }, 60000);
       
       try {
+        // 0. syslog 수신 중단 (버퍼 플러시 전에 새 로그 유입 차단)
+        await syslogListener.stop();
+
+        // 0-1. WebSocket 연결 종료 (이미 받은 프레임은 메모리 스토어에 넣은 뒤 닫힘)
+        await logWebSocketServer.stop();
+
         // 1. 새로운 요청 수락 중단
         server.close(async () => {
           console.log('🔄 HTTP 서버 종료됨 - 새로운 요청 수락 중단');
@@ -210,8 +288,6 @@ async function startServer() {
             stopConnectionMonitoring();
             
             // 3. 로그 메모리 스토어 안전 종료
-            const { logMemoryStore } = await import('./services/log-memory-store.js');
-            
             console.log('💾 버퍼된 로그들 안전하게 저장 중...');
             console.log(`📊 현재 상태: 버퍼 ${logMemoryStore.getBufferSize()}개, 처리 중: ${logMemoryStore.isProcessing()}`);
             
@@ -251,6 +327,9 @@ async function startServer() {
             
             if (finalStats.bufferSize > 0) {
               console.warn(`⚠️  ${finalStats.bufferSize}개 로그가 저장되지 않았습니다. 실패한 로그 정보:`);
+              if (finalStats.spool.enabled) {
+                console.warn(`💾 저장되지 않은 로그는 스풀(${finalStats.spool.dir})에 보존되어 다음 시작 시 복구됩니다`);
+              }
               const failedLogs = logMemoryStore.getFailedLogs();
               if (failedLogs.length > 0) {
                 console.warn(`💀 영구 실패한 로그 ${failedLogs.length}개:`, 
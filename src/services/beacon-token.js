@@ -0,0 +1,73 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+import { getConfiguredApiKey } from '../middleware/auth.js';
+
+// navigator.sendBeacon용 서명 토큰 - 헤더를 못 붙이는 브라우저 빌드에 API 키 원문 대신 배포
+// 형식: base64url(JSON { kid, kfp, iat, exp }) + '.' + base64url(HMAC-SHA256(payload, BEACON_TOKEN_SECRET))
+// - kid: 토큰을 발급받을 때 사용한 API 키의 환경 변수 이름 (_ingest.api_key.name으로 기록)
+// - kfp: 발급 당시 키 값의 지문 - 키를 지우거나 값을 바꾸면(로테이션) 그 키로 발급된 토큰도 함께 무효가 된다
+// BEACON_TOKEN_SECRET이 없으면 토큰 발급/검증을 모두 끈다
+const TOKEN_SECRET = process.env.BEACON_TOKEN_SECRET || null;
+const TOKEN_TTL_SEC = parseInt(process.env.BEACON_TOKEN_TTL_SEC) || 24 * 60 * 60;
+const MAX_TOKEN_TTL_SEC = 30 * 24 * 60 * 60;
+
+const sign = (payload) => createHmac('sha256', TOKEN_SECRET).update(payload).digest('base64url');
+
+// 키 값 자체는 토큰에 담지 않도록 비밀값으로 HMAC한 앞부분만 사용
+const keyFingerprint = (apiKey) => createHmac('sha256', TOKEN_SECRET).update(`kfp:${apiKey}`).digest('base64url').slice(0, 16);
+
+export const isBeaconTokenEnabled = () => TOKEN_SECRET !== null;
+
+// 토큰 발급 (ttlSec은 최대 30일)
+export const issueBeaconToken = (apiKeyName, ttlSec = TOKEN_TTL_SEC) => {
+  if (!TOKEN_SECRET) {
+    throw new Error('BEACON_TOKEN_SECRET이 설정되지 않아 토큰을 발급할 수 없습니다');
+  }
+
+  const apiKey = getConfiguredApiKey(apiKeyName);
+  if (!apiKey) {
+    throw new Error(`${apiKeyName}은(는) 설정된 API 키가 아닙니다`);
+  }
+
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const expiresAt = issuedAt + Math.min(Math.max(1, ttlSec), MAX_TOKEN_TTL_SEC);
+  const payload = Buffer.from(JSON.stringify({ kid: apiKeyName, kfp: keyFingerprint(apiKey), iat: issuedAt, exp: expiresAt })).toString('base64url');
+
+  return {
+    token: `${payload}.${sign(payload)}`,
+    expiresAt: new Date(expiresAt * 1000).toISOString()
+  };
+};
+
+// 토큰 검증 - 유효하면 { apiKeyName }, 아니면 { error }
+export const verifyBeaconToken = (token) => {
+  if (!TOKEN_SECRET) return { error: '토큰 인증이 비활성화되어 있습니다' };
+  if (typeof token !== 'string') return { error: '토큰 형식이 잘못되었습니다' };
+
+  const [payload, signature, ...rest] = token.split('.');
+  if (!payload || !signature || rest.length > 0) return { error: '토큰 형식이 잘못되었습니다' };
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    return { error: '토큰 서명이 일치하지 않습니다' };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    return { error: '토큰 형식이 잘못되었습니다' };
+  }
+
+  if (!Number.isFinite(claims.exp) || claims.exp * 1000 <= Date.now()) {
+    return { error: '만료된 토큰입니다' };
+  }
+
+  // 발급에 쓴 키가 지금도 같은 값으로 설정되어 있어야 함 (삭제/로테이션된 키의 토큰 거부)
+  const apiKey = getConfiguredApiKey(claims.kid);
+  if (!apiKey || claims.kfp !== keyFingerprint(apiKey)) {
+    return { error: '토큰을 발급한 API 키가 더 이상 유효하지 않습니다' };
+  }
+
+  return { apiKeyName: claims.kid };
+};
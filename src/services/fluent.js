@@ -0,0 +1,265 @@
+import { createHash } from 'crypto';
+import { decodeMulti, ExtensionCodec } from '@msgpack/msgpack';
+import { normalizeLevel } from './log-levels.js';
+import { isOccurredAtInRange } from './log-ingest.js';
+
+// Fluent Bit / Fluentd http output 레코드 → 로그 엔트리 매핑
+//
+// 지원 형식
+// - json: 레코드 배열 [{ "date": 1718000000.123, "log": "...", ... }] (Fluent Bit 기본)
+// - json_lines / json_stream / Fluentd ndjson: 줄마다 레코드 하나
+// - msgpack: [timestamp, record] 또는 [[timestamp, metadata], record]가 이어진 스트림 (Fluent Bit 청크 원본)
+//
+// 매핑 설정 (FLUENT_MAPPINGS, JSON) - API 키 환경 변수 이름별로 다르게 지정해 여러 서비스가 같은 엔드포인트를 공유
+//   {
+//     "*": { "message": ["log"], "metadata": ["kubernetes", "stream"] },
+//     "SHIBA_LOG_API_KEY2": { "type": "kubernetes.labels.app", "typeDefault": "infra", "level": "severity" }
+//   }
+//   - type / level / message: 레코드 키 또는 키 배열 (처음 존재하는 값 사용, kubernetes.pod_name처럼 점으로 중첩 키 지정)
+//   - typeDefault: type 키가 없고 태그도 없을 때 사용할 값 (기본: fluent-bit)
+//   - timeKey: 발생 시각 키 (기본: date, msgpack은 이벤트 타임스탬프 우선)
+//   - metadata: "*"(매핑에 쓰지 않은 나머지 최상위 키 전체, 기본) | 키 배열 | { "저장할 키": "레코드 키" } | false
+// 적용 순서: 기본값 → "*" → API 키별 설정 (항목 단위로 덮어씀)
+// type 키가 없으면 태그(경로 /api/logs/fluent/:tag 또는 FLUENT_TAG_HEADER 헤더)를 type으로 사용한다
+export const DEFAULT_FLUENT_MAPPING = {
+  type: ['type'],
+  level: ['level', 'severity', 'lvl', 'log.level'],
+  message: ['message', 'log', 'msg'],
+  typeDefault: 'fluent-bit',
+  timeKey: 'date',
+  metadata: '*'
+};
+
+const MAPPING_FIELDS = Object.keys(DEFAULT_FLUENT_MAPPING);
+
+// 매핑 항목 검증 (잘못되면 에러)
+const validateMapping = (name, mapping) => {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new Error(`'${name}': 매핑은 객체여야 합니다`);
+  }
+
+  for (const [field, value] of Object.entries(mapping)) {
+    if (!MAPPING_FIELDS.includes(field)) {
+      throw new Error(`'${name}': 알 수 없는 매핑 항목입니다 (${field})`);
+    }
+    if (['type', 'level', 'message'].includes(field)) {
+      const keys = Array.isArray(value) ? value : [value];
+      if (keys.length === 0 || keys.some(key => typeof key !== 'string' || key === '')) {
+        throw new Error(`'${name}': ${field}는 키 문자열 또는 키 배열이어야 합니다`);
+      }
+    }
+    if ((field === 'typeDefault' || field === 'timeKey') && (typeof value !== 'string' || value === '')) {
+      throw new Error(`'${name}': ${field}는 문자열이어야 합니다`);
+    }
+    if (field === 'metadata' && !(value === '*' || value === false || Array.isArray(value) || (value && typeof value === 'object'))) {
+      throw new Error(`'${name}': metadata는 "*", 키 배열, 키 매핑 객체 또는 false여야 합니다`);
+    }
+  }
+};
+
+const loadMappings = () => {
+  if (!process.env.FLUENT_MAPPINGS) return {};
+
+  let rawMappings;
+  try {
+    rawMappings = JSON.parse(process.env.FLUENT_MAPPINGS);
+    if (!rawMappings || typeof rawMappings !== 'object' || Array.isArray(rawMappings)) {
+      throw new Error('API 키 이름을 키로 하는 JSON 객체여야 합니다');
+    }
+  } catch (error) {
+    console.error('❌ FLUENT_MAPPINGS 해석 실패, 기본 매핑을 사용합니다:', error.message);
+    return {};
+  }
+
+  const mappings = {};
+  for (const [name, mapping] of Object.entries(rawMappings)) {
+    try {
+      validateMapping(name, mapping);
+      mappings[name] = mapping;
+    } catch (error) {
+      console.error('❌ Fluent 매핑을 건너뜁니다:', error.message);
+    }
+  }
+  return mappings;
+};
+
+const configuredMappings = loadMappings();
+
+const toKeyList = (value) => (Array.isArray(value) ? value : [value]);
+
+// API 키 이름에 적용할 매핑 (기본값 → "*" → 키별 설정)
+export const resolveFluentMapping = (apiKeyName) => {
+  const merged = { ...DEFAULT_FLUENT_MAPPING, ...configuredMappings['*'], ...(apiKeyName && configuredMappings[apiKeyName]) };
+  return {
+    ...merged,
+    type: toKeyList(merged.type),
+    level: toKeyList(merged.level),
+    message: toKeyList(merged.message)
+  };
+};
+
+export const getFluentMappingConfig = () => ({
+  defaults: DEFAULT_FLUENT_MAPPING,
+  mappings: configuredMappings
+});
+
+// ─── 본문 해석 ───
+
+// Fluent Bit EventTime (msgpack ext 0: uint32 초 + uint32 나노초) → epoch ms
+const extensionCodec = new ExtensionCodec();
+extensionCodec.register({
+  type: 0,
+  encode: () => null,
+  decode: (data) => {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    return view.getUint32(0) * 1000 + Math.floor(view.getUint32(4) / 1e6);
+  }
+});
+
+// 타임스탬프 값 → epoch ms (double/epoch 초, epoch_ms, iso8601, java_sql_timestamp 지원)
+// 허용 범위(isOccurredAtInRange) 밖의 값은 해석 불가와 같이 취급해 서버 수신 시각을 쓴다
+const parseFluentTime = (value) => {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    // 1e11 이상이면 밀리초 (초 단위로는 5138년)
+    const ms = value >= 1e11 ? Math.round(value) : Math.round(value * 1000);
+    return isOccurredAtInRange(ms) ? ms : undefined;
+  }
+  if (typeof value === 'string' && value !== '') {
+    if (/^\d+(\.\d+)?$/.test(value)) return parseFluentTime(Number(value));
+
+    // java_sql_timestamp (2024-06-10 12:00:00.123456, UTC)
+    const normalized = /^\d{4}-\d{2}-\d{2} \d/.test(value) && !/(Z|[+-]\d{2}:?\d{2})$/.test(value)
+      ? `${value.replace(' ', 'T')}Z`
+      : value;
+    const parsed = Date.parse(normalized);
+    if (isOccurredAtInRange(parsed)) return parsed;
+  }
+  return undefined;
+};
+
+const isRecord = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// msgpack 스트림 → [{ record, time }]
+const parseMsgpackBody = (buffer) => {
+  const events = [];
+  for (const item of decodeMulti(buffer, { extensionCodec })) {
+    if (!Array.isArray(item) || item.length < 2 || !isRecord(item[1])) {
+      throw new Error('msgpack 이벤트는 [timestamp, record] 형식이어야 합니다');
+    }
+    // Fluent Bit 2.1+ 이벤트 형식: [[timestamp, metadata], record]
+    const timestamp = Array.isArray(item[0]) ? item[0][0] : item[0];
+    events.push({ record: item[1], time: parseFluentTime(timestamp) });
+  }
+  return events;
+};
+
+// JSON 배열, 단일 객체 또는 줄 단위 JSON → [{ record }]
+const parseJsonBody = (text) => {
+  const trimmed = text.trim();
+  if (trimmed === '') return [];
+
+  if (trimmed.startsWith('[')) {
+    const records = JSON.parse(trimmed);
+    return records.map((record, index) => {
+      if (!isRecord(record)) throw new Error(`${index}번째 레코드가 객체가 아닙니다`);
+      return { record };
+    });
+  }
+
+  try {
+    const record = JSON.parse(trimmed);
+    if (isRecord(record)) return [{ record }];
+  } catch {
+    // 여러 줄이면 아래에서 줄 단위로 해석
+  }
+
+  return trimmed.split('\n').filter(line => line.trim() !== '').map((line, index) => {
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`${index + 1}번째 줄 JSON 해석 실패: ${error.message}`);
+    }
+    if (!isRecord(record)) throw new Error(`${index + 1}번째 줄이 객체가 아닙니다`);
+    return { record };
+  });
+};
+
+export const MSGPACK_CONTENT_TYPES = ['application/msgpack', 'application/x-msgpack'];
+
+// 요청 본문(Buffer) → [{ record, time? }]
+export const parseFluentBody = (buffer, isMsgpack) => (
+  isMsgpack ? parseMsgpackBody(buffer) : parseJsonBody(buffer.toString('utf8'))
+);
+
+// ─── 레코드 매핑 ───
+
+const getPath = (record, path) => {
+  if (Object.prototype.hasOwnProperty.call(record, path)) return record[path];
+  return path.split('.').reduce((value, key) => (isRecord(value) ? value[key] : undefined), record);
+};
+
+const firstValue = (record, keys) => {
+  for (const key of keys) {
+    const value = getPath(record, key);
+    if (value !== undefined && value !== null && value !== '') return { key, value };
+  }
+  return null;
+};
+
+const buildMetadata = (record, mapping, usedKeys) => {
+  if (mapping.metadata === false) return {};
+
+  if (mapping.metadata === '*') {
+    return Object.fromEntries(Object.entries(record).filter(([key]) => !usedKeys.has(key)));
+  }
+
+  const entries = Array.isArray(mapping.metadata)
+    ? mapping.metadata.map(path => [path.split('.').pop(), path])
+    : Object.entries(mapping.metadata);
+
+  const metadata = {};
+  for (const [target, path] of entries) {
+    const value = getPath(record, path);
+    if (value !== undefined) metadata[target] = value;
+  }
+  return metadata;
+};
+
+// 이벤트의 멱등성 키 (API 키 이름 + 태그 + 청크 내 위치 + 시각 + 레코드 원본의 해시)
+// Fluent Bit은 실패한 청크를 같은 내용·순서로 재전송하므로, 일부만 저장된 뒤 429로 재시도돼도 이미 저장된 레코드는 중복으로 걸러진다
+// 위치를 포함해 같은 청크 안에서 시각과 내용이 같은 레코드끼리는 구분
+export const fluentEventKey = ({ record, time }, { apiKeyName, tag, index }) => {
+  const digest = createHash('sha256')
+    .update(JSON.stringify([apiKeyName ?? null, tag ?? null, index, time ?? null, record]))
+    .digest('hex');
+  return `fluent:${digest.slice(0, 40)}`;
+};
+
+// 이벤트 하나를 로그 엔트리로 변환
+// options.mapping: resolveFluentMapping 결과, options.tag: Fluent 태그 (없으면 null)
+export const mapFluentRecord = ({ record, time }, { mapping, tag }) => {
+  const usedKeys = new Set([mapping.timeKey]);
+  const pick = (keys) => {
+    const found = firstValue(record, keys);
+    if (found) usedKeys.add(found.key);
+    return found?.value;
+  };
+
+  const type = pick(mapping.type);
+  const level = pick(mapping.level);
+  const message = pick(mapping.message);
+  const occurredAt = time ?? parseFluentTime(record[mapping.timeKey]);
+
+  const metadata = buildMetadata(record, mapping, usedKeys);
+  if (tag) metadata.fluent_tag = tag;
+
+  return {
+    type: String(type ?? tag ?? mapping.typeDefault),
+    level: normalizeLevel(level) || 'info',
+    // 메시지 키가 없으면 레코드 전체를 메시지로 보관
+    message: message === undefined ? JSON.stringify(record) : typeof message === 'string' ? message : JSON.stringify(message),
+    ...(occurredAt !== undefined && { occurredAt }),
+    metadata
+  };
+};
@@ -0,0 +1,89 @@
+// GET /api/logs 커서(키셋) 페이지네이션
+//
+// 정렬 키: (created_at, 출처, id)
+// - created_at: 마이크로초 (DB는 마이크로초 정밀도, 메모리 로그는 밀리초)
+// - 같은 created_at이면 DB 로그가 메모리 로그보다 작음 (메모리 로그는 저장될 때 더 큰 id를 받으므로 저장 전후 순서가 같다)
+// - id: DB 로그는 id, 메모리 로그는 버퍼에 들어온 순서(bufferSeq)
+// 최신순(기본)은 키 내림차순, reverse=true는 키 오름차순
+//
+// 커서는 base64url(JSON)이며 페이지의 마지막(next) 또는 첫(prev) 로그의 키와 방향, reverse 여부를 담는다
+// 필터는 커서에 넣지 않으므로 같은 필터로 요청해야 한다
+export const CURSOR_DIRECTIONS = ['next', 'prev'];
+
+const SOURCE_ORDER = { database: 0, memory: 1 };
+
+// 로그 행(DB 행, 메모리 로그 원본 또는 조회 결과) → 정렬 키
+export const logCursorKey = (log) => {
+  if (log.source === 'database') {
+    const us = log.cursor_us !== undefined ? Number(log.cursor_us) : new Date(log.created_at).getTime() * 1000;
+    return { us, source: 'database', id: String(log.id) };
+  }
+  return { us: log.createdAt * 1000, source: 'memory', id: String(log.bufferSeq ?? 0), logId: log.logId };
+};
+
+export const compareCursorKeys = (a, b) => {
+  if (a.us !== b.us) return a.us < b.us ? -1 : 1;
+  if (a.source !== b.source) return SOURCE_ORDER[a.source] - SOURCE_ORDER[b.source];
+  const idA = BigInt(a.id);
+  const idB = BigInt(b.id);
+  return idA === idB ? 0 : idA < idB ? -1 : 1;
+};
+
+// occurred_at 기준 정렬 시각 (DB의 과거 로그는 null일 수 있음)
+const occurredTime = (log) => {
+  if (log.source === 'database') return log.occurred_at ? new Date(log.occurred_at).getTime() : null;
+  return log.occurredAt ?? log.createdAt;
+};
+
+// 조회 결과 표시 순서 비교 (a가 먼저면 음수) - queryLogs의 ORDER BY와 같은 순서
+// - created_at: 정렬 키 내림차순 (reverse면 오름차순)
+// - occurred_at: occurred_at → 정렬 키 순, occurred_at이 없는 로그는 방향과 관계없이 맨 뒤 (NULLS LAST)
+export const compareLogDisplayOrder = (a, b, { reverse = false, timeField = 'created_at' } = {}) => {
+  if (timeField === 'occurred_at') {
+    const timeA = occurredTime(a);
+    const timeB = occurredTime(b);
+    if (timeA === null || timeB === null) {
+      if (timeA !== timeB) return timeA === null ? 1 : -1;
+    } else if (timeA !== timeB) {
+      return reverse ? timeA - timeB : timeB - timeA;
+    }
+  }
+
+  const order = compareCursorKeys(logCursorKey(a), logCursorKey(b));
+  return reverse ? order : -order;
+};
+
+export const encodeCursor = (key, { reverse, direction }) => Buffer.from(JSON.stringify({
+  t: key.us,
+  s: key.source,
+  i: key.id,
+  ...(key.logId && { l: key.logId }),
+  r: reverse ? 1 : 0,
+  d: direction
+})).toString('base64url');
+
+// 커서 문자열 → { key, reverse, direction } (형식이 잘못되면 에러)
+export const decodeCursor = (cursor) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('cursor를 해석할 수 없습니다');
+  }
+
+  const valid = payload &&
+    Number.isSafeInteger(payload.t) &&
+    Object.hasOwn(SOURCE_ORDER, payload.s) &&
+    typeof payload.i === 'string' && /^\d{1,19}$/.test(payload.i) &&
+    (payload.l === undefined || typeof payload.l === 'string') &&
+    CURSOR_DIRECTIONS.includes(payload.d);
+  if (!valid) {
+    throw new Error('cursor 형식이 잘못되었습니다');
+  }
+
+  return {
+    key: { us: payload.t, source: payload.s, id: payload.i, ...(payload.l && { logId: payload.l }) },
+    reverse: payload.r === 1,
+    direction: payload.d
+  };
+};
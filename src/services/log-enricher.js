@@ -0,0 +1,156 @@
+import maxmind from 'maxmind';
+import { createHash } from 'crypto';
+import { parseUserAgent } from './user-agent.js';
+
+// 서버 측 수집 정보 보강 - 요청 컨텍스트를 metadata._ingest에 붙인다
+// 클라이언트가 직접 넣던 IP/UA/국가 정보를 서버가 일관되게 채우기 위한 단계
+//
+// 환경 변수
+// - LOG_ENRICH_ENABLED: true면 활성화 (기본: 비활성화)
+// - LOG_ENRICH_FIELDS: 붙일 항목 (쉼표 구분, 기본: 전체) - ip, user_agent, api_key, country
+// - LOG_GEOIP_DB_PATH: country용 로컬 GeoIP2/GeoLite2 .mmdb 파일 경로 (없으면 country 생략)
+//
+// _ingest는 서버 예약 키라서 활성화 상태에서는 클라이언트가 보낸 값을 덮어쓴다
+export const INGEST_METADATA_KEY = '_ingest';
+export const ENRICH_FIELDS = ['ip', 'user_agent', 'api_key', 'country'];
+
+const MAX_USER_AGENT_LENGTH = 512;
+const UA_CACHE_SIZE = 1000;
+
+// Express의 IPv4-mapped IPv6 주소(::ffff:1.2.3.4) → 1.2.3.4
+const normalizeIp = (ip) => {
+  if (typeof ip !== 'string' || ip === '') return null;
+  return ip.startsWith('::ffff:') && ip.includes('.') ? ip.slice(7) : ip;
+};
+
+// 요청에서 보강에 필요한 정보만 추출 (배치/스트림은 한 번 만들어 모든 항목에 재사용)
+export const ingestContext = (req, source = 'http') => ({
+  source,
+  ip: req.ip,
+  userAgent: req.headers['user-agent'],
+  apiKeyName: req.apiKeyName,
+  apiKey: req.headers['x-api-key']
+});
+
+class LogEnricher {
+  constructor() {
+    this.enabled = process.env.LOG_ENRICH_ENABLED === 'true';
+    this.fields = new Set(
+      process.env.LOG_ENRICH_FIELDS
+        ? process.env.LOG_ENRICH_FIELDS.split(',').map(field => field.trim()).filter(field => ENRICH_FIELDS.includes(field))
+        : ENRICH_FIELDS
+    );
+    this.geoDbPath = process.env.LOG_GEOIP_DB_PATH || null;
+    this.geoReader = null;
+
+    this.userAgentCache = new Map(); // UA 문자열 → 파싱 결과 (게임 클라이언트 UA는 종류가 적어 캐시 효과가 큼)
+    this.fingerprints = new Map();   // API 키 → 지문
+
+    this.stats = {
+      enriched: 0,
+      geoLookups: 0,
+      geoHits: 0
+    };
+  }
+
+  // 서버 시작 시 GeoIP DB 열기 (실패해도 country만 빠지고 나머지 보강은 계속)
+  async loadGeoDatabase() {
+    if (!this.enabled || !this.fields.has('country')) return;
+
+    if (!this.geoDbPath) {
+      console.warn('⚠️ LOG_GEOIP_DB_PATH가 없어 country 보강을 건너뜁니다');
+      return;
+    }
+
+    try {
+      // 파일이 교체되면 다시 읽음 (GeoLite2 정기 업데이트)
+      this.geoReader = await maxmind.open(this.geoDbPath, {
+        watchForUpdates: true,
+        watchForUpdatesNonPersistent: true
+      });
+      console.log(`🌏 GeoIP DB 로드 완료: ${this.geoDbPath}`);
+    } catch (error) {
+      console.error(`❌ GeoIP DB 로드 실패 (${this.geoDbPath}):`, error.message);
+    }
+  }
+
+  parseUserAgent(userAgent) {
+    if (this.userAgentCache.has(userAgent)) return this.userAgentCache.get(userAgent);
+
+    const parsed = parseUserAgent(userAgent);
+    if (this.userAgentCache.size >= UA_CACHE_SIZE) {
+      this.userAgentCache.delete(this.userAgentCache.keys().next().value);
+    }
+    this.userAgentCache.set(userAgent, parsed);
+    return parsed;
+  }
+
+  // API 키 원문 대신 어떤 키였는지(환경 변수 이름)와 짧은 지문만 남김
+  apiKeyFingerprint(apiKey) {
+    if (!this.fingerprints.has(apiKey)) {
+      this.fingerprints.set(apiKey, createHash('sha256').update(apiKey).digest('hex').slice(0, 8));
+    }
+    return this.fingerprints.get(apiKey);
+  }
+
+  lookupCountry(ip) {
+    if (!this.geoReader || !ip || !maxmind.validate(ip)) return null;
+
+    this.stats.geoLookups++;
+    const result = this.geoReader.get(ip);
+    const country = result?.country?.iso_code ?? result?.registered_country?.iso_code ?? null;
+    if (country) this.stats.geoHits++;
+    return country;
+  }
+
+  // logData.metadata._ingest 채우기 (logData를 직접 수정)
+  enrich(logData, context) {
+    if (!this.enabled || !context) return;
+
+    const ip = normalizeIp(context.ip);
+    const ingest = { source: context.source };
+
+    if (this.fields.has('ip') && ip) {
+      ingest.ip = ip;
+    }
+
+    if (this.fields.has('user_agent') && typeof context.userAgent === 'string' && context.userAgent !== '') {
+      const userAgent = context.userAgent.slice(0, MAX_USER_AGENT_LENGTH);
+      const parsed = this.parseUserAgent(userAgent);
+      ingest.user_agent = {
+        raw: userAgent,
+        os: parsed?.os ?? null,
+        os_version: parsed?.osVersion ?? null,
+        device: parsed?.device ?? null,
+        browser: parsed?.browser ?? null,
+        browser_version: parsed?.browserVersion ?? null
+      };
+    }
+
+    if (this.fields.has('api_key') && context.apiKeyName) {
+      ingest.api_key = {
+        name: context.apiKeyName,
+        fingerprint: context.apiKey ? this.apiKeyFingerprint(context.apiKey) : null
+      };
+    }
+
+    if (this.fields.has('country')) {
+      const country = this.lookupCountry(ip);
+      if (country) ingest.country = country;
+    }
+
+    logData.metadata = { ...(logData.metadata || {}), [INGEST_METADATA_KEY]: ingest };
+    this.stats.enriched++;
+  }
+
+  getStats() {
+    return {
+      enabled: this.enabled,
+      fields: [...this.fields],
+      geoDatabase: this.geoReader ? this.geoDbPath : null,
+      ...this.stats
+    };
+  }
+}
+
+export const logEnricher = new LogEnricher();
@@ -0,0 +1,170 @@
+// GET /api/logs/search 전문 검색어 → PostgreSQL tsquery 문자열
+//
+// 문서 쪽: message를 simple 설정으로 토큰화하고, 한글 구간은 2-gram을 덧붙여 색인한다
+//   (config/database.js의 shiba_log_fts_document - "결제실패" → 결제실패 + 결제 제실 실패)
+//   형태소 분석 없이도 조사가 붙은 단어("결제가", "실패했습니다")를 부분 문자열로 찾기 위함
+//
+// 검색어 문법
+//   - 공백으로 나눈 단어는 모두 포함 (AND), OR로 잇기, 앞에 -를 붙이면 제외
+//   - "따옴표"는 구문 검색 (단어가 이 순서로 붙어 있어야 함)
+//   - 단어 끝 *는 접두어 검색 (pay* → payment, payload)
+//   - 한글은 원래 단어 또는 2-gram 연속으로 일치 (결제실패 → 결제 <-> 제실 <-> 실패), 한 글자는 그 글자로 시작하는 단어
+// 문법 오류는 position(0부터 시작하는 문자 위치)이 붙은 에러로 던진다
+export const MAX_SEARCH_LENGTH = 500;
+const MAX_SEARCH_TERMS = 32;
+
+const HANGUL_RUN = /[가-힣]+/g;
+
+const syntaxError = (message, position) => {
+  const error = new Error(`${message} (위치 ${position})`);
+  error.position = position;
+  return error;
+};
+
+// to_tsquery 따옴표 문자열 ('' 와 \ 이스케이프)
+const quoteLexeme = (text) => `'${text.replace(/\\/g, '\\\\').replace(/'/g, "''")}'`;
+
+// 한글 구간 → 2-gram 목록 (문서 쪽 shiba_log_fts_document와 같은 순서)
+export const hangulBigrams = (text) => (text.match(HANGUL_RUN) || [])
+  .filter(run => run.length >= 2)
+  .flatMap(run => Array.from({ length: run.length - 1 }, (_, index) => run.slice(index, index + 2)));
+
+// 단어/구문 하나 → tsquery 조각
+const termQuery = ({ text, prefix }) => {
+  // 한 글자 한글은 그 글자로 시작하는 토큰(2-gram 포함)
+  if (/^[가-힣]$/.test(text)) return `${quoteLexeme(text)}:*`;
+
+  const exact = `${quoteLexeme(text)}${prefix ? ':*' : ''}`;
+  const bigrams = hangulBigrams(text);
+  // 두 글자 한글 단어는 그 자체가 2-gram
+  if (bigrams.length === 0 || (bigrams.length === 1 && bigrams[0] === text)) return exact;
+
+  return `(${exact} | ${quoteLexeme(bigrams.join(' '))})`;
+};
+
+// ts_headline 강조 구분자 (사용자 입력에 쓰일 일이 없는 사용 영역 문자, SQL에서 message의 같은 문자는 미리 제거)
+export const HEADLINE_START = '\uE000';
+export const HEADLINE_STOP = '\uE001';
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// ts_headline은 simple 설정으로 단어 단위 강조만 하므로 2-gram으로 찾은 한글 부분 일치("결제실패했습니다" 속 "결제")는 강조되지 않음
+// 제외(-)가 아닌 검색어의 두 글자 이상 한글 구간을 아직 강조되지 않은 부분에서 찾아 구분자로 감싼다 (한 글자 검색어는 제외)
+const highlightHangulTerms = (headline, terms) => {
+  const needles = [...new Set(terms
+    .filter(term => !term.negate)
+    .flatMap(term => term.text.match(HANGUL_RUN) || [])
+    .filter(run => run.length >= 2))]
+    .sort((a, b) => b.length - a.length);
+  if (needles.length === 0) return headline;
+
+  const pattern = new RegExp(needles.join('|'), 'g');
+  const marked = new RegExp(`(${HEADLINE_START}[^${HEADLINE_STOP}]*${HEADLINE_STOP})`);
+  return headline
+    .split(marked)
+    .map((part, index) => (index % 2 === 1 ? part : part.replace(pattern, match => `${HEADLINE_START}${match}${HEADLINE_STOP}`)))
+    .join('');
+};
+
+// ts_headline 결과 → HTML 이스케이프한 발췌 + <mark> 강조
+// message는 브라우저(beacon/WebSocket)에서 온 값이라 그대로 HTML로 렌더링하면 저장형 XSS가 되므로 구분자 외에는 모두 이스케이프
+// terms: buildSearchTsQuery의 terms (한글 부분 일치 강조용)
+export const renderSearchHeadline = (headline, terms = []) => {
+  if (typeof headline !== 'string') return headline;
+  return highlightHangulTerms(headline, terms)
+    .replace(/[&<>"']/g, char => HTML_ESCAPES[char])
+    .replaceAll(HEADLINE_START, '<mark>')
+    .replaceAll(HEADLINE_STOP, '</mark>');
+};
+
+// 검색어 → { tsquery, terms } (검색할 단어가 없으면 에러)
+export const buildSearchTsQuery = (input) => {
+  if (typeof input !== 'string' || input.trim() === '') {
+    throw syntaxError('검색어가 필요합니다', 0);
+  }
+  if (input.length > MAX_SEARCH_LENGTH) {
+    throw syntaxError(`검색어는 최대 ${MAX_SEARCH_LENGTH}자까지 가능합니다`, MAX_SEARCH_LENGTH);
+  }
+
+  // 1. 토큰: { type: 'term', text, prefix, negate, phrase, position } | { type: 'or', position }
+  const tokens = [];
+  let i = 0;
+  while (i < input.length) {
+    if (/\s/.test(input[i])) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+    const negate = input[i] === '-';
+    if (negate) i++;
+
+    if (input[i] === '"') {
+      const end = input.indexOf('"', i + 1);
+      if (end === -1) throw syntaxError('닫히지 않은 따옴표입니다', i);
+      const text = input.slice(i + 1, end).trim();
+      if (text === '') throw syntaxError('빈 구문입니다', i);
+      tokens.push({ type: 'term', text, prefix: false, negate, phrase: true, position: start });
+      i = end + 1;
+      continue;
+    }
+
+    let end = i;
+    while (end < input.length && !/\s/.test(input[end])) end++;
+    const word = input.slice(i, end);
+    i = end;
+
+    if (!negate && word === 'OR') {
+      tokens.push({ type: 'or', position: start });
+      continue;
+    }
+
+    if (word === '') throw syntaxError('- 뒤에 검색어가 필요합니다', start);
+
+    const prefix = word.endsWith('*');
+    const text = prefix ? word.replace(/\*+$/, '') : word;
+    if (text === '' || text.includes('*')) {
+      throw syntaxError('*는 단어 끝에만 쓸 수 있습니다', start);
+    }
+    tokens.push({ type: 'term', text, prefix, negate, phrase: false, position: start });
+  }
+
+  // 2. OR로 묶인 그룹들을 AND (제외 단어는 OR로 이을 수 없음)
+  const groups = [];
+  let previous = null;
+  for (const token of tokens) {
+    if (token.type === 'or') {
+      if (!previous || previous.type === 'or') throw syntaxError('OR 앞에 검색어가 필요합니다', token.position);
+    } else if (previous?.type === 'or') {
+      if (token.negate || groups[groups.length - 1].some(term => term.negate)) {
+        throw syntaxError('제외 검색어(-)는 OR로 이을 수 없습니다', token.position);
+      }
+      groups[groups.length - 1].push(token);
+    } else {
+      groups.push([token]);
+    }
+    previous = token;
+  }
+  if (previous?.type === 'or') throw syntaxError('OR 뒤에 검색어가 필요합니다', previous.position);
+
+  const terms = groups.flat();
+  if (terms.length > MAX_SEARCH_TERMS) {
+    throw syntaxError(`검색어는 최대 ${MAX_SEARCH_TERMS}개까지 가능합니다`, terms[MAX_SEARCH_TERMS].position);
+  }
+  if (terms.every(term => term.negate)) {
+    throw syntaxError('제외(-)가 아닌 검색어가 최소 1개 필요합니다', terms[0].position);
+  }
+
+  const tsquery = groups
+    .map(group => {
+      const query = group.map(termQuery).join(' | ');
+      if (group[0].negate) return `!${group.length > 1 ? `(${query})` : query}`;
+      return group.length > 1 ? `(${query})` : query;
+    })
+    .join(' & ');
+
+  return {
+    tsquery,
+    terms: terms.map(({ text, prefix, negate, phrase }) => ({ text, prefix, negate, phrase }))
+  };
+};
@@ -0,0 +1,362 @@
+import { createHash } from 'crypto';
+import { logMemoryStore } from './log-memory-store.js';
+import { metadataSchemaRegistry } from './metadata-schema-registry.js';
+import { logRedactor } from './log-redactor.js';
+import { logEnricher } from './log-enricher.js';
+import { logSampler } from './log-sampler.js';
+import { LOG_LEVELS, LEVEL_SEVERITY, normalizeLevel } from './log-levels.js';
+
+// 클라이언트 멱등성 키 형식 (DB log_id 컬럼: VARCHAR(128))
+const LOG_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// 클라이언트 이벤트 시각(occurredAt) 허용 범위 및 정책
+// - clamp: 허용 범위 밖이면 범위 경계로 보정
+// - reject: 허용 범위 밖이면 로그 거부
+// - flag: 값은 그대로 두고 clock_skew_action = 'flagged'로 표시
+const CLOCK_SKEW_POLICIES = ['clamp', 'reject', 'flag'];
+const CLOCK_SKEW_POLICY = CLOCK_SKEW_POLICIES.includes(process.env.LOG_CLOCK_SKEW_POLICY)
+  ? process.env.LOG_CLOCK_SKEW_POLICY
+  : 'flag';
+const MAX_FUTURE_SKEW_MS = parseInt(process.env.LOG_MAX_FUTURE_SKEW_MS) || 5 * 60 * 1000;       // 서버보다 5분 이상 미래
+const MAX_PAST_SKEW_MS = parseInt(process.env.LOG_MAX_PAST_SKEW_MS) || 7 * 24 * 60 * 60 * 1000; // 서버보다 7일 이상 과거
+
+// 표준 레벨/별칭으로 해석할 수 없는 level 처리
+// - info: info로 저장하고 원래 값은 metadata.original_level에 보존 (기존 데이터 정규화와 같은 방식, 기본값)
+// - reject: INVALID_LEVEL로 거부
+const UNKNOWN_LEVEL_POLICIES = ['info', 'reject'];
+const UNKNOWN_LEVEL_POLICY = UNKNOWN_LEVEL_POLICIES.includes(process.env.LOG_UNKNOWN_LEVEL_POLICY)
+  ? process.env.LOG_UNKNOWN_LEVEL_POLICY
+  : 'info';
+const ORIGINAL_LEVEL_MAX_LENGTH = 100;
+
+// 필드 길이/크기 제한 (DB 컬럼 한도를 넘는 값 때문에 배치 INSERT가 실패하지 않도록 수집 단계에서 처리)
+// - truncate: 한도까지 잘라서 저장하고 truncated = true로 표시
+// - reject: FIELD_TOO_LONG으로 거부
+// level은 표준 레벨로 정규화되므로 한도를 넘는 값은 알 수 없는 레벨(LOG_UNKNOWN_LEVEL_POLICY)로 처리된다
+const FIELD_LIMIT_POLICIES = ['truncate', 'reject'];
+const FIELD_LIMIT_POLICY = FIELD_LIMIT_POLICIES.includes(process.env.LOG_FIELD_LIMIT_POLICY)
+  ? process.env.LOG_FIELD_LIMIT_POLICY
+  : 'truncate';
+const FIELD_LIMITS = {
+  type: 50,                                                                  // VARCHAR(50)
+  level: 10,                                                                 // VARCHAR(10)
+  message: parseInt(process.env.LOG_MAX_MESSAGE_LENGTH) || 32 * 1024,        // 문자 수
+  metadata: parseInt(process.env.LOG_MAX_METADATA_BYTES) || 64 * 1024        // JSON 직렬화 바이트
+};
+const METADATA_PREVIEW_LENGTH = 1024;
+
+const fieldLimitStats = {
+  truncated: { type: 0, message: 0, metadata: 0 },
+  rejected: { type: 0, message: 0, metadata: 0 }
+};
+
+// 한도를 넘는 필드 찾기 (type은 저장 시 trim되므로 trim 후 길이 기준)
+const findOversizedField = (logData) => {
+  if (typeof logData.type === 'string' && logData.type.trim().length > FIELD_LIMITS.type) {
+    return { field: 'type', size: logData.type.trim().length, limit: FIELD_LIMITS.type, unit: '자' };
+  }
+  if (typeof logData.message === 'string' && logData.message.length > FIELD_LIMITS.message) {
+    return { field: 'message', size: logData.message.length, limit: FIELD_LIMITS.message, unit: '자' };
+  }
+  if (logData.metadata && typeof logData.metadata === 'object') {
+    const metadataBytes = Buffer.byteLength(JSON.stringify(logData.metadata));
+    if (metadataBytes > FIELD_LIMITS.metadata) {
+      return { field: 'metadata', size: metadataBytes, limit: FIELD_LIMITS.metadata, unit: '바이트' };
+    }
+  }
+  return null;
+};
+
+// 한도를 넘는 필드를 잘라내고 잘린 필드 이름 목록 반환 (통계는 호출하는 쪽에서 로그당 한 번 집계)
+// metadata는 JSON 구조를 유지할 수 없으므로 원래 크기와 앞부분 미리보기만 남긴다
+const truncateOversizedFields = (logData) => {
+  const truncated = [];
+
+  const type = logData.type.trim();
+  if (type.length > FIELD_LIMITS.type) {
+    logData.type = type.slice(0, FIELD_LIMITS.type);
+    truncated.push('type');
+  }
+
+  if (logData.message.length > FIELD_LIMITS.message) {
+    logData.message = logData.message.slice(0, FIELD_LIMITS.message);
+    truncated.push('message');
+  }
+
+  if (logData.metadata && typeof logData.metadata === 'object') {
+    const json = JSON.stringify(logData.metadata);
+    const metadataBytes = Buffer.byteLength(json);
+    if (metadataBytes > FIELD_LIMITS.metadata) {
+      logData.metadata = {
+        _truncated: {
+          original_bytes: metadataBytes,
+          limit_bytes: FIELD_LIMITS.metadata,
+          // 요약 자체가 한도를 넘지 않도록 미리보기 길이 제한 (UTF-8 한 글자 최대 4바이트)
+          preview: json.slice(0, Math.min(METADATA_PREVIEW_LENGTH, Math.floor(FIELD_LIMITS.metadata / 8)))
+        }
+      };
+      truncated.push('metadata');
+    }
+  }
+
+  return truncated;
+};
+
+// occurredAt 허용 범위 (0001-01-01 ~ 9999-12-31, UTC)
+// 이 범위를 벗어나면 toISOString()이 RangeError를 던지거나 PostgreSQL timestamptz 범위를 넘어
+// 조회 API 전체가 실패하거나 배치 INSERT가 행 단위 에러 없이 통째로 실패한다
+export const OCCURRED_AT_MIN_MS = Date.parse('0001-01-01T00:00:00.000Z');
+export const OCCURRED_AT_MAX_MS = Date.parse('9999-12-31T23:59:59.999Z');
+
+export const isOccurredAtInRange = (ms) => Number.isFinite(ms) && ms >= OCCURRED_AT_MIN_MS && ms <= OCCURRED_AT_MAX_MS;
+
+// occurredAt 값(ISO 문자열 또는 epoch 밀리초)을 밀리초로 변환 (해석 불가 시 NaN)
+const parseOccurredAt = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') {
+    return /^\d+$/.test(value.trim()) ? Number(value.trim()) : Date.parse(value);
+  }
+  return NaN;
+};
+
+// 클라이언트 시각과 서버 수신 시각의 차이를 계산하고 정책 적용
+// 반환값: { occurredAt, clockSkewMs, clockSkewAction } 또는 { error }
+const applyClockSkewPolicy = (occurredAtInput, receivedAt) => {
+  const occurredAt = parseOccurredAt(occurredAtInput);
+  const clockSkewMs = receivedAt - occurredAt; // 양수: 과거 이벤트, 음수: 미래 이벤트
+
+  const tooFarInFuture = -clockSkewMs > MAX_FUTURE_SKEW_MS;
+  const tooFarInPast = clockSkewMs > MAX_PAST_SKEW_MS;
+  if (!tooFarInFuture && !tooFarInPast) {
+    return { occurredAt, clockSkewMs, clockSkewAction: null };
+  }
+
+  if (CLOCK_SKEW_POLICY === 'reject') {
+    return {
+      error: tooFarInFuture
+        ? `occurredAt이 서버 시각보다 ${Math.round(-clockSkewMs / 1000)}초 미래입니다 (허용: ${MAX_FUTURE_SKEW_MS / 1000}초)`
+        : `occurredAt이 서버 시각보다 ${Math.round(clockSkewMs / 1000)}초 과거입니다 (허용: ${MAX_PAST_SKEW_MS / 1000}초)`
+    };
+  }
+
+  if (CLOCK_SKEW_POLICY === 'clamp') {
+    return {
+      occurredAt: tooFarInFuture ? receivedAt + MAX_FUTURE_SKEW_MS : receivedAt - MAX_PAST_SKEW_MS,
+      clockSkewMs,
+      clockSkewAction: 'clamped'
+    };
+  }
+
+  return { occurredAt, clockSkewMs, clockSkewAction: 'flagged' };
+};
+
+export const getClockSkewConfig = () => ({
+  policy: CLOCK_SKEW_POLICY,
+  maxFutureSkewMs: MAX_FUTURE_SKEW_MS,
+  maxPastSkewMs: MAX_PAST_SKEW_MS
+});
+
+export const getFieldLimitConfig = () => ({
+  policy: FIELD_LIMIT_POLICY,
+  limits: FIELD_LIMITS,
+  truncated: { ...fieldLimitStats.truncated },
+  rejected: { ...fieldLimitStats.rejected }
+});
+
+export const getLevelConfig = () => ({
+  levels: LOG_LEVELS,
+  severity: LEVEL_SEVERITY,
+  unknownLevelPolicy: UNKNOWN_LEVEL_POLICY
+});
+
+// 로그 형식 검증 (필수 필드, 타입)
+const validateLogShape = (logData) => {
+  if (!logData || typeof logData !== 'object' || Array.isArray(logData)) {
+    return { code: 'INVALID_LOG', message: '로그는 JSON 객체여야 합니다' };
+  }
+
+  if (!logData.type || !logData.message) {
+    return { code: 'MISSING_FIELDS', message: 'type과 message 필드는 필수입니다' };
+  }
+
+  if (typeof logData.type !== 'string' || logData.type.trim() === '') {
+    return { code: 'INVALID_TYPE', message: 'type 필드는 비어있지 않은 문자열이어야 합니다' };
+  }
+
+  if (typeof logData.message !== 'string' || logData.message.trim() === '') {
+    return { code: 'INVALID_MESSAGE', message: 'message 필드는 비어있지 않은 문자열이어야 합니다' };
+  }
+
+  if (logData.level !== undefined && logData.level !== null && logData.level !== '' &&
+      UNKNOWN_LEVEL_POLICY === 'reject' && !normalizeLevel(logData.level)) {
+    return { code: 'INVALID_LEVEL', message: `level은 ${LOG_LEVELS.join(', ')} 중 하나(또는 err, warning 등의 별칭)여야 합니다` };
+  }
+
+  if (logData.metadata && typeof logData.metadata !== 'object') {
+    return { code: 'INVALID_METADATA', message: 'metadata 필드는 객체 타입이어야 합니다' };
+  }
+
+  if (FIELD_LIMIT_POLICY === 'reject') {
+    const oversized = findOversizedField(logData);
+    if (oversized) {
+      return {
+        code: 'FIELD_TOO_LONG',
+        field: oversized.field,
+        message: `${oversized.field}이(가) 너무 큽니다 (${oversized.size}${oversized.unit}, 최대 ${oversized.limit}${oversized.unit})`
+      };
+    }
+  }
+
+  if (logData.logId !== undefined && (typeof logData.logId !== 'string' || !LOG_ID_PATTERN.test(logData.logId))) {
+    return { code: 'INVALID_LOG_ID', message: 'logId는 영문, 숫자, ._:- 로 이루어진 128자 이하 문자열이어야 합니다' };
+  }
+
+  if (logData.occurredAt !== undefined && logData.occurredAt !== null && !isOccurredAtInRange(parseOccurredAt(logData.occurredAt))) {
+    return { code: 'INVALID_OCCURRED_AT', message: 'occurredAt은 0001-01-01 ~ 9999-12-31 범위의 ISO 8601 문자열 또는 epoch 밀리초여야 합니다' };
+  }
+
+  return null;
+};
+
+const schemaViolationError = (type, violations) => ({
+  code: 'SCHEMA_VIOLATION',
+  message: `metadata가 '${type}' 타입의 스키마와 맞지 않습니다`,
+  violations
+});
+
+// 모든 수집 경로(POST /, /batch, /stream)가 공유하는 로그 검증
+// strict 모드 스키마가 등록된 type이면 metadata 스키마 위반도 검사
+// 문제가 없으면 null, 있으면 { code, message, violations? } 반환
+export const validateLogEntry = (logData) => {
+  const shapeError = validateLogShape(logData);
+  if (shapeError) return shapeError;
+
+  const schemaResult = metadataSchemaRegistry.check(logData.type, logData.metadata);
+  if (schemaResult?.mode === 'strict' && schemaResult.violations.length > 0) {
+    return schemaViolationError(logData.type, schemaResult.violations);
+  }
+
+  return null;
+};
+
+// Idempotency-Key 헤더로부터 항목별 멱등성 키 생성
+// 배치/스트림에서는 같은 요청 안의 항목을 구분하기 위해 위치를 덧붙인다
+// 헤더는 structured field 문자열("...")로 올 수 있어 따옴표를 벗기고,
+// logId 형식(영문, 숫자, ._:-, 128자 이하)에 맞지 않는 키는 거부하지 않고 해시로 바꿔 사용
+export const deriveIdempotencyKey = (headerValue, position) => {
+  if (typeof headerValue !== 'string') return undefined;
+  let key = headerValue.trim();
+  if (key.length >= 2 && key.startsWith('"') && key.endsWith('"')) {
+    key = key.slice(1, -1).replace(/\\(["\\])/g, '$1');
+  }
+  if (key === '') return undefined;
+
+  const suffix = position === undefined ? '' : `:${position}`;
+  if (!LOG_ID_PATTERN.test(`${key}${suffix}`)) {
+    key = `idem:${createHash('sha256').update(key).digest('hex').slice(0, 40)}`;
+  }
+  return `${key}${suffix}`;
+};
+
+// 검증을 통과한 로그를 메모리 스토어에 추가
+// options.idempotencyKey: 로그에 logId가 없을 때 사용할 멱등성 키
+// options.context: 수집 정보 보강용 요청 컨텍스트 (ingestContext(req) 결과)
+// 반환값: { status: 'accepted' | 'duplicate', logId, collapsed?, truncated?, schemaViolations? } 또는 { status: 'rejected' | 'sampled' | 'shed' | 'overloaded', code, reason, violations? }
+export const ingestLog = async (logData, options = {}) => {
+  if (logData && typeof logData === 'object' && logData.logId === undefined && options.idempotencyKey) {
+    logData.logId = options.idempotencyKey;
+  }
+
+  const validationError = validateLogShape(logData);
+  if (validationError) {
+    if (validationError.code === 'FIELD_TOO_LONG') fieldLimitStats.rejected[validationError.field]++;
+    return { status: 'rejected', code: validationError.code, reason: validationError.message };
+  }
+
+  // 이미 받은 logId의 재전송은 샘플링/마스킹/시각 보정 등을 거치지 않고 바로 중복으로 응답
+  // (속도 제한 토큰이나 통계를 다시 쓰지 않고, sampled/rejected 대신 duplicate로 보고되도록)
+  if (logData.logId && logMemoryStore.isDuplicateLogId(logData.logId)) {
+    logMemoryStore.totalDeduplicated++;
+    return { status: 'duplicate', logId: logData.logId };
+  }
+
+  // 등록된 metadata 스키마 검증 (strict: 거부, warn: 저장 후 위반 내용 보고)
+  const schemaResult = metadataSchemaRegistry.check(logData.type, logData.metadata);
+  let schemaViolations;
+  if (schemaResult) {
+    const { mode, violations } = schemaResult;
+    if (violations.length === 0) {
+      metadataSchemaRegistry.record(logData.type, 'passed');
+    } else if (mode === 'strict') {
+      metadataSchemaRegistry.record(logData.type, 'rejected', violations);
+      const error = schemaViolationError(logData.type, violations);
+      return { status: 'rejected', code: error.code, reason: error.message, violations };
+    } else {
+      metadataSchemaRegistry.record(logData.type, 'warned', violations);
+      schemaViolations = violations;
+    }
+  }
+
+  // 로그 레벨을 표준 레벨로 정규화 (기본값 info, 해석할 수 없는 값은 metadata.original_level에 보존)
+  const level = normalizeLevel(logData.level);
+  if (!level && logData.level !== undefined && logData.level !== null && logData.level !== '') {
+    const originalLevel = typeof logData.level === 'string' ? logData.level : JSON.stringify(logData.level);
+    logData.metadata = { ...logData.metadata, original_level: originalLevel.slice(0, ORIGINAL_LEVEL_MAX_LENGTH) };
+  }
+  logData.level = level ?? 'info';
+  logData.severity = LEVEL_SEVERITY[logData.level];
+
+  // 샘플링/속도 제한 (버려지는 로그는 이후 단계를 거치지 않음)
+  const sampling = logSampler.evaluate(logData);
+  if (!sampling.keep) {
+    return { status: 'sampled', code: sampling.code, reason: sampling.reason };
+  }
+  logData.sampleRate = sampling.sampleRate;
+
+  // 필드 길이/크기 제한 (reject 정책이면 검증에서 이미 걸러졌음)
+  // 마스킹 정규식이 한도를 넘는 원본 전체(최대 요청 크기)를 훑지 않도록 마스킹 전에 자르고,
+  // 마스킹으로 값이 늘어날 수 있으므로 마스킹 후 한 번 더 확인
+  // 서버가 붙이는 _ingest는 한도 계산에서 제외하려고 보강 전에 처리
+  const truncatedFields = truncateOversizedFields(logData);
+
+  // 개인정보 마스킹 (스키마 검증은 원본 기준, 버퍼/DB에는 마스킹된 값만 저장)
+  logRedactor.redact(logData);
+
+  for (const field of truncateOversizedFields(logData)) {
+    if (!truncatedFields.includes(field)) truncatedFields.push(field);
+  }
+  truncatedFields.forEach(field => fieldLimitStats.truncated[field]++);
+  logData.truncated = truncatedFields.length > 0;
+
+  // 요청 컨텍스트(IP, UA, API 키, 국가)를 metadata._ingest에 추가
+  // 마스킹 뒤에 붙여서 운영자가 명시적으로 켠 수신 IP는 가려지지 않게 한다
+  logEnricher.enrich(logData, options.context);
+
+  // 클라이언트 이벤트 시각 처리 (서버 수신 시각과 별도로 저장)
+  if (logData.occurredAt !== undefined && logData.occurredAt !== null) {
+    const skew = applyClockSkewPolicy(logData.occurredAt, Date.now());
+    if (skew.error) {
+      return { status: 'rejected', code: 'CLOCK_SKEW', reason: skew.error };
+    }
+    logData.occurredAt = skew.occurredAt;
+    logData.clockSkewMs = skew.clockSkewMs;
+    logData.clockSkewAction = skew.clockSkewAction;
+  } else {
+    delete logData.occurredAt;
+  }
+
+  const { logId, duplicate, collapsed, shed, overloaded, retryAfterSec } = await logMemoryStore.addLog(logData);
+  if (overloaded) {
+    return { status: 'overloaded', code: 'BUFFER_OVERLOADED', reason: '서버 버퍼가 가득 찼습니다. 잠시 후 다시 시도하세요', retryAfterSec };
+  }
+  if (shed) {
+    return { status: 'shed', code: 'BUFFER_SHED', reason: '서버 과부하로 우선순위가 낮은 로그를 버렸습니다' };
+  }
+  return {
+    status: duplicate ? 'duplicate' : 'accepted',
+    logId,
+    ...(collapsed && { collapsed: true }),
+    ...(truncatedFields.length > 0 && { truncated: truncatedFields }),
+    ...(schemaViolations && { schemaViolations })
+  };
+};
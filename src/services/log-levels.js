@@ -0,0 +1,46 @@
+// 로그 레벨 모델 - 고정된 6단계와 숫자 심각도 (DB severity 컬럼에 저장)
+export const LOG_LEVELS = ['trace', 'debug', 'info', 'warn', 'error', 'fatal'];
+
+export const LEVEL_SEVERITY = {
+  trace: 0,
+  debug: 1,
+  info: 2,
+  warn: 3,
+  error: 4,
+  fatal: 5
+};
+
+// 수집 시 정규화할 별칭 (소문자 기준)
+export const LEVEL_ALIASES = {
+  trc: 'trace',
+  verbose: 'trace',
+  finest: 'trace',
+  dbg: 'debug',
+  fine: 'debug',
+  information: 'info',
+  informational: 'info',
+  notice: 'info',
+  log: 'info',
+  warning: 'warn',
+  wrn: 'warn',
+  err: 'error',
+  severe: 'error',
+  critical: 'fatal',
+  crit: 'fatal',
+  alert: 'fatal',
+  emerg: 'fatal',
+  emergency: 'fatal',
+  panic: 'fatal'
+};
+
+// 레벨 문자열 → 표준 레벨 (해석할 수 없으면 null)
+export const normalizeLevel = (level) => {
+  if (typeof level !== 'string') return null;
+
+  const key = level.trim().toLowerCase();
+  if (LEVEL_SEVERITY[key] !== undefined) return key;
+  return LEVEL_ALIASES[key] ?? null;
+};
+
+// 레벨의 숫자 심각도 (해석할 수 없는 레벨은 info로 취급)
+export const levelSeverity = (level) => LEVEL_SEVERITY[normalizeLevel(level)] ?? LEVEL_SEVERITY.info;
@@ -1,8 +1,30 @@
 import { batchInsert, createMonthlyPartition } from '../config/database.js';
-import { randomUUID } from 'crypto';
+import { LogSpool } from './log-spool.js';
+import { LEVEL_SEVERITY, normalizeLevel, levelSeverity } from './log-levels.js';
+import { logCursorKey, compareCursorKeys, compareLogDisplayOrder } from './log-cursor.js';
+import { buildLogSearchPredicate } from './log-query.js';
+import { buildMetadataFilterPredicate } from './metadata-filter.js';
+import { randomUUID, createHash } from 'crypto';
 import { writeFileSync, appendFileSync, existsSync } from 'fs';
 import { join } from 'path';
 
+// 버퍼 과부하 정책
+// - reject: 한도를 넘으면 수집 요청을 429로 거부
+// - shed: 한도를 넘으면 우선순위가 낮은 레벨부터 버리고 error 이상은 보존
+const BACKPRESSURE_POLICIES = ['reject', 'shed'];
+
+const parseTypeList = (value) => new Set((value || '').split(',').map(type => type.trim()).filter(Boolean));
+
+// 반복 에러 묶기용 메시지 지문 - 숫자, UUID, 16진수 ID처럼 매번 바뀌는 부분은 같은 값으로 취급
+// 예: "timeout after 1532ms (req 9f8e7d6c5b4a)" 와 "timeout after 2010ms (req 1a2b3c4d5e6f)" 는 같은 지문
+export const messageFingerprint = (message) => createHash('sha1')
+  .update(String(message)
+    .replace(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi, '<uuid>')
+    .replace(/\b(?=[0-9a-f]*\d)[0-9a-f]{8,}\b/gi, '<hex>')
+    .replace(/\d+/g, '<n>'))
+  .digest('hex')
+  .slice(0, 16);
+
 export class LogMemoryStore {
   static instance = null;
   
@@ -12,6 +34,7 @@ export class LogMemoryStore {
     }
 
     this.buffer = [];
+    this.nextBufferSeq = 0; // 버퍼 진입 순서 (같은 created_at 로그의 커서 정렬 기준)
     this._isProcessing = false;
     this.BATCH_SIZE = parseInt(process.env.LOG_BATCH_SIZE) || 1000;
     this.FLUSH_INTERVAL = parseInt(process.env.LOG_FLUSH_INTERVAL_MS) || 60000;
@@ -19,15 +42,57 @@ export class LogMemoryStore {
     
     // 새로 추가된 속성들
     this.pendingLogs = new Map(); // 처리 중인 로그들 추적
-    this.failedLogs = new Map();  // 실패한 로그들 저장
+    this.failedLogs = new Map();  // 실패한 로그들 저장 (최근 MAX_FAILED_LOGS개만, 전체는 스풀의 dead-letter 파일)
+    this.MAX_FAILED_LOGS = parseInt(process.env.LOG_FAILED_MAX_ENTRIES) || 10000;
     this.totalProcessed = 0;      // 총 처리된 로그 수
     this.totalFailed = 0;         // 총 실패한 로그 수
     this.lastProcessedAt = null;  // 마지막 처리 시간
-    this.maxRetries = 3;          // 최대 재시도 횟수
+    this.maxRetries = 3;          // 최대 재시도 횟수 (행 단위 데이터 에러에만 적용)
+
+    // DB 연결 장애 등 배치 전체가 실패했을 때의 재시도 간격 (실패가 이어질수록 두 배, 최대 DB_RETRY_MAX_MS)
+    // 그동안 로그는 버퍼/스풀에 남아 있고, 버퍼가 한도에 닿으면 429/shed로 클라이언트가 물러나게 함
+    this.DB_RETRY_BASE_MS = parseInt(process.env.LOG_DB_RETRY_BASE_MS) || 1000;
+    this.DB_RETRY_MAX_MS = parseInt(process.env.LOG_DB_RETRY_MAX_MS) || 60000;
+    this.consecutiveBatchFailures = 0;
+    this.dbRetryAt = 0;
+    
+    // 멱등성 키 기반 중복 제거 (클라이언트 재전송 대비)
+    this.recentLogIds = new Map(); // logId → 만료 시각 (삽입 순서 = 오래된 순)
+    this.DEDUP_WINDOW_MS = parseInt(process.env.LOG_DEDUP_WINDOW_MS) || 24 * 60 * 60 * 1000;
+    this.DEDUP_MAX_KEYS = parseInt(process.env.LOG_DEDUP_MAX_KEYS) || 100000;
+    this.totalDeduplicated = 0;   // 중복으로 제거된 로그 수 (메모리 + DB)
+    
+    // 버퍼 한도 및 과부하 정책 (DB 장애 시 버퍼가 무한히 커지는 것 방지)
+    this.bufferBytes = 0;
+    this.MAX_BUFFER_ENTRIES = parseInt(process.env.LOG_BUFFER_MAX_ENTRIES) || 100000;
+    this.MAX_BUFFER_BYTES = parseInt(process.env.LOG_BUFFER_MAX_BYTES) || 256 * 1024 * 1024;
+    this.BACKPRESSURE_POLICY = BACKPRESSURE_POLICIES.includes(process.env.LOG_BACKPRESSURE_POLICY)
+      ? process.env.LOG_BACKPRESSURE_POLICY
+      : 'reject';
+    this.RETRY_AFTER_SEC = parseInt(process.env.LOG_BACKPRESSURE_RETRY_AFTER_SEC) || 30;
+    this.totalShed = 0;              // 과부하로 버린 로그 수
+    this.totalRejectedOverload = 0;  // 과부하로 거부한 로그 수
+    this.lastOverloadedAt = null;
+
+    // 반복 로그 묶기 (게임 클라이언트가 루프에 빠져 같은 에러를 대량으로 보낼 때)
+    // 같은 (type, level, 메시지 지문, user_id) 로그가 창 안에 다시 들어오면 버퍼에 있는 행의 occurrences만 늘린다
+    // 원본 이벤트를 하나하나 봐야 하는 type은 LOG_COLLAPSE_EXCLUDE_TYPES로 제외
+    this.COLLAPSE_ENABLED = process.env.LOG_COLLAPSE_ENABLED === 'true';
+    this.COLLAPSE_WINDOW_MS = parseInt(process.env.LOG_COLLAPSE_WINDOW_MS) || 60 * 1000;
+    this.COLLAPSE_MIN_SEVERITY = LEVEL_SEVERITY[normalizeLevel(process.env.LOG_COLLAPSE_MIN_LEVEL) || 'error'];
+    this.COLLAPSE_TYPES = parseTypeList(process.env.LOG_COLLAPSE_TYPES);           // 비어 있으면 모든 type
+    this.COLLAPSE_EXCLUDE_TYPES = parseTypeList(process.env.LOG_COLLAPSE_EXCLUDE_TYPES);
+    this.COLLAPSE_MAX_GROUPS = parseInt(process.env.LOG_COLLAPSE_MAX_GROUPS) || 10000;
+    this.collapseGroups = new Map();   // 묶음 키 → 버퍼에 있는 대표 로그
+    this.collapseKeys = new WeakMap(); // 대표 로그 → 묶음 키 (버퍼에서 빠질 때 정리용)
+    this.totalCollapsed = 0;           // 대표 로그에 합쳐진 로그 수
     
     // 에러 로그 파일 경로
     this.errorLogPath = join(process.cwd(), 'error.txt');
 
+    // 크래시 대비 디스크 스풀 (응답 전에 기록, 커밋 후 해제)
+    this.spool = new LogSpool();
+
     this.startFlushTimer();
     LogMemoryStore.instance = this;
     
@@ -119,19 +184,194 @@ Server Info:
     console.log(`⏰ 플러시 타이머 시작 (간격: ${this.FLUSH_INTERVAL}ms, 배치 크기: ${this.BATCH_SIZE})`);
   }
 
+  // 최근에 받은 logId인지 확인 (만료된 키는 정리)
+  isDuplicateLogId(logId) {
+    const now = Date.now();
+
+    // Map은 삽입 순서를 유지하므로 앞쪽부터 만료/초과분 제거
+    for (const [key, expiresAt] of this.recentLogIds) {
+      if (expiresAt > now && this.recentLogIds.size <= this.DEDUP_MAX_KEYS) break;
+      this.recentLogIds.delete(key);
+    }
+
+    const expiresAt = this.recentLogIds.get(logId);
+    return expiresAt !== undefined && expiresAt > now;
+  }
+
+  rememberLogId(logId) {
+    this.recentLogIds.delete(logId);
+    this.recentLogIds.set(logId, Date.now() + this.DEDUP_WINDOW_MS);
+  }
+
+  // 버퍼가 한도(개수 또는 바이트)를 넘었는지 확인
+  isOverloaded() {
+    return this.buffer.length >= this.MAX_BUFFER_ENTRIES || this.bufferBytes >= this.MAX_BUFFER_BYTES;
+  }
+
+  getBackpressureState() {
+    const overloaded = this.isOverloaded();
+    return {
+      state: !overloaded ? 'normal' : (this.BACKPRESSURE_POLICY === 'shed' ? 'shedding' : 'rejecting'),
+      policy: this.BACKPRESSURE_POLICY,
+      overloaded,
+      bufferEntries: this.buffer.length,
+      bufferBytes: this.bufferBytes,
+      maxEntries: this.MAX_BUFFER_ENTRIES,
+      maxBytes: this.MAX_BUFFER_BYTES,
+      retryAfterSec: this.RETRY_AFTER_SEC,
+      totalShed: this.totalShed,
+      totalRejected: this.totalRejectedOverload,
+      lastOverloadedAt: this.lastOverloadedAt
+    };
+  }
+
+  // 라우트 단계에서 과부하로 거부한 요청 기록
+  recordOverloadRejection(count = 1) {
+    this.lastOverloadedAt = new Date();
+    this.totalRejectedOverload += count;
+  }
+
+  // shed 정책: 들어온 로그보다 우선순위가 낮은 버퍼 로그 중 가장 오래된 것을 하나 버림
+  // 버릴 로그가 없으면 false
+  shedLowerPriorityLog(incomingPriority) {
+    let victimIndex = -1;
+    let victimPriority = incomingPriority;
+
+    for (let i = 0; i < this.buffer.length; i++) {
+      const priority = levelSeverity(this.buffer[i].level);
+      if (priority < victimPriority && priority < LEVEL_SEVERITY.error) {
+        victimIndex = i;
+        victimPriority = priority;
+        if (priority === LEVEL_SEVERITY.trace) break;
+      }
+    }
+
+    if (victimIndex === -1) return false;
+
+    const [victim] = this.buffer.splice(victimIndex, 1);
+    this.bufferBytes -= victim.sizeBytes || 0;
+    this.closeCollapseGroups([victim]);
+    this.spool.ack([victim.logId]);
+    this.recentLogIds.delete(victim.logId); // 버린 로그는 재전송 시 다시 받을 수 있도록
+    this.totalShed++;
+    return true;
+  }
+
+  isCollapsible(log) {
+    return this.COLLAPSE_ENABLED &&
+      levelSeverity(log.level) >= this.COLLAPSE_MIN_SEVERITY &&
+      (this.COLLAPSE_TYPES.size === 0 || this.COLLAPSE_TYPES.has(log.type)) &&
+      !this.COLLAPSE_EXCLUDE_TYPES.has(log.type);
+  }
+
+  collapseKeyOf(log) {
+    return [log.type, log.level, messageFingerprint(log.message), log.metadata?.user_id ?? ''].join('\u0000');
+  }
+
+  // 창 안에 같은 묶음의 대표 로그가 버퍼에 있으면 합치고 대표 로그 반환 (없으면 null)
+  collapseIntoGroup(key, now) {
+    const group = this.collapseGroups.get(key);
+    if (!group) return null;
+
+    if (now - group.firstSeen >= this.COLLAPSE_WINDOW_MS) {
+      this.collapseGroups.delete(key);
+      return null;
+    }
+
+    group.occurrences++;
+    group.lastSeen = now;
+    this.totalCollapsed++;
+
+    // 크래시 후에도 합친 횟수가 남도록 스풀에 변경분 기록
+    this.spool.patch(group.logId, { occurrences: group.occurrences, lastSeen: group.lastSeen });
+    return group;
+  }
+
+  openCollapseGroup(key, log) {
+    if (this.collapseGroups.size >= this.COLLAPSE_MAX_GROUPS) {
+      this.collapseGroups.delete(this.collapseGroups.keys().next().value);
+    }
+    this.collapseGroups.set(key, log);
+    this.collapseKeys.set(log, key);
+  }
+
+  // 버퍼에서 빠지는 로그(DB 저장 시작, 버림)는 더 이상 합치지 않음
+  closeCollapseGroups(logs) {
+    if (this.collapseGroups.size === 0) return;
+
+    for (const log of logs) {
+      const key = this.collapseKeys.get(log);
+      if (key !== undefined && this.collapseGroups.get(key) === log) {
+        this.collapseGroups.delete(key);
+      }
+    }
+  }
+
+  // 반환값: { logId, duplicate } - duplicate가 true이면 이미 받은 로그이므로 버퍼에 추가하지 않음
+  //         반복 로그로 합쳐지면 { logId: 대표 로그 ID, collapsed: true }
+  //         과부하 시 { shed: true } (정책상 버림) 또는 { overloaded: true, retryAfterSec } (거부)
   async addLog(log) {
+    // 클라이언트가 보낸 멱등성 키가 최근에 처리된 것이면 중복으로 판단
+    if (log.logId && this.isDuplicateLogId(log.logId)) {
+      this.totalDeduplicated++;
+      return { logId: log.logId, duplicate: true };
+    }
+
+    // 반복 로그는 버퍼를 차지하지 않으므로 과부하 검사보다 먼저 합친다
+    const collapseKey = this.isCollapsible(log) ? this.collapseKeyOf(log) : null;
+    if (collapseKey !== null) {
+      const group = this.collapseIntoGroup(collapseKey, Date.now());
+      if (group) {
+        if (log.logId) this.rememberLogId(log.logId); // 합쳐진 로그의 재전송도 중복으로 처리
+        return { logId: group.logId, duplicate: false, collapsed: true };
+      }
+    }
+
+    // 버퍼 한도 초과 시 과부하 정책 적용
+    if (this.isOverloaded()) {
+      this.lastOverloadedAt = new Date();
+      const incomingPriority = levelSeverity(log.level);
+
+      if (this.BACKPRESSURE_POLICY === 'shed' && this.shedLowerPriorityLog(incomingPriority)) {
+        // 우선순위가 낮은 버퍼 로그를 밀어내고 자리를 확보했으므로 계속 진행
+      } else if (this.BACKPRESSURE_POLICY === 'shed' && incomingPriority < LEVEL_SEVERITY.error) {
+        // 밀어낼 로그가 없으면 들어온 로그를 버림 (error 이상은 버리지 않음)
+        this.totalShed++;
+        return { logId: log.logId, duplicate: false, shed: true };
+      } else {
+        this.totalRejectedOverload++;
+        return { logId: log.logId, duplicate: false, overloaded: true, retryAfterSec: this.RETRY_AFTER_SEC };
+      }
+    }
+
     // 고유 ID와 타임스탬프 추가
     const now = new Date();
     const logWithId = {
       ...log,
-      logId: randomUUID(),           // 고유 ID 추가
+      logId: log.logId || randomUUID(), // 클라이언트 멱등성 키 또는 서버 생성 ID
       timestamp: now,                // 기존 timestamp (호환성)
       createdAt: now.getTime(),      // 생성 시간 (밀리초) - DB의 created_at에 사용
+      occurredAt: log.occurredAt ?? now.getTime(), // 클라이언트 이벤트 시각 (없으면 수신 시각) - DB의 occurred_at에 사용
       addedToBufferAt: now,          // 버퍼에 추가된 시간
+      bufferSeq: this.nextBufferSeq++, // 버퍼 진입 순서
       retryCount: 0,                 // 재시도 횟수
+      ...(collapseKey !== null && {
+        occurrences: 1,              // 창 안에서 합쳐진 횟수
+        firstSeen: now.getTime(),
+        lastSeen: now.getTime()
+      })
     };
 
+    // 버퍼에 넣기 전에 디스크 스풀에 먼저 기록 (실패 시 예외 → 호출자가 실패 응답)
+    const spooledBytes = this.spool.append(logWithId);
+    logWithId.sizeBytes = spooledBytes || Buffer.byteLength(JSON.stringify(logWithId));
+
+    this.rememberLogId(logWithId.logId);
     this.buffer.push(logWithId);
+    this.bufferBytes += logWithId.sizeBytes;
+    if (collapseKey !== null) {
+      this.openCollapseGroup(collapseKey, logWithId);
+    }
     // console.log(`📝 로그 추가됨 [ID: ${logWithId.logId.slice(0, 8)}...] (생성시간: ${now.toISOString()}) (버퍼 크기: ${this.buffer.length}/${this.BATCH_SIZE})`);
 
     // 배치 크기에 도달하면 즉시 처리
@@ -139,6 +379,8 @@ Server Info:
       console.log('🚀 배치 크기 도달 - 즉시 처리 시작');
       await this.processBuffer();
     }
+
+    return { logId: logWithId.logId, duplicate: false };
   }
 
   async processBuffer() {
@@ -146,12 +388,19 @@ Server Info:
       return;
     }
 
+    // 직전 배치가 DB 장애로 실패했다면 재시도 간격이 지날 때까지 대기
+    if (Date.now() < this.dbRetryAt) {
+      return;
+    }
+
     console.log(`🔄 버퍼 처리 시작 (${this.buffer.length}개 로그)`);
     this._isProcessing = true;
     this.lastProcessedAt = new Date();
     
     // 처리할 로그들을 버퍼에서 추출
     const logsToProcess = this.buffer.splice(0, this.BATCH_SIZE);
+    this.bufferBytes -= logsToProcess.reduce((sum, log) => sum + (log.sizeBytes || 0), 0);
+    this.closeCollapseGroups(logsToProcess);
     const batchId = randomUUID().slice(0, 8);
     
     console.log(`📦 배치 [${batchId}] 처리 시작 - ${logsToProcess.length}개 로그`);
@@ -169,21 +418,50 @@ Server Info:
       // 현재 월의 파티션이 존재하는지 확인하고 생성
       await this.ensureCurrentMonthPartition();
       
-      // 5초 타임아웃으로 DB 삽입 실행 (기존 10초에서 단축)
-      await Promise.race([
-        batchInsert(logsToProcess),
-        new Promise((_, reject) =>
-          setTimeout(() => reject(new Error('DB insert timeout after 5 seconds')), 5000)
-        ),
-      ]);
+      // INSERT 문마다 시간 제한이 있어(batchInsert 참고) 멈춘 문장은 에러로 끝나고 배치 실패로 재시도됨
+      // 이미 커밋된 청크가 있더라도 log_id 중복으로 건너뛰므로 다시 넣어도 안전
+      const { duplicates, failed } = await batchInsert(logsToProcess);
+      this.consecutiveBatchFailures = 0;
+      this.dbRetryAt = 0;
+
+      // 행 단위로 실패한 로그만 분리하고 나머지는 성공 처리
+      const failedIds = new Set(failed.map(({ log }) => log.logId));
+      const succeededLogs = logsToProcess.filter(log => !failedIds.has(log.logId));
 
       // 성공: 처리 중인 로그들 제거
-      logsToProcess.forEach(log => {
+      succeededLogs.forEach(log => {
         this.pendingLogs.delete(log.logId);
       });
+
+      // DB 커밋이 끝났으므로 스풀에서 해제
+      this.spool.ack(succeededLogs.map(log => log.logId));
       
-      this.totalProcessed += logsToProcess.length;
-      console.log(`✅ 배치 [${batchId}] 처리 완료 - ${logsToProcess.length}개 로그 저장 성공 (총 처리: ${this.totalProcessed})`);
+      // 이미 DB에 있던 로그(log_id 중복)도 저장된 것으로 간주
+      this.totalProcessed += succeededLogs.length - duplicates.length;
+      this.totalDeduplicated += duplicates.length;
+      console.log(`✅ 배치 [${batchId}] 처리 완료 - ${succeededLogs.length}개 로그 저장 성공 (총 처리: ${this.totalProcessed})`);
+
+      if (failed.length > 0) {
+        console.error(`❌ 배치 [${batchId}] 중 ${failed.length}개 로그 행 저장 실패`);
+
+        this.writeErrorLog(failed[0].error, {
+          batchId,
+          failedRows: failed.length,
+          operation: 'batchInsertRows',
+          sampleLogs: failed.slice(0, 3).map(({ log, error }) => ({
+            logId: log.logId,
+            type: log.type,
+            message: log.message?.slice(0, 100),
+            retryCount: log.retryCount,
+            error: error.message
+          }))
+        });
+
+        this.handleFailedLogs(
+          failed.map(({ log, error }) => ({ log, reason: error.message })),
+          batchId
+        );
+      }
       
     } catch (error) {
       console.error(`❌ 배치 [${batchId}] 처리 실패:`, {
@@ -208,44 +486,113 @@ Server Info:
         }))
       });
       
-      // 실패한 로그들 처리
-      const retryableLogs = [];
-      const permanentlyFailedLogs = [];
-      
-      logsToProcess.forEach(log => {
-        this.pendingLogs.delete(log.logId);
-        
-        if (log.retryCount < this.maxRetries) {
-          // 재시도 가능한 로그
-          log.retryCount++;
-          log.lastFailureReason = error.message;
-          log.lastFailureAt = Date.now();
-          retryableLogs.push(log);
-        } else {
-          // 최대 재시도 횟수 초과
-          this.failedLogs.set(log.logId, {
-            ...log,
-            finalFailureReason: error.message,
-            finalFailureAt: Date.now(),
-            batchId
-          });
-          permanentlyFailedLogs.push(log);
-        }
-      });
+      this.requeueBatch(logsToProcess, error);
       
-      // 재시도 가능한 로그들을 버퍼 뒤쪽에 추가 (FIFO 순서 유지)
-      if (retryableLogs.length > 0) {
-        this.buffer.push(...retryableLogs);
-        console.log(`🔄 ${retryableLogs.length}개 로그 재시도 대기열에 추가됨 (총 버퍼: ${this.buffer.length})`);
+    } finally {
+      this._isProcessing = false;
+    }
+  }
+
+  // 이전 프로세스가 남긴 스풀 세그먼트를 버퍼로 복구 (서버 시작 시 1회)
+  recoverFromSpool() {
+    try {
+      const deadLetters = this.spool.readDeadLetters();
+      deadLetters.forEach(log => this.rememberFailedLog(log));
+      if (deadLetters.length > 0) {
+        console.log(`💀 dead-letter 파일에 영구 실패 로그 ${deadLetters.length}개가 있습니다 (메모리에 최근 ${this.failedLogs.size}개)`);
       }
-      
-      if (permanentlyFailedLogs.length > 0) {
-        this.totalFailed += permanentlyFailedLogs.length;
-        console.error(`💀 ${permanentlyFailedLogs.length}개 로그 영구 실패 (최대 재시도 횟수 초과)`);
+
+      const recovered = this.spool.recover();
+      if (recovered.length === 0) {
+        return 0;
       }
+
+      // 복구된 로그는 원래 생성 순서대로 버퍼 앞쪽에 배치
+      recovered.sort((a, b) => a.createdAt - b.createdAt);
+      recovered.forEach(log => {
+        log.bufferSeq = this.nextBufferSeq++;
+        log.sizeBytes = Buffer.byteLength(JSON.stringify(log));
+        this.bufferBytes += log.sizeBytes;
+        this.rememberLogId(log.logId);
+      });
+      this.buffer.unshift(...recovered);
+      console.log(`♻️  스풀에서 ${recovered.length}개 로그를 버퍼로 복구했습니다 (버퍼 크기: ${this.buffer.length})`);
+      return recovered.length;
+    } catch (error) {
+      console.error('❌ 스풀 복구 실패:', error);
+      this.writeErrorLog(error, {
+        operation: 'spoolRecovery',
+        spoolDir: this.spool.dir
+      });
+      return 0;
+    }
+  }
+
+  // 배치 전체가 실패한 경우(연결 장애, 타임아웃 등 행과 무관한 에러)
+  // 로그 자체의 문제가 아니므로 재시도 횟수를 쓰지 않고 버퍼 앞쪽으로 되돌림 (스풀에서도 해제하지 않음)
+  requeueBatch(logs, error) {
+    logs.forEach(log => {
+      this.pendingLogs.delete(log.logId);
+      log.lastFailureReason = error.message;
+      log.lastFailureAt = Date.now();
+    });
+    this.buffer.unshift(...logs);
+    this.bufferBytes += logs.reduce((sum, log) => sum + (log.sizeBytes || 0), 0);
+
+    this.consecutiveBatchFailures++;
+    const delay = Math.min(this.DB_RETRY_BASE_MS * 2 ** (this.consecutiveBatchFailures - 1), this.DB_RETRY_MAX_MS);
+    this.dbRetryAt = Date.now() + delay;
+    console.log(`🔄 ${logs.length}개 로그를 버퍼로 되돌림 - ${delay}ms 후 재시도 (연속 실패 ${this.consecutiveBatchFailures}회, 총 버퍼: ${this.buffer.length})`);
+  }
+
+  // 영구 실패 로그를 메모리 목록에 기록 (한도를 넘으면 오래된 것부터 메모리에서만 제거, dead-letter 파일에는 남음)
+  rememberFailedLog(log) {
+    this.failedLogs.delete(log.logId);
+    this.failedLogs.set(log.logId, log);
+    for (const logId of this.failedLogs.keys()) {
+      if (this.failedLogs.size <= this.MAX_FAILED_LOGS) break;
+      this.failedLogs.delete(logId);
+    }
+  }
+
+  // 행 단위로 실패한 로그들(SQLSTATE 22xxx/23xxx)을 재시도 대기열 또는 영구 실패 목록으로 분류
+  handleFailedLogs(failures, batchId) {
+    const retryableLogs = [];
+    const permanentlyFailedLogs = [];
+    
+    failures.forEach(({ log, reason }) => {
+      this.pendingLogs.delete(log.logId);
       
-    } finally {
-      this._isProcessing = false;
+      if (log.retryCount < this.maxRetries) {
+        // 재시도 가능한 로그
+        log.retryCount++;
+        log.lastFailureReason = reason;
+        log.lastFailureAt = Date.now();
+        retryableLogs.push(log);
+      } else {
+        // 최대 재시도 횟수 초과
+        permanentlyFailedLogs.push({
+          ...log,
+          finalFailureReason: reason,
+          finalFailureAt: Date.now(),
+          batchId
+        });
+      }
+    });
+    
+    // 재시도 가능한 로그들을 버퍼 뒤쪽에 추가 (FIFO 순서 유지)
+    if (retryableLogs.length > 0) {
+      this.buffer.push(...retryableLogs);
+      this.bufferBytes += retryableLogs.reduce((sum, log) => sum + (log.sizeBytes || 0), 0);
+      console.log(`🔄 ${retryableLogs.length}개 로그 재시도 대기열에 추가됨 (총 버퍼: ${this.buffer.length})`);
+    }
+    
+    if (permanentlyFailedLogs.length > 0) {
+      // 스풀 세그먼트에서 해제하고 dead-letter 파일로 옮김 (재시작해도 실패 목록 유지)
+      this.spool.deadLetter(permanentlyFailedLogs);
+      permanentlyFailedLogs.forEach(log => this.rememberFailedLog(log));
+      this.totalFailed += permanentlyFailedLogs.length;
+      console.error(`💀 ${permanentlyFailedLogs.length}개 로그 영구 실패 (최대 재시도 횟수 초과)`);
     }
   }
 
@@ -286,15 +633,31 @@ Server Info:
     }
   }
 
-  getStoredLogs(filters = {}) {
-    let filteredLogs = [...this.buffer];
+  // 조회 대상 메모리 로그 - 버퍼 + DB에 저장 중인 로그 (저장 중인 로그가 조회에서 잠시 사라지지 않도록)
+  getQueryableLogs() {
+    return this.pendingLogs.size > 0 ? [...this.buffer, ...this.pendingLogs.values()] : [...this.buffer];
+  }
+
+  // 필터를 적용하고 조회 결과 순서(compareLogDisplayOrder)로 정렬한 메모리 로그 원본 (커서 조건은 적용하지 않음)
+  getSortedLogs(filters = {}) {
+    let filteredLogs = this.getQueryableLogs();
+
+    // 기준 시각: created_at(서버 수신) 또는 occurred_at(클라이언트 이벤트)
+    const timeOf = filters.timeField === 'occurred_at'
+      ? log => log.occurredAt ?? log.createdAt
+      : log => log.createdAt;
 
     // 필터 적용
     if (filters.type) {
       filteredLogs = filteredLogs.filter(log => log.type === filters.type);
     }
     if (filters.level) {
-      filteredLogs = filteredLogs.filter(log => log.level === filters.level);
+      const level = normalizeLevel(filters.level) ?? filters.level;
+      filteredLogs = filteredLogs.filter(log => log.level === level);
+    }
+    if (filters.minLevel) {
+      const minSeverity = levelSeverity(filters.minLevel);
+      filteredLogs = filteredLogs.filter(log => levelSeverity(log.level) >= minSeverity);
     }
     if (filters.message) {
       filteredLogs = filteredLogs.filter(log => 
@@ -303,12 +666,12 @@ Server Info:
     }
     if (filters.startDate) {
       filteredLogs = filteredLogs.filter(
-        log => new Date(log.createdAt) >= new Date(filters.startDate)
+        log => new Date(timeOf(log)) >= new Date(filters.startDate)
       );
     }
     if (filters.endDate) {
       filteredLogs = filteredLogs.filter(
-        log => new Date(log.createdAt) <= new Date(filters.endDate)
+        log => new Date(timeOf(log)) <= new Date(filters.endDate)
       );
     }
     
@@ -331,98 +694,137 @@ Server Info:
       });
     }
 
-    // 페이지네이션 처리
-    const total = filteredLogs.length;
+    // metadata 필드 조건 (queryLogs의 jsonpath 조건과 같은 의미)
+    if (filters.metaFilters?.length > 0) {
+      filteredLogs = filteredLogs.filter(buildMetadataFilterPredicate(filters.metaFilters));
+    }
+
+    // q 검색 쿼리 (queryLogs와 같은 조건)
+    if (filters.query) {
+      filteredLogs = filteredLogs.filter(buildLogSearchPredicate(filters.query));
+    }
+
+    const order = { reverse: filters.reverse, timeField: filters.timeField };
+    return filteredLogs.sort((a, b) => compareLogDisplayOrder(a, b, order));
+  }
+
+  // 메모리 로그 원본 → 조회 결과 행 (DB 행과 같은 컬럼)
+  toQueryRecord({ batchId, processingStartedAt, ...log }) {
+    return {
+      ...log,
+      created_at: new Date(log.createdAt).toISOString(),
+      occurred_at: new Date(log.occurredAt ?? log.createdAt).toISOString(),
+      severity: log.severity ?? levelSeverity(log.level),
+      clock_skew_ms: log.clockSkewMs ?? null,
+      clock_skew_action: log.clockSkewAction ?? null,
+      sample_rate: log.sampleRate ?? 1,
+      truncated: log.truncated ?? false,
+      occurrences: log.occurrences ?? 1,
+      first_seen: log.firstSeen ? new Date(log.firstSeen).toISOString() : null,
+      last_seen: log.lastSeen ? new Date(log.lastSeen).toISOString() : null,
+      logged_at: null, // 아직 DB에 저장되지 않음
+      source: 'memory' // 메모리에서 온 로그임을 표시
+    };
+  }
+
+  // 정렬된 로그 중 커서 키 다음 로그만 (ascending: 키 오름차순 조회 여부)
+  filterAfterCursor(sortedLogs, cursorKey, ascending) {
+    return sortedLogs.filter(log => {
+      const order = compareCursorKeys(logCursorKey(log), cursorKey);
+      return ascending ? order > 0 : order < 0;
+    });
+  }
+
+  // sortedLogs: 같은 filters로 구한 getSortedLogs 결과를 이미 갖고 있으면 전달 (중복 필터링 방지)
+  getStoredLogs(filters = {}, sortedLogs = this.getSortedLogs(filters)) {
+    // 페이지네이션 처리 (total은 커서 조건 적용 전 기준, cursor가 있으면 커서 다음부터)
+    const total = sortedLogs.length;
     const page = filters.page || 1;
     const limit = filters.limit || 50;
-    const offset = (page - 1) * limit;
-
-    // created_at 기준으로 정렬하고, 메모리 로그 표시 추가
-    const sortedLogs = filteredLogs
-      .sort((a, b) => {
-        const timeA = new Date(a.createdAt);
-        const timeB = new Date(b.createdAt);
-        return filters.reverse ? timeA - timeB : timeB - timeA;
-      })
-      .slice(offset, offset + limit)
-      .map(log => ({
-        ...log,
-        created_at: new Date(log.createdAt).toISOString(),
-        logged_at: null, // 아직 DB에 저장되지 않음
-        source: 'memory' // 메모리에서 온 로그임을 표시
-      }));
+    const offset = filters.cursor ? 0 : (page - 1) * limit;
+    const pageLogs = filters.cursor ? this.filterAfterCursor(sortedLogs, filters.cursor, filters.reverse) : sortedLogs;
 
     return {
-      records: sortedLogs,
+      records: pageLogs.slice(offset, offset + limit).map(log => this.toQueryRecord(log)),
       total,
       page,
       totalPages: Math.ceil(total / limit),
     };
   }
 
-  // DB 결과와 메모리 결과를 시간순으로 통합 정렬하는 새로운 메서드
-  mergeAndSortLogs(memoryLogs = [], dbLogs = [], limit = 50, reverse = false) {
-    try {
-      const allLogs = [];
-      
-      // 메모리 로그 추가 (created_at 기준)
-      if (Array.isArray(memoryLogs)) {
-        memoryLogs.forEach(log => {
-          try {
-            allLogs.push({
-              ...log,
-              created_at: log.createdAt ? new Date(log.createdAt).toISOString() : new Date().toISOString(),
-              logged_at: null,
-              source: 'memory'
-            });
-          } catch (error) {
-            console.warn('⚠️ 메모리 로그 처리 중 에러:', error.message, 'logId:', log.logId);
-          }
-        });
-      }
-      
-      // DB 로그 추가
-      if (Array.isArray(dbLogs)) {
-        dbLogs.forEach(log => {
-          try {
-            allLogs.push({
-              ...log,
-              source: 'database'
-            });
-          } catch (error) {
-            console.warn('⚠️ DB 로그 처리 중 에러:', error.message, 'logId:', log.id);
-          }
-        });
+  // 정렬된 메모리 로그(getSortedLogs 결과) 중 조회 결과 행 row보다 앞에 오는 로그 수 (이진 탐색)
+  countLogsBefore(sortedLogs, row, { reverse = false, timeField = 'created_at' } = {}) {
+    const order = { reverse, timeField };
+    let low = 0;
+    let high = sortedLogs.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (compareLogDisplayOrder(sortedLogs[mid], row, order) < 0) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  }
+
+  // 메모리 로그 전체(getSortedLogs 결과)와 DB 조회 구간을 합친 목록에서 offset부터 limit개를 정확히 잘라냄
+  // - DB 구간: 같은 필터/정렬로 dbOffset부터 가져온 행 (dbLimit보다 적으면 DB 끝까지 가져온 것)
+  //   첫 행의 통합 위치(dbOffset + 앞선 메모리 로그 수)가 offset 이하여야 함 (routes/logs.js fetchCombinedDbWindow가 보장)
+  // - 구간 안의 메모리 로그를 함께 정렬하므로 페이지 경계에서 로그가 빠지거나 겹치지 않는다
+  // - 저장 중인 로그가 그 사이 DB에 들어가 양쪽에 모두 있으면 DB 행을 사용
+  // 반환값: 조회 결과 행 배열 (최대 limit개)
+  sliceCombinedPage(memoryLogs, dbLogs, { offset = 0, limit = 50, dbOffset = 0, dbLimit = Infinity, reverse = false, timeField = 'created_at' } = {}) {
+    const order = { reverse, timeField };
+    const dbRows = dbLogs.map(log => ({ ...log, source: 'database' }));
+
+    // 최소 시작 위치(offset - 메모리 로그 수) 이후에 DB 로그가 없는 경우: 전체 개수가 offset 이하 → 빈 페이지
+    if (dbRows.length === 0 && dbOffset > 0) {
+      return [];
+    }
+
+    const dbExhausted = dbRows.length < dbLimit;
+    const firstDbRow = dbRows[0];
+    const lastDbRow = dbRows[dbRows.length - 1];
+    const savedLogIds = new Set(dbRows.map(row => row.log_id).filter(Boolean));
+
+    // 구간 시작 위치 = dbOffset + (첫 DB 행보다 앞선 메모리 로그 수)
+    // dbOffset이 0이면 앞선 메모리 로그도 구간에 포함하므로 시작 위치는 0
+    let windowStart = dbOffset;
+    const windowMemoryLogs = [];
+    for (const log of memoryLogs) {
+      if (savedLogIds.has(log.logId)) continue;
+
+      if (firstDbRow && compareLogDisplayOrder(log, firstDbRow, order) < 0) {
+        if (dbOffset === 0) windowMemoryLogs.push(log);
+        else windowStart++;
+        continue;
       }
-      
-      // created_at 기준으로 정렬
-      const sortedLogs = allLogs.sort((a, b) => {
-        try {
-          const timeA = new Date(a.created_at || a.timestamp);
-          const timeB = new Date(b.created_at || b.timestamp);
-          
-          // 유효하지 않은 날짜 처리
-          if (isNaN(timeA.getTime()) || isNaN(timeB.getTime())) {
-            console.warn('⚠️ 유효하지 않은 날짜 발견:', { 
-              aTime: a.created_at || a.timestamp, 
-              bTime: b.created_at || b.timestamp 
-            });
-            return 0;
-          }
-          
-          return reverse ? timeA - timeB : timeB - timeA;
-        } catch (error) {
-          console.warn('⚠️ 로그 정렬 중 에러:', error.message);
-          return 0;
-        }
-      });
-      
-      // 제한된 개수만 반환
-      const result = sortedLogs.slice(0, Math.max(1, Math.min(limit, 1000)));
-      
+      // 가져온 DB 구간 뒤의 메모리 로그는 아직 가져오지 않은 DB 로그와의 순서를 알 수 없음
+      if (!dbExhausted && lastDbRow && compareLogDisplayOrder(log, lastDbRow, order) > 0) break;
+      windowMemoryLogs.push(log);
+    }
+
+    const windowRows = [...windowMemoryLogs.map(log => this.toQueryRecord(log)), ...dbRows]
+      .sort((a, b) => compareLogDisplayOrder(a, b, order));
+
+    const from = Math.max(0, offset - windowStart);
+    return windowRows.slice(from, from + limit);
+  }
+
+  // DB 결과와 메모리 결과를 시간순으로 통합 정렬 (두 목록 모두 같은 정렬의 앞부분이어야 함)
+  mergeAndSortLogs(memoryLogs = [], dbLogs = [], limit = 50, reverse = false, timeField = 'created_at') {
+    try {
+      const allLogs = [
+        ...memoryLogs.map(log => this.toQueryRecord(log)),
+        ...dbLogs.map(log => ({ ...log, source: 'database' }))
+      ];
+      const order = { reverse, timeField };
+
+      const result = allLogs
+        .sort((a, b) => compareLogDisplayOrder(a, b, order))
+        .slice(0, Math.max(1, Math.min(limit, 1000)));
+
       console.log(`📊 통합 정렬 완료: 메모리 ${memoryLogs.length}개 + DB ${dbLogs.length}개 → ${result.length}개 반환 (Reverse: ${reverse})`);
       return result;
-      
+
     } catch (error) {
       console.error('❌ 로그 통합 정렬 중 에러:', error);
       return []; // 에러 시 빈 배열 반환
@@ -440,7 +842,12 @@ Server Info:
   async clearBuffer() {
     console.log('🧹 버퍼 클리어');
     this.buffer = [];
+    this.bufferBytes = 0;
+    this.collapseGroups.clear();
     this.pendingLogs.clear();
+
+    // 저장되지 못한 로그는 스풀 파일에 남아 다음 시작 시 복구됨
+    this.spool.close();
     
     if (this.flushTimer) {
       clearInterval(this.flushTimer);
@@ -462,7 +869,24 @@ Server Info:
       totalFailed: this.totalFailed,
       pendingLogsCount: this.pendingLogs.size,
       permanentlyFailedLogsCount: this.failedLogs.size,
+      maxFailedLogs: this.MAX_FAILED_LOGS,
       maxRetries: this.maxRetries,
+      consecutiveBatchFailures: this.consecutiveBatchFailures,
+      dbRetryAt: this.dbRetryAt > Date.now() ? new Date(this.dbRetryAt) : null,
+      spool: this.spool.getStats(),
+      backpressure: this.getBackpressureState(),
+      totalDeduplicated: this.totalDeduplicated,
+      dedupWindowMs: this.DEDUP_WINDOW_MS,
+      trackedLogIds: this.recentLogIds.size,
+      collapse: {
+        enabled: this.COLLAPSE_ENABLED,
+        windowMs: this.COLLAPSE_WINDOW_MS,
+        minLevel: Object.keys(LEVEL_SEVERITY).find(level => LEVEL_SEVERITY[level] === this.COLLAPSE_MIN_SEVERITY),
+        types: [...this.COLLAPSE_TYPES],
+        excludeTypes: [...this.COLLAPSE_EXCLUDE_TYPES],
+        openGroups: this.collapseGroups.size,
+        totalCollapsed: this.totalCollapsed
+      },
       
       // 성능 지표
       successRate: this.totalProcessed + this.totalFailed > 0 
@@ -481,12 +905,15 @@ Server Info:
     return Array.from(this.pendingLogs.values());
   }
   
-  // 실패한 로그 재시도
+  // 실패한 로그 재시도 (반환값: 다시 버퍼에 넣은 로그 수)
+  // 메모리에는 최근 MAX_FAILED_LOGS개만 있으므로 dead-letter 파일 기준으로 앞에서부터 최대 MAX_FAILED_LOGS개를 다시 넣는다
   async retryFailedLogs() {
-    const failedLogs = Array.from(this.failedLogs.values());
+    const deadLetters = this.spool.enabled ? this.spool.readDeadLetters() : Array.from(this.failedLogs.values());
+    const failedLogs = deadLetters.slice(0, this.MAX_FAILED_LOGS);
+    const remaining = deadLetters.slice(this.MAX_FAILED_LOGS);
     if (failedLogs.length === 0) {
       console.log('📝 재시도할 실패한 로그가 없습니다');
-      return;
+      return 0;
     }
     
     console.log(`🔄 ${failedLogs.length}개 실패한 로그 재시도 시작`);
@@ -496,11 +923,18 @@ Server Info:
       log.retryCount = 0;
       delete log.finalFailureReason;
       delete log.finalFailureAt;
+      this.spool.append(log);
       this.buffer.push(log);
-      this.failedLogs.delete(log.logId);
+      this.bufferBytes += log.sizeBytes || 0;
     });
+
+    // 다시 스풀에 기록했으므로 dead-letter 파일과 메모리 목록에서 제거
+    this.spool.rewriteDeadLetters(remaining);
+    this.failedLogs.clear();
+    remaining.forEach(log => this.rememberFailedLog(log));
     
     await this.processBuffer();
+    return failedLogs.length;
   }
 }
 
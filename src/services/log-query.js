@@ -0,0 +1,582 @@
+import { normalizeLevel, levelSeverity, LEVEL_SEVERITY } from './log-levels.js';
+
+// GET /api/logs q 파라미터 검색 쿼리
+//
+// 문법 (Lucene 계열)
+//   level:error AND type:payment AND metadata.user_id:123 AND NOT message:"timeout"
+//   - 연산자: AND, OR, NOT (대문자), 괄호로 묶기, 연산자 없이 나열하면 AND
+//   - 필드: type, level, severity, message, log_id, created_at, occurred_at, metadata, metadata.<키>(점으로 중첩 키)
+//   - 필드 없는 검색어는 message 검색, field:(a OR b)처럼 필드 하나에 여러 값 가능
+//   - 값: 단어 또는 "따옴표 문자열"(와일드카드 없이 그대로), \로 특수문자 이스케이프
+//   - 와일드카드: * (0글자 이상), ? (1글자), field:* 는 값이 있는 로그
+//   - 범위: [a TO b](포함), {a TO b}(제외), 섞어 쓰기 가능, *는 열린 범위 / 비교: >, >=, <, <=
+// 필드별 의미
+//   - type, log_id: 정확히 일치 (대소문자 구분, 와일드카드 가능)
+//   - message, metadata: 부분 일치 (대소문자 무시, 와일드카드 가능, metadata는 JSON 문자열 전체)
+//   - level: 레벨 일치 (별칭 허용), 범위/비교는 심각도 기준 (level:>=warn)
+//   - severity: 0~5 숫자 또는 레벨 이름
+//   - created_at, occurred_at: ISO 8601 시각, 날짜만 쓰면 그날 전체 (서버 시간대)
+//   - metadata.*: 문자열로 비교 (숫자 123과 "123" 모두 일치), 범위/비교는 양쪽 값이 숫자면 숫자 값끼리
+//
+// 파싱 결과(AST)는 buildLogSearchSql(queryLogs)과 buildLogSearchPredicate(메모리 버퍼)로 같은 의미의 조건이 된다
+// 문법 오류는 position(0부터 시작하는 문자 위치)이 붙은 에러로 던진다
+export const MAX_QUERY_LENGTH = 2000;
+const MAX_DEPTH = 32;
+
+const FIELDS = {
+  type: { kind: 'keyword', column: 'type', value: log => log.type },
+  log_id: { kind: 'keyword', column: 'log_id', value: log => log.logId },
+  message: { kind: 'text', column: 'message', value: log => log.message },
+  // metadata 전체 JSON 문자열 부분 일치 (metadata 쿼리 파라미터와 같음)
+  metadata: { kind: 'text', column: 'metadata::text', value: log => (log.metadata ? JSON.stringify(log.metadata) : undefined) },
+  level: { kind: 'level' },
+  severity: { kind: 'severity' },
+  created_at: { kind: 'time', column: 'created_at', value: log => log.createdAt },
+  occurred_at: { kind: 'time', column: 'occurred_at', value: log => log.occurredAt ?? log.createdAt }
+};
+
+const FIELD_NAME_PATTERN = /^[^\s:()"\\[\]{}<>=]+/;
+
+const syntaxError = (message, position) => {
+  const error = new Error(`${message} (위치 ${position})`);
+  error.position = position;
+  return error;
+};
+
+// ─── 값 해석 ───
+
+const isDateOnly = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+// 시각 문자열 → epoch ms (날짜만 있으면 bound에 따라 그날 시작/끝)
+const parseTimeValue = (text, bound, position) => {
+  const time = isDateOnly(text)
+    ? new Date(`${text}${bound === 'upper' ? 'T23:59:59.999' : 'T00:00:00.000'}`).getTime()
+    : new Date(text).getTime();
+  if (!Number.isFinite(time)) throw syntaxError(`잘못된 시각입니다: ${text}`, position);
+  return time;
+};
+
+const parseSeverityValue = (text, position) => {
+  if (/^[0-5]$/.test(text)) return Number(text);
+  const level = normalizeLevel(text);
+  if (!level) throw syntaxError(`잘못된 레벨입니다: ${text}`, position);
+  return LEVEL_SEVERITY[level];
+};
+
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?([eE][+-]?\d+)?$/;
+
+// 필드 종류별 범위 경계 값
+const parseBoundValue = (field, text, bound, position) => {
+  switch (field.kind) {
+    case 'time':
+      return parseTimeValue(text, bound, position);
+    case 'level':
+    case 'severity':
+      return parseSeverityValue(text, position);
+    case 'json':
+      return NUMBER_PATTERN.test(text) ? Number(text) : text;
+    default:
+      throw syntaxError(`${field.name} 필드는 범위 검색을 지원하지 않습니다`, position);
+  }
+};
+
+// ─── 검색어 → 조건 노드 ───
+
+// value: { text, parts: [{ text } | { wildcard: '*' | '?' }], quoted, position }
+const makeMatchTerm = (field, value) => {
+  const hasWildcard = value.parts.some(part => part.wildcard);
+  const onlyStar = value.parts.length === 1 && value.parts[0].wildcard === '*';
+
+  if (onlyStar) return { op: 'term', field, match: 'exists' };
+
+  switch (field.kind) {
+    case 'text':
+      return { op: 'term', field, match: 'contains', parts: value.parts };
+    case 'keyword':
+    case 'json':
+      return hasWildcard
+        ? { op: 'term', field, match: 'like', parts: value.parts }
+        : { op: 'term', field, match: 'eq', value: value.text };
+    case 'level': {
+      const level = hasWildcard ? null : normalizeLevel(value.text);
+      if (!level) throw syntaxError(`잘못된 레벨입니다: ${value.text}`, value.position);
+      return { op: 'term', field, match: 'eq', value: level };
+    }
+    case 'severity': {
+      if (hasWildcard) throw syntaxError('severity 필드는 와일드카드를 지원하지 않습니다', value.position);
+      const severity = parseSeverityValue(value.text, value.position);
+      return { op: 'term', field, match: 'range', lower: { value: severity, inclusive: true }, upper: { value: severity, inclusive: true } };
+    }
+    case 'time': {
+      if (hasWildcard) throw syntaxError(`${field.name} 필드는 와일드카드를 지원하지 않습니다`, value.position);
+      // 날짜만 쓰면 그날 전체
+      return {
+        op: 'term',
+        field,
+        match: 'range',
+        lower: { value: parseTimeValue(value.text, 'lower', value.position), inclusive: true },
+        upper: { value: parseTimeValue(value.text, 'upper', value.position), inclusive: true }
+      };
+    }
+    default:
+      throw syntaxError(`알 수 없는 필드입니다: ${field.name}`, value.position);
+  }
+};
+
+const makeRangeTerm = (field, lower, upper, position) => {
+  // metadata는 양쪽 경계가 모두 숫자이거나 모두 문자열이어야 함
+  if (field.kind === 'json' && lower && upper && typeof lower.value !== typeof upper.value) {
+    throw syntaxError('범위의 양쪽 값은 모두 숫자이거나 모두 문자열이어야 합니다', position);
+  }
+  return { op: 'term', field, match: 'range', lower, upper };
+};
+
+const resolveField = (name, position) => {
+  if (Object.hasOwn(FIELDS, name)) return { name, ...FIELDS[name] };
+
+  if (name.startsWith('metadata.')) {
+    const path = name.slice('metadata.'.length).split('.');
+    if (path.some(key => key === '')) throw syntaxError(`잘못된 metadata 경로입니다: ${name}`, position);
+    return { name, kind: 'json', path };
+  }
+
+  throw syntaxError(`알 수 없는 필드입니다: ${name} (type, level, severity, message, log_id, created_at, occurred_at, metadata, metadata.<키>)`, position);
+};
+
+// ─── 파서 ───
+
+// 문자열 → AST (빈 문자열이면 null)
+// 노드: { op: 'and' | 'or', children } | { op: 'not', child } | { op: 'term', field, match, ... }
+export const parseLogSearchQuery = (input) => {
+  if (typeof input !== 'string') throw syntaxError('q는 문자열이어야 합니다', 0);
+  if (input.length > MAX_QUERY_LENGTH) throw syntaxError(`q는 최대 ${MAX_QUERY_LENGTH}자까지 가능합니다`, MAX_QUERY_LENGTH);
+
+  let i = 0;
+  const skipSpaces = () => { while (/\s/.test(input[i] || '')) i++; };
+  const isTermEnd = (char) => char === undefined || /\s/.test(char) || char === '(' || char === ')';
+  const atKeyword = (keyword) => input.startsWith(keyword, i) && isTermEnd(input[i + keyword.length]);
+
+  // 따옴표 문자열 (와일드카드 없음)
+  const readQuoted = () => {
+    const start = i;
+    i++;
+    let text = '';
+    while (i < input.length && input[i] !== '"') {
+      if (input[i] === '\\' && i + 1 < input.length) i++;
+      text += input[i++];
+    }
+    if (i >= input.length) throw syntaxError('닫히지 않은 따옴표입니다', start);
+    i++;
+    return { text, parts: [{ text }], quoted: true, position: start };
+  };
+
+  // 단어 (stop 문자 전까지, \로 이스케이프, *와 ?는 와일드카드)
+  const readWord = (isStop) => {
+    const start = i;
+    const parts = [];
+    let text = '';
+    const pushText = (char) => {
+      const last = parts[parts.length - 1];
+      if (last && last.text !== undefined) last.text += char;
+      else parts.push({ text: char });
+    };
+
+    while (i < input.length && !isStop(input[i])) {
+      if (input[i] === '\\') {
+        if (i + 1 >= input.length) throw syntaxError('이스케이프할 문자가 없습니다', i);
+        pushText(input[i + 1]);
+        text += input[i + 1];
+        i += 2;
+      } else if (input[i] === '*' || input[i] === '?') {
+        parts.push({ wildcard: input[i] });
+        text += input[i++];
+      } else {
+        pushText(input[i]);
+        text += input[i++];
+      }
+    }
+
+    if (i === start) throw syntaxError('검색어가 필요합니다', start);
+    return { text, parts, quoted: false, position: start };
+  };
+
+  const readValue = (isStop) => (input[i] === '"' ? readQuoted() : readWord(isStop));
+
+  // 범위 경계 (* 는 열린 범위 → null)
+  const readBound = (field, bound) => {
+    skipSpaces();
+    const isStop = (char) => /\s/.test(char) || char === ']' || char === '}';
+    const value = readValue(isStop);
+    if (!value.quoted && value.text === '*') return null;
+    return parseBoundValue(field, value.text, bound, value.position);
+  };
+
+  const parseRange = (field) => {
+    const start = i;
+    const lowerInclusive = input[i] === '[';
+    i++;
+
+    const lower = readBound(field, 'lower');
+    skipSpaces();
+    if (!(input.startsWith('TO', i) && (i + 2 >= input.length || /\s/.test(input[i + 2])))) throw syntaxError('범위에 TO가 필요합니다', i);
+    i += 2;
+    const upper = readBound(field, 'upper');
+    skipSpaces();
+
+    if (input[i] !== ']' && input[i] !== '}') throw syntaxError('범위는 ] 또는 }로 닫아야 합니다', i);
+    const upperInclusive = input[i] === ']';
+    i++;
+
+    return makeRangeTerm(
+      field,
+      lower === null ? null : { value: lower, inclusive: lowerInclusive },
+      upper === null ? null : { value: upper, inclusive: upperInclusive },
+      start
+    );
+  };
+
+  const parseComparison = (field) => {
+    const start = i;
+    const operator = input.startsWith('>=', i) || input.startsWith('<=', i) ? input.slice(i, i + 2) : input[i];
+    i += operator.length;
+
+    const value = readValue(isTermEnd);
+    const bound = operator.startsWith('>') ? 'lower' : 'upper';
+    // 날짜만 쓴 경우 >는 그날 이후, <=는 그날 끝까지
+    const boundValue = parseBoundValue(field, value.text, operator === '>' || operator === '<=' ? 'upper' : 'lower', value.position);
+    const edge = { value: boundValue, inclusive: operator.length === 2 };
+
+    return bound === 'lower'
+      ? makeRangeTerm(field, edge, null, start)
+      : makeRangeTerm(field, null, edge, start);
+  };
+
+  // 괄호 묶음 (field가 있으면 field:(a OR b)처럼 안의 검색어가 모두 그 필드)
+  const parseGroup = (field, depth) => {
+    if (depth >= MAX_DEPTH) throw syntaxError(`괄호는 최대 ${MAX_DEPTH}단계까지 중첩할 수 있습니다`, i);
+    const start = i;
+    i++;
+    const node = parseOr(field, depth + 1);
+    skipSpaces();
+    if (input[i] !== ')') throw syntaxError(`${start}번 위치의 (에 대응하는 )가 필요합니다`, i);
+    i++;
+    return node;
+  };
+
+  const parseTerm = (field, depth) => {
+    if (input[i] === '(') return parseGroup(field, depth);
+    if (input[i] === '[' || input[i] === '{') return parseRange(field);
+    if (input[i] === '>' || input[i] === '<') return parseComparison(field);
+    return makeMatchTerm(field, readValue(isTermEnd));
+  };
+
+  const parsePrimary = (field, depth) => {
+    skipSpaces();
+    if (i >= input.length) throw syntaxError('검색어가 필요합니다', i);
+    if (input[i] === ')') throw syntaxError('짝이 맞지 않는 )입니다', i);
+    if (atKeyword('AND') || atKeyword('OR')) throw syntaxError('연산자 앞에 검색어가 필요합니다', i);
+    if (input[i] === '(') return parseGroup(field, depth);
+
+    // field:값 (필드 그룹 안에서는 다른 필드를 지정할 수 없음)
+    if (!field) {
+      const name = input.slice(i).match(FIELD_NAME_PATTERN)?.[0];
+      if (name && input[i + name.length] === ':') {
+        const resolved = resolveField(name, i);
+        i += name.length + 1;
+        if (isTermEnd(input[i]) && input[i] !== '(') throw syntaxError(`${name} 필드의 값이 필요합니다`, i);
+        return parseTerm(resolved, depth);
+      }
+    }
+
+    return parseTerm(field ?? { name: 'message', ...FIELDS.message }, depth);
+  };
+
+  const parseNot = (field, depth) => {
+    skipSpaces();
+    if (atKeyword('NOT')) {
+      i += 3;
+      return { op: 'not', child: parseNot(field, depth) };
+    }
+    return parsePrimary(field, depth);
+  };
+
+  const parseAnd = (field, depth) => {
+    const children = [parseNot(field, depth)];
+    for (;;) {
+      skipSpaces();
+      if (i >= input.length || input[i] === ')' || atKeyword('OR')) break;
+      if (atKeyword('AND')) i += 3;
+      children.push(parseNot(field, depth));
+    }
+    return children.length === 1 ? children[0] : { op: 'and', children };
+  };
+
+  const parseOr = (field, depth) => {
+    const children = [parseAnd(field, depth)];
+    for (;;) {
+      skipSpaces();
+      if (!atKeyword('OR')) break;
+      i += 2;
+      children.push(parseAnd(field, depth));
+    }
+    return children.length === 1 ? children[0] : { op: 'or', children };
+  };
+
+  skipSpaces();
+  if (i >= input.length) return null;
+
+  const ast = parseOr(null, 0);
+  skipSpaces();
+  if (i < input.length) throw syntaxError('짝이 맞지 않는 )입니다', i);
+  return ast;
+};
+
+// ─── SQL 변환 ───
+
+// LIKE 패턴 (\ 이스케이프)
+const toLikePattern = (parts) => parts
+  .map(part => (part.wildcard ? (part.wildcard === '*' ? '%' : '_') : part.text.replace(/[\\%_]/g, '\\$&')))
+  .join('');
+
+// metadata 경로 → text[] 리터럴 ({"a","b"})
+const toPathLiteral = (path) => `{${path.map(key => `"${key.replace(/[\\"]/g, '\\$&')}"`).join(',')}}`;
+
+// AST → { clause, params } (params는 $startIndex부터 사용)
+// 모든 조건은 NULL이 아닌 true/false가 되도록 COALESCE로 감싸 NOT이 메모리 조건과 같게 동작한다
+export const buildLogSearchSql = (ast, startIndex = 1) => {
+  const params = [];
+  const param = (value) => {
+    params.push(value);
+    return `$${startIndex + params.length - 1}`;
+  };
+
+  const rangeSql = (expression, { lower, upper }, toParam) => {
+    const conditions = [];
+    if (lower) conditions.push(`${expression} ${lower.inclusive ? '>=' : '>'} ${toParam(lower.value)}`);
+    if (upper) conditions.push(`${expression} ${upper.inclusive ? '<=' : '<'} ${toParam(upper.value)}`);
+    return conditions.length > 0 ? conditions.join(' AND ') : `${expression} IS NOT NULL`;
+  };
+
+  const termSql = (term) => {
+    const { field } = term;
+
+    if (field.kind === 'json') {
+      const path = `${param(toPathLiteral(field.path))}::text[]`;
+      switch (term.match) {
+        case 'exists':
+          return `metadata #> ${path} IS NOT NULL AND jsonb_typeof(metadata #> ${path}) <> 'null'`;
+        case 'eq':
+          return `metadata #>> ${path} = ${param(term.value)}`;
+        case 'like':
+          return `metadata #>> ${path} LIKE ${param(toLikePattern(term.parts))}`;
+        case 'range': {
+          const numeric = typeof (term.lower ?? term.upper)?.value === 'number';
+          return numeric
+            ? rangeSql(`(CASE WHEN jsonb_typeof(metadata #> ${path}) = 'number' THEN (metadata #>> ${path})::numeric END)`, term, value => `${param(String(value))}::numeric`)
+            : rangeSql(`(CASE WHEN jsonb_typeof(metadata #> ${path}) = 'string' THEN metadata #>> ${path} END) COLLATE "C"`, term, value => param(value));
+        }
+      }
+    }
+
+    switch (field.kind) {
+      case 'keyword':
+        if (term.match === 'exists') return `${field.column} IS NOT NULL AND ${field.column} <> ''`;
+        return term.match === 'like'
+          ? `${field.column} LIKE ${param(toLikePattern(term.parts))}`
+          : `${field.column} = ${param(term.value)}`;
+      case 'text':
+        if (term.match === 'exists') return `${field.column} IS NOT NULL AND ${field.column} <> ''`;
+        return `${field.column} ILIKE ${param(`%${toLikePattern(term.parts)}%`)}`;
+      case 'level':
+        if (term.match === 'exists') return 'level IS NOT NULL';
+        return term.match === 'eq' ? `level = ${param(term.value)}` : rangeSql('severity', term, value => param(value));
+      case 'severity':
+        return term.match === 'exists' ? 'severity IS NOT NULL' : rangeSql('severity', term, value => param(value));
+      case 'time':
+        return term.match === 'exists'
+          ? `${field.column} IS NOT NULL`
+          : rangeSql(field.column, term, value => `${param(new Date(value).toISOString())}::timestamptz`);
+    }
+
+    throw new Error(`지원하지 않는 검색 조건입니다: ${field.name}`);
+  };
+
+  const compile = (node) => {
+    switch (node.op) {
+      case 'and':
+      case 'or':
+        return `(${node.children.map(compile).join(node.op === 'and' ? ' AND ' : ' OR ')})`;
+      case 'not':
+        return `NOT ${compile(node.child)}`;
+      default:
+        return `COALESCE((${termSql(node)}), false)`;
+    }
+  };
+
+  return { clause: compile(ast), params };
+};
+
+// ─── 메모리 로그 조건 ───
+
+// 와일드카드 패턴 → 매칭 함수 (LIKE/ILIKE와 같은 의미)
+// 정규식(.*)은 *가 여러 개면 되추적이 지수적으로 늘어나므로, *로 나눈 조각을 왼쪽부터 처음 맞는 위치에 두는 방식으로
+// 되추적 없이 확인한다 (고정 길이 조각은 가장 앞에 두는 것이 항상 최선이므로 결과는 같다)
+const compileWildcard = (parts, { anchored, ignoreCase }) => {
+  const fold = (text) => (ignoreCase ? text.toLowerCase() : text);
+
+  // 조각: [문자열 | ? 개수] 목록 (연속된 *는 빈 조각이 되어 결과에 영향 없음)
+  const segments = [[]];
+  for (const part of parts) {
+    const items = segments[segments.length - 1];
+    if (part.wildcard === '*') {
+      segments.push([]);
+    } else if (part.wildcard) {
+      if (typeof items[items.length - 1] === 'number') items[items.length - 1]++;
+      else items.push(1);
+    } else {
+      items.push(fold(part.text));
+    }
+  }
+  if (!anchored) {
+    segments.unshift([]);
+    segments.push([]);
+  }
+
+  const compiled = segments.map(items => ({
+    items,
+    length: items.reduce((sum, item) => sum + (typeof item === 'number' ? item : item.length), 0)
+  }));
+
+  const matchesAt = (text, { items }, position) => {
+    let offset = position;
+    for (const item of items) {
+      if (typeof item === 'number') {
+        offset += item;
+      } else {
+        if (!text.startsWith(item, offset)) return false;
+        offset += item.length;
+      }
+    }
+    return true;
+  };
+
+  // from 이후 end 이전에 조각이 들어가는 가장 앞 위치 (없으면 -1)
+  const findSegment = (text, segment, from, end) => {
+    const last = end - segment.length;
+    const [first] = segment.items;
+    for (let position = from; position <= last; position++) {
+      if (typeof first === 'string') {
+        position = text.indexOf(first, position);
+        if (position === -1 || position > last) return -1;
+      }
+      if (matchesAt(text, segment, position)) return position;
+    }
+    return -1;
+  };
+
+  const head = compiled[0];
+  const tail = compiled[compiled.length - 1];
+  const middle = compiled.slice(1, -1);
+
+  return (value) => {
+    const text = fold(value);
+    if (compiled.length === 1) return text.length === head.length && matchesAt(text, head, 0);
+
+    const tailStart = text.length - tail.length;
+    if (tailStart < head.length || !matchesAt(text, head, 0) || !matchesAt(text, tail, tailStart)) return false;
+
+    let position = head.length;
+    for (const segment of middle) {
+      const found = findSegment(text, segment, position, tailStart);
+      if (found === -1) return false;
+      position = found + segment.length;
+    }
+    return true;
+  };
+};
+
+// metadata 값 → PostgreSQL #>> 결과와 같은 문자열 (없거나 null이면 null)
+const metadataValue = (log, path) => {
+  const value = path.reduce(
+    (current, key) => (current !== null && typeof current === 'object' && Object.hasOwn(current, key) ? current[key] : undefined),
+    log.metadata
+  );
+  return value === undefined ? null : value;
+};
+
+const inRange = (value, { lower, upper }) => (
+  (!lower || (lower.inclusive ? value >= lower.value : value > lower.value)) &&
+  (!upper || (upper.inclusive ? value <= upper.value : value < upper.value))
+);
+
+// AST → (메모리 로그 원본) => boolean
+export const buildLogSearchPredicate = (ast) => {
+  const termPredicate = (term) => {
+    const { field } = term;
+
+    if (field.kind === 'json') {
+      const { path } = field;
+      switch (term.match) {
+        case 'exists':
+          return log => metadataValue(log, path) !== null;
+        case 'range': {
+          const numeric = typeof (term.lower ?? term.upper)?.value === 'number';
+          return log => {
+            const value = metadataValue(log, path);
+            return (numeric ? typeof value === 'number' : typeof value === 'string') && inRange(value, term);
+          };
+        }
+        default: {
+          const matches = term.match === 'like' ? compileWildcard(term.parts, { anchored: true, ignoreCase: false }) : null;
+          return log => {
+            const value = metadataValue(log, path);
+            if (value === null) return false;
+            const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+            return matches ? matches(text) : text === term.value;
+          };
+        }
+      }
+    }
+
+    switch (field.kind) {
+      case 'keyword':
+      case 'text': {
+        if (term.match === 'exists') return log => typeof field.value(log) === 'string' && field.value(log) !== '';
+        if (term.match === 'eq') return log => field.value(log) === term.value;
+        const matches = compileWildcard(term.parts, { anchored: field.kind === 'keyword', ignoreCase: field.kind === 'text' });
+        return log => typeof field.value(log) === 'string' && matches(field.value(log));
+      }
+      case 'level':
+        if (term.match === 'exists') return log => Boolean(log.level);
+        if (term.match === 'eq') return log => log.level === term.value;
+        return log => inRange(log.severity ?? levelSeverity(log.level), term);
+      case 'severity':
+        return term.match === 'exists' ? () => true : log => inRange(log.severity ?? levelSeverity(log.level), term);
+      case 'time':
+        return term.match === 'exists' ? log => field.value(log) != null : log => inRange(field.value(log), term);
+    }
+
+    throw new Error(`지원하지 않는 검색 조건입니다: ${field.name}`);
+  };
+
+  const compile = (node) => {
+    switch (node.op) {
+      case 'and': {
+        const predicates = node.children.map(compile);
+        return log => predicates.every(predicate => predicate(log));
+      }
+      case 'or': {
+        const predicates = node.children.map(compile);
+        return log => predicates.some(predicate => predicate(log));
+      }
+      case 'not': {
+        const predicate = compile(node.child);
+        return log => !predicate(log);
+      }
+      default:
+        return termPredicate(node);
+    }
+  };
+
+  return compile(ast);
+};
@@ -0,0 +1,259 @@
+import { createHash, createHmac } from 'crypto';
+
+// 개인정보(PII) 마스킹 - 버퍼/DB에 들어가기 전에 message와 metadata에서 민감 정보를 제거
+//
+// 환경 변수
+// - LOG_REDACTION_ENABLED: false면 비활성화 (기본: 활성화)
+// - LOG_REDACTION_BUILTIN_RULES: 사용할 기본 규칙 이름 목록 (쉼표 구분, 기본: ipv4를 제외한 전체)
+//     ipv4는 1.2.0.15 같은 4자리 클라이언트 빌드/번들 버전까지 가려 버리므로 이 목록에 명시했을 때만 사용
+// - LOG_REDACTION_RULES: 추가/재정의 규칙 JSON 배열
+//     [{ "name": "order_no", "pattern": "ORD-\\d{8}", "flags": "i", "action": "hash" }]
+//     같은 이름의 기본 규칙이 있으면 덮어쓰며, pattern 없이 action만 지정하면 처리 방식만 변경
+// - LOG_REDACTION_KEYS: 값을 통째로 가릴 metadata 키 이름 목록 (쉼표 구분, 대소문자/-/_ 무시)
+// - LOG_REDACTION_KEY_ACTION: 키 이름 규칙의 처리 방식 (mask | hash, 기본: mask)
+// - LOG_REDACTION_DEFAULT_ACTION: 패턴 규칙의 기본 처리 방식 (mask | hash, 기본: mask)
+// - LOG_REDACTION_HASH_SALT: hash 처리 시 HMAC 키 (없으면 단순 SHA-256이라 추측 공격에 약함)
+// - LOG_REDACTION_MAX_STRING_LENGTH: 패턴 규칙을 적용할 문자열 최대 길이 (기본: 65536자)
+//     더 긴 문자열은 검사 시간이 길어지므로 검사하지 않고 통째로 [REDACTED:too_long]으로 치환
+//
+// 처리 방식
+// - mask: [REDACTED:규칙이름] 으로 치환
+// - hash: [규칙이름:해시 앞 16자리] 로 치환 (같은 값끼리는 같은 결과라 집계/추적 가능)
+export const REDACTION_ACTIONS = ['mask', 'hash'];
+
+// 카드번호 Luhn 검사 (16자리 게임 내 ID 등 오탐 방지)
+const passesLuhn = (value) => {
+  const digits = value.replace(/\D/g, '');
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+const BUILTIN_RULES = [
+  { name: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]*/g },
+  { name: 'bearer_token', pattern: /\bBearer\s+[A-Za-z0-9._~+/=-]{8,}/gi },
+  // 로컬 파트/도메인 길이를 RFC 5321 한도로 제한 (@ 없는 긴 문자열에서 시작 위치마다 끝까지 훑지 않도록)
+  { name: 'email', pattern: /[A-Za-z0-9._%+-]{1,64}@[A-Za-z0-9.-]{1,253}\.[A-Za-z]{2,63}/g },
+  // 주민등록번호/외국인등록번호 (YYMMDD-성별자리 포함 7자리)
+  { name: 'resident_registration_number', pattern: /(?<!\d)\d{2}(?:0[1-9]|1[0-2])(?:0[1-9]|[12]\d|3[01])-?[1-8]\d{6}(?!\d)/g },
+  { name: 'card_number', pattern: /(?<!\d)(?:\d{4}[- ]?){3}\d{4}(?!\d)/g, validate: passesLuhn },
+  // 휴대전화 (010-1234-5678, 01012345678, +82 10-1234-5678)
+  { name: 'phone', pattern: /(?<![\d+])(?:\+82[- ]?|0)1[016789][- ]?\d{3,4}[- ]?\d{4}(?!\d)/g },
+  // 점 4개짜리 버전 문자열과 구분할 수 없어 기본으로는 꺼져 있음 (optIn)
+  { name: 'ipv4', optIn: true, pattern: /(?<![\d.])(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(?![\d.])/g },
+  { name: 'ipv6', pattern: /(?<![\w:])(?:[A-Fa-f0-9]{1,4}:){7}[A-Fa-f0-9]{1,4}(?![\w:])/g }
+];
+
+const DEFAULT_SENSITIVE_KEYS = [
+  'password', 'passwd', 'pwd', 'secret', 'token', 'access_token', 'refresh_token', 'id_token',
+  'auth_token', 'session_token', 'authorization', 'api_key', 'apikey', 'cookie', 'set_cookie',
+  'private_key', 'client_secret', 'credit_card', 'card_number', 'cvv', 'ssn', 'resident_number'
+];
+
+const parseList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+// 키 이름 비교용 정규화 (accessToken, access-token, ACCESS_TOKEN → accesstoken)
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[-_\s]/g, '');
+
+const toAction = (value, fallback) => (REDACTION_ACTIONS.includes(value) ? value : fallback);
+
+class LogRedactor {
+  constructor() {
+    this.enabled = process.env.LOG_REDACTION_ENABLED !== 'false';
+    this.defaultAction = toAction(process.env.LOG_REDACTION_DEFAULT_ACTION, 'mask');
+    this.keyAction = toAction(process.env.LOG_REDACTION_KEY_ACTION, 'mask');
+    this.hashSalt = process.env.LOG_REDACTION_HASH_SALT || null;
+    this.maxStringLength = parseInt(process.env.LOG_REDACTION_MAX_STRING_LENGTH) || 64 * 1024;
+
+    this.rules = this.buildRules();
+    this.sensitiveKeys = new Set(
+      (process.env.LOG_REDACTION_KEYS ? parseList(process.env.LOG_REDACTION_KEYS) : DEFAULT_SENSITIVE_KEYS).map(normalizeKey)
+    );
+
+    this.stats = {
+      scanned: 0,          // 검사한 로그 수
+      redactedLogs: 0,     // 하나 이상 가려진 로그 수
+      redactions: 0,       // 전체 치환 횟수
+      byRule: new Map()    // 규칙 이름 → 치환 횟수
+    };
+
+    if (this.enabled) {
+      console.log(`🛡️ PII 마스킹 활성화 (패턴 규칙 ${this.rules.length}개, 민감 키 ${this.sensitiveKeys.size}개)`);
+    }
+  }
+
+  // 기본 규칙 + LOG_REDACTION_RULES 병합
+  buildRules() {
+    const enabledBuiltins = process.env.LOG_REDACTION_BUILTIN_RULES !== undefined
+      ? new Set(parseList(process.env.LOG_REDACTION_BUILTIN_RULES))
+      : null;
+
+    const rules = new Map();
+    for (const rule of BUILTIN_RULES) {
+      if (enabledBuiltins ? !enabledBuiltins.has(rule.name) : rule.optIn) continue;
+      rules.set(rule.name, { ...rule, action: this.defaultAction, builtin: true });
+    }
+
+    if (!process.env.LOG_REDACTION_RULES) return [...rules.values()];
+
+    let customRules;
+    try {
+      customRules = JSON.parse(process.env.LOG_REDACTION_RULES);
+      if (!Array.isArray(customRules)) throw new Error('JSON 배열이어야 합니다');
+    } catch (error) {
+      console.error('❌ LOG_REDACTION_RULES 해석 실패, 기본 규칙만 사용합니다:', error.message);
+      return [...rules.values()];
+    }
+
+    for (const custom of customRules) {
+      if (!custom || typeof custom.name !== 'string' || custom.name.trim() === '') {
+        console.error('❌ 마스킹 규칙에 name이 없어 건너뜁니다:', custom);
+        continue;
+      }
+
+      const name = custom.name.trim();
+      const existing = rules.get(name);
+
+      if (!custom.pattern) {
+        if (existing) {
+          existing.action = toAction(custom.action, existing.action);
+        } else {
+          console.error(`❌ 마스킹 규칙 '${name}'에 pattern이 없어 건너뜁니다`);
+        }
+        continue;
+      }
+
+      try {
+        const flags = [...new Set(`${custom.flags || ''}g`)].join('');
+        rules.set(name, {
+          name,
+          pattern: new RegExp(custom.pattern, flags),
+          action: toAction(custom.action, this.defaultAction),
+          builtin: false
+        });
+      } catch (error) {
+        console.error(`❌ 마스킹 규칙 '${name}'의 pattern이 잘못되었습니다:`, error.message);
+      }
+    }
+
+    return [...rules.values()];
+  }
+
+  hash(value) {
+    const hasher = this.hashSalt ? createHmac('sha256', this.hashSalt) : createHash('sha256');
+    return hasher.update(value).digest('hex').slice(0, 16);
+  }
+
+  replacement(ruleName, action, value) {
+    return action === 'hash' ? `[${ruleName}:${this.hash(value)}]` : `[REDACTED:${ruleName}]`;
+  }
+
+  // 문자열에 패턴 규칙 적용, counts에 규칙별 치환 횟수 누적
+  // 치환 결과(해시 등)가 뒤 규칙에 다시 걸리지 않도록 자리표시자로 두었다가 마지막에 채운다
+  // 원문에 이미 있던 자리표시자 문자(사설 영역 \uE000, \uE001)는 다른 치환 결과로 바뀌지 않도록 먼저 제거
+  redactString(text, counts) {
+    if (text.length > this.maxStringLength) {
+      counts.set('too_long', (counts.get('too_long') || 0) + 1);
+      return '[REDACTED:too_long]';
+    }
+
+    const replacements = [];
+    let result = text.replace(/[\uE000\uE001]/g, '');
+
+    for (const rule of this.rules) {
+      rule.pattern.lastIndex = 0;
+      result = result.replace(rule.pattern, (match) => {
+        if (rule.validate && !rule.validate(match)) return match;
+        counts.set(rule.name, (counts.get(rule.name) || 0) + 1);
+        replacements.push(this.replacement(rule.name, rule.action, match));
+        return `\uE000${replacements.length - 1}\uE001`;
+      });
+    }
+
+    return replacements.length === 0
+      ? result
+      : result.replace(/\uE000(\d+)\uE001/g, (_, index) => replacements[index]);
+  }
+
+  // metadata 값 재귀 처리 (민감 키는 값 전체를, 그 외 문자열은 패턴 규칙으로)
+  redactValue(value, counts) {
+    if (typeof value === 'string') return this.redactString(value, counts);
+    if (Array.isArray(value)) return value.map(item => this.redactValue(item, counts));
+    if (!value || typeof value !== 'object') return value;
+
+    const result = {};
+    for (const [key, child] of Object.entries(value)) {
+      if (this.sensitiveKeys.has(normalizeKey(key)) && child !== null && child !== undefined && child !== '') {
+        counts.set('sensitive_key', (counts.get('sensitive_key') || 0) + 1);
+        const raw = typeof child === 'string' ? child : JSON.stringify(child);
+        result[key] = this.keyAction === 'hash' ? `[sensitive_key:${this.hash(raw)}]` : '[REDACTED]';
+      } else {
+        result[key] = this.redactValue(child, counts);
+      }
+    }
+    return result;
+  }
+
+  // 로그의 message와 metadata를 마스킹 (logData를 직접 수정)
+  // 반환값: 이번 로그에서 치환한 횟수
+  redact(logData) {
+    if (!this.enabled) return 0;
+
+    const counts = new Map();
+    logData.message = this.redactString(logData.message, counts);
+    if (logData.metadata && typeof logData.metadata === 'object') {
+      logData.metadata = this.redactValue(logData.metadata, counts);
+    }
+
+    this.stats.scanned++;
+    let total = 0;
+    for (const [name, count] of counts) {
+      this.stats.byRule.set(name, (this.stats.byRule.get(name) || 0) + count);
+      total += count;
+    }
+    if (total > 0) {
+      this.stats.redactedLogs++;
+      this.stats.redactions += total;
+    }
+
+    return total;
+  }
+
+  getStats() {
+    return {
+      enabled: this.enabled,
+      scanned: this.stats.scanned,
+      redactedLogs: this.stats.redactedLogs,
+      redactions: this.stats.redactions,
+      hashSalted: this.hashSalt !== null,
+      maxStringLength: this.maxStringLength,
+      tooLong: this.stats.byRule.get('too_long') || 0,
+      rules: [
+        ...this.rules.map(rule => ({
+          name: rule.name,
+          kind: 'pattern',
+          builtin: rule.builtin,
+          action: rule.action,
+          redactions: this.stats.byRule.get(rule.name) || 0
+        })),
+        {
+          name: 'sensitive_key',
+          kind: 'key',
+          builtin: true,
+          action: this.keyAction,
+          keys: this.sensitiveKeys.size,
+          redactions: this.stats.byRule.get('sensitive_key') || 0
+        }
+      ]
+    };
+  }
+}
+
+export const logRedactor = new LogRedactor();
@@ -0,0 +1,228 @@
+import { LEVEL_SEVERITY, normalizeLevel } from './log-levels.js';
+
+// 수집 단계 샘플링/속도 제한 규칙 엔진 - 과도하게 많은 type(프레임 단위 debug 이벤트 등)을 줄인다
+//
+// 환경 변수
+// - LOG_SAMPLING_RULES: 규칙 JSON 배열 (위에서부터 처음 맞는 규칙 하나만 적용)
+//     [
+//       { "name": "frame_debug", "type": "frame_*", "level": ["trace", "debug"], "sampleRate": 0.01 },
+//       { "name": "chat_cap", "type": "chat", "maxPerSecond": 20, "groupBy": ["user_id"] }
+//     ]
+//     - type: 정확한 값 또는 * 와일드카드 (배열 가능, 생략 시 전체)
+//     - level: 레벨 또는 레벨 배열 (별칭 허용, 생략 시 전체)
+//     - sampleRate: 0~1 사이 보관 비율 (기본 1)
+//     - maxPerSecond: 초당 최대 보관 수 (groupBy 값 조합별로 따로 셈)
+//     - groupBy: 속도 제한 구분 기준 - type, level, user_id 중 선택 (기본: ["type"])
+// - LOG_SAMPLING_ALWAYS_KEEP_LEVEL: 이 레벨 이상은 규칙과 무관하게 항상 보관 (기본: error)
+// - LOG_SAMPLING_MAX_BUCKETS: 속도 제한 카운터 최대 개수 (기본: 10000, 넘치면 오래된 것부터 제거)
+//
+// 보관된 로그에는 sampleRate(보관 확률)를 기록하므로 집계 시 1 / sample_rate 로 가중치를 주면 원래 건수를 추정할 수 있다
+// 속도 제한은 직전 1초 동안의 보관 비율을 sampleRate에 반영한 근사값이다
+export const SAMPLING_GROUP_FIELDS = ['type', 'level', 'user_id'];
+
+const ALWAYS_KEEP_LEVEL = normalizeLevel(process.env.LOG_SAMPLING_ALWAYS_KEEP_LEVEL) || 'error';
+const MAX_BUCKETS = parseInt(process.env.LOG_SAMPLING_MAX_BUCKETS) || 10000;
+
+const toArray = (value) => (value === undefined || value === null ? null : Array.isArray(value) ? value : [value]);
+
+// 'frame_*' → /^frame_.*$/
+const wildcardToRegExp = (pattern) => new RegExp(
+  `^${String(pattern).split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`
+);
+
+// 규칙 JSON → 내부 규칙 (잘못된 규칙이면 에러)
+const compileRule = (raw, index) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('규칙은 객체여야 합니다');
+  }
+
+  const name = typeof raw.name === 'string' && raw.name.trim() !== '' ? raw.name.trim() : `rule_${index + 1}`;
+  const sampleRate = raw.sampleRate === undefined ? 1 : Number(raw.sampleRate);
+  if (!Number.isFinite(sampleRate) || sampleRate < 0 || sampleRate > 1) {
+    throw new Error(`'${name}': sampleRate는 0~1 사이 숫자여야 합니다`);
+  }
+
+  const maxPerSecond = raw.maxPerSecond === undefined ? null : Number(raw.maxPerSecond);
+  if (maxPerSecond !== null && (!Number.isFinite(maxPerSecond) || maxPerSecond <= 0)) {
+    throw new Error(`'${name}': maxPerSecond는 양수여야 합니다`);
+  }
+
+  const levels = toArray(raw.level)?.map(level => {
+    const normalized = normalizeLevel(level);
+    if (!normalized) throw new Error(`'${name}': 알 수 없는 레벨 ${level}`);
+    return normalized;
+  });
+
+  const groupBy = toArray(raw.groupBy) ?? ['type'];
+  const invalidField = groupBy.find(field => !SAMPLING_GROUP_FIELDS.includes(field));
+  if (invalidField) {
+    throw new Error(`'${name}': groupBy는 ${SAMPLING_GROUP_FIELDS.join(', ')} 중에서 골라야 합니다 (${invalidField})`);
+  }
+
+  return {
+    name,
+    typePatterns: toArray(raw.type)?.map(wildcardToRegExp) ?? null,
+    levels: levels ? new Set(levels) : null,
+    sampleRate,
+    maxPerSecond,
+    groupBy,
+    definition: raw
+  };
+};
+
+class LogSampler {
+  constructor() {
+    this.rules = this.loadRules();
+    this.alwaysKeepSeverity = LEVEL_SEVERITY[ALWAYS_KEEP_LEVEL];
+    this.buckets = new Map(); // 규칙 이름 + groupBy 값 → 토큰 버킷
+
+    this.stats = {
+      evaluated: 0,
+      kept: 0,
+      alwaysKept: 0,   // 레벨이 높아 규칙을 건너뛴 로그
+      sampledOut: 0,   // sampleRate로 버린 로그
+      rateLimited: 0,  // maxPerSecond 초과로 버린 로그
+      byRule: new Map(this.rules.map(rule => [rule.name, { matched: 0, kept: 0, sampledOut: 0, rateLimited: 0 }]))
+    };
+
+    if (this.rules.length > 0) {
+      console.log(`🎚️ 샘플링 규칙 ${this.rules.length}개 로드 (${ALWAYS_KEEP_LEVEL} 이상은 항상 보관)`);
+    }
+  }
+
+  loadRules() {
+    if (!process.env.LOG_SAMPLING_RULES) return [];
+
+    let rawRules;
+    try {
+      rawRules = JSON.parse(process.env.LOG_SAMPLING_RULES);
+      if (!Array.isArray(rawRules)) throw new Error('JSON 배열이어야 합니다');
+    } catch (error) {
+      console.error('❌ LOG_SAMPLING_RULES 해석 실패, 샘플링 없이 시작합니다:', error.message);
+      return [];
+    }
+
+    const rules = [];
+    rawRules.forEach((raw, index) => {
+      try {
+        const rule = compileRule(raw, index);
+        if (rules.some(existing => existing.name === rule.name)) {
+          throw new Error(`'${rule.name}': 이름이 중복되었습니다`);
+        }
+        rules.push(rule);
+      } catch (error) {
+        console.error('❌ 샘플링 규칙을 건너뜁니다:', error.message);
+      }
+    });
+    return rules;
+  }
+
+  findRule(logData) {
+    return this.rules.find(rule =>
+      (!rule.levels || rule.levels.has(logData.level)) &&
+      (!rule.typePatterns || rule.typePatterns.some(pattern => pattern.test(logData.type)))
+    );
+  }
+
+  groupValue(logData, field) {
+    if (field === 'user_id') return String(logData.metadata?.user_id ?? '');
+    return String(logData[field] ?? '');
+  }
+
+  // 토큰 버킷 (초당 maxPerSecond개 충전, 최대 maxPerSecond개까지 순간 허용)
+  // 반환값: 보관하면 직전 1초의 보관 비율, 버리면 null
+  takeToken(rule, logData, now) {
+    const key = [rule.name, ...rule.groupBy.map(field => this.groupValue(logData, field))].join('\u0000');
+    let bucket = this.buckets.get(key);
+
+    if (!bucket) {
+      if (this.buckets.size >= MAX_BUCKETS) {
+        this.buckets.delete(this.buckets.keys().next().value);
+      }
+      bucket = { tokens: rule.maxPerSecond, refilledAt: now, windowStart: now, seen: 0, kept: 0, lastRatio: 1 };
+      this.buckets.set(key, bucket);
+    }
+
+    bucket.tokens = Math.min(rule.maxPerSecond, bucket.tokens + ((now - bucket.refilledAt) / 1000) * rule.maxPerSecond);
+    bucket.refilledAt = now;
+
+    if (now - bucket.windowStart >= 1000) {
+      bucket.lastRatio = bucket.seen > 0 ? Math.max(bucket.kept, 1) / bucket.seen : 1;
+      bucket.windowStart = now;
+      bucket.seen = 0;
+      bucket.kept = 0;
+    }
+
+    bucket.seen++;
+    if (bucket.tokens < 1) return null;
+
+    bucket.tokens--;
+    bucket.kept++;
+    return bucket.lastRatio;
+  }
+
+  // 로그 하나에 규칙 적용 (level은 정규화된 상태여야 함)
+  // 반환값: { keep: true, sampleRate } 또는 { keep: false, code, reason, rule }
+  evaluate(logData, now = Date.now()) {
+    if (this.rules.length === 0) return { keep: true, sampleRate: 1 };
+
+    this.stats.evaluated++;
+
+    if (LEVEL_SEVERITY[logData.level] >= this.alwaysKeepSeverity) {
+      this.stats.alwaysKept++;
+      this.stats.kept++;
+      return { keep: true, sampleRate: 1 };
+    }
+
+    const rule = this.findRule(logData);
+    if (!rule) {
+      this.stats.kept++;
+      return { keep: true, sampleRate: 1 };
+    }
+
+    const ruleStats = this.stats.byRule.get(rule.name);
+    ruleStats.matched++;
+
+    if (rule.sampleRate < 1 && Math.random() >= rule.sampleRate) {
+      ruleStats.sampledOut++;
+      this.stats.sampledOut++;
+      return { keep: false, code: 'SAMPLED_OUT', reason: `샘플링 규칙 '${rule.name}'에 따라 제외되었습니다`, rule: rule.name };
+    }
+
+    let sampleRate = rule.sampleRate;
+    if (rule.maxPerSecond !== null) {
+      const keptRatio = this.takeToken(rule, logData, now);
+      if (keptRatio === null) {
+        ruleStats.rateLimited++;
+        this.stats.rateLimited++;
+        return { keep: false, code: 'RATE_LIMITED', reason: `속도 제한 규칙 '${rule.name}'(초당 ${rule.maxPerSecond}개)에 따라 제외되었습니다`, rule: rule.name };
+      }
+      sampleRate *= keptRatio;
+    }
+
+    ruleStats.kept++;
+    this.stats.kept++;
+    return { keep: true, sampleRate: Math.max(Math.round(sampleRate * 1e6) / 1e6, 1e-6) };
+  }
+
+  getStats() {
+    return {
+      enabled: this.rules.length > 0,
+      alwaysKeepLevel: ALWAYS_KEEP_LEVEL,
+      evaluated: this.stats.evaluated,
+      kept: this.stats.kept,
+      alwaysKept: this.stats.alwaysKept,
+      sampledOut: this.stats.sampledOut,
+      rateLimited: this.stats.rateLimited,
+      dropped: this.stats.sampledOut + this.stats.rateLimited,
+      activeBuckets: this.buckets.size,
+      rules: this.rules.map(rule => ({
+        name: rule.name,
+        rule: rule.definition,
+        ...this.stats.byRule.get(rule.name)
+      }))
+    };
+  }
+}
+
+export const logSampler = new LogSampler();
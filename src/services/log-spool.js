@@ -0,0 +1,333 @@
+import {
+  openSync,
+  closeSync,
+  writeSync,
+  fsyncSync,
+  ftruncateSync,
+  readFileSync,
+  writeFileSync,
+  readdirSync,
+  unlinkSync,
+  mkdirSync,
+  existsSync
+} from 'fs';
+import { join } from 'path';
+
+// 세그먼트 파일명 패턴 (segment-<순번>.ndjson)
+const SEGMENT_PATTERN = /^segment-(\d+)\.ndjson$/;
+// 영구 실패 로그 파일 (세그먼트 패턴과 겹치지 않아 복구 대상에서 제외됨)
+const DEAD_LETTER_FILE = 'dead-letter.ndjson';
+
+// 디스크 기반 선행 기록(Write-Ahead) 스풀
+// - addLog가 성공 응답을 보내기 전에 로그를 세그먼트 파일에 먼저 기록
+// - processBuffer가 DB 커밋에 성공하면 해당 로그를 세그먼트에서 해제(ack)
+//   해제 기록({"acked":[...]})도 활성 세그먼트에 남겨 복구 시 이미 저장된 로그를 건너뜀
+// - 서버 재시작 시 남아있는 세그먼트를 읽어 버퍼로 복구(replay)
+// - 최대 재시도를 넘긴 로그는 dead-letter 파일로 옮기고 해제 (세그먼트는 앞에서부터 지우므로
+//   실패 로그 하나가 남아 있으면 이후 세그먼트가 모두 디스크에 쌓이기 때문)
+export class LogSpool {
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? process.env.LOG_SPOOL_ENABLED !== 'false';
+    this.dir = options.dir || process.env.LOG_SPOOL_DIR || join(process.cwd(), 'spool');
+    this.maxSegmentBytes = options.maxSegmentBytes || parseInt(process.env.LOG_SPOOL_SEGMENT_BYTES) || 8 * 1024 * 1024;
+    this.fsync = options.fsync ?? process.env.LOG_SPOOL_FSYNC === 'true'; // true: 매 기록마다 fsync (느리지만 전원 장애에도 안전)
+
+    this.segments = new Map();      // 순번 → { path, outstanding: Set<logId> }
+    this.logSegment = new Map();    // logId → 세그먼트 순번
+    this.activeSeq = null;
+    this.activeFd = null;
+    this.activeBytes = 0;
+    this.nextSeq = 1;
+    this.deadLetterPath = join(this.dir, DEAD_LETTER_FILE);
+
+    this.totalAppended = 0;
+    this.totalDeadLettered = 0;
+    this.totalAcked = 0;
+    this.totalReplayed = 0;
+  }
+
+  // 스풀 디렉터리의 세그먼트 파일 목록 (순번 오름차순)
+  listSegmentFiles() {
+    if (!existsSync(this.dir)) return [];
+
+    return readdirSync(this.dir)
+      .map(name => {
+        const match = name.match(SEGMENT_PATTERN);
+        return match ? { seq: parseInt(match[1]), path: join(this.dir, name) } : null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.seq - b.seq);
+  }
+
+  // 새 활성 세그먼트 열기
+  openSegment() {
+    mkdirSync(this.dir, { recursive: true });
+
+    // 이전 프로세스의 세그먼트와 순번이 겹치지 않도록 시작 순번 조정
+    const existing = this.listSegmentFiles();
+    if (existing.length > 0) {
+      this.nextSeq = Math.max(this.nextSeq, existing[existing.length - 1].seq + 1);
+    }
+
+    const seq = this.nextSeq++;
+    const path = join(this.dir, `segment-${String(seq).padStart(10, '0')}.ndjson`);
+
+    this.activeFd = openSync(path, 'a');
+    this.activeSeq = seq;
+    this.activeBytes = 0;
+    this.segments.set(seq, { path, outstanding: new Set() });
+  }
+
+  // 활성 세그먼트 닫기 (미해제 로그가 없으면 파일 삭제)
+  closeActiveSegment() {
+    if (this.activeFd === null) return;
+
+    closeSync(this.activeFd);
+    const seq = this.activeSeq;
+    this.activeFd = null;
+    this.activeSeq = null;
+    this.activeBytes = 0;
+
+    this.removeDrainedSegments();
+  }
+
+  // 오래된 순서대로 모두 해제된 세그먼트 삭제
+  // 뒤쪽 세그먼트에 앞쪽 로그의 해제 기록이 있으므로 앞쪽이 남아있는 동안은 뒤쪽도 유지
+  removeDrainedSegments() {
+    const seqs = [...this.segments.keys()].sort((a, b) => a - b);
+
+    for (const seq of seqs) {
+      const segment = this.segments.get(seq);
+      if (seq === this.activeSeq || segment.outstanding.size > 0) break;
+
+      try {
+        unlinkSync(segment.path);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error(`⚠️ 스풀 세그먼트 삭제 실패 (${segment.path}):`, error.message);
+          return;
+        }
+      }
+      this.segments.delete(seq);
+    }
+  }
+
+  writeLine(line) {
+    if (this.activeFd === null || this.activeBytes >= this.maxSegmentBytes) {
+      this.closeActiveSegment();
+      this.openSegment();
+    }
+
+    const buffer = Buffer.from(line + '\n', 'utf8');
+    writeSync(this.activeFd, buffer, 0, buffer.length);
+    if (this.fsync) {
+      fsyncSync(this.activeFd);
+    }
+
+    this.activeBytes += buffer.length;
+    return buffer.length;
+  }
+
+  // 로그 한 건을 활성 세그먼트에 기록 (동기 - 기록이 끝나야 응답 가능)
+  // 반환값: 기록한 바이트 수 (스풀 비활성화 시 0)
+  append(log) {
+    if (!this.enabled) return 0;
+
+    const bytes = this.writeLine(JSON.stringify(log));
+
+    this.segments.get(this.activeSeq).outstanding.add(log.logId);
+    this.logSegment.set(log.logId, this.activeSeq);
+    this.totalAppended++;
+
+    return bytes;
+  }
+
+  // 아직 해제되지 않은 로그의 일부 필드 변경 기록 (반복 로그 묶기의 occurrences 등)
+  // 복구 시 원래 로그에 마지막 변경분을 덮어쓴다
+  patch(logId, fields) {
+    if (!this.enabled || !this.logSegment.has(logId)) return;
+
+    this.writeLine(JSON.stringify({ patch: logId, fields }));
+  }
+
+  // DB 커밋이 끝났거나 의도적으로 버린 로그들을 스풀에서 해제
+  ack(logIds = []) {
+    if (!this.enabled) return;
+
+    const acked = [];
+    for (const logId of logIds) {
+      const seq = this.logSegment.get(logId);
+      if (seq === undefined) continue;
+
+      this.logSegment.delete(logId);
+      this.segments.get(seq)?.outstanding.delete(logId);
+      acked.push(logId);
+      this.totalAcked++;
+    }
+
+    if (acked.length === 0) return;
+
+    this.removeDrainedSegments();
+
+    if (this.logSegment.size === 0 && this.activeFd !== null) {
+      // 남은 로그가 하나도 없으면 활성 세그먼트를 비워 재사용
+      ftruncateSync(this.activeFd, 0);
+      this.activeBytes = 0;
+    } else {
+      // 아직 남은 로그가 있으면 해제 기록을 남겨 복구 시 중복 재처리를 막음
+      this.writeLine(JSON.stringify({ acked }));
+    }
+  }
+
+  // 영구 실패한 로그를 dead-letter 파일에 기록한 뒤 세그먼트에서 해제
+  // (기록이 끝난 뒤 해제하므로 그 사이 크래시가 나도 세그먼트 복구로 남는다)
+  deadLetter(logs = []) {
+    if (!this.enabled || logs.length === 0) return;
+
+    mkdirSync(this.dir, { recursive: true });
+    const fd = openSync(this.deadLetterPath, 'a');
+    try {
+      const buffer = Buffer.from(logs.map(log => JSON.stringify(log)).join('\n') + '\n', 'utf8');
+      writeSync(fd, buffer, 0, buffer.length);
+      if (this.fsync) {
+        fsyncSync(fd);
+      }
+    } finally {
+      closeSync(fd);
+    }
+
+    this.totalDeadLettered += logs.length;
+    this.ack(logs.map(log => log.logId));
+  }
+
+  // dead-letter 파일을 남은 영구 실패 로그만으로 다시 쓰기 (재시도로 버퍼에 돌아간 로그 제거)
+  rewriteDeadLetters(logs = []) {
+    if (!this.enabled) return;
+
+    if (logs.length === 0) {
+      try {
+        unlinkSync(this.deadLetterPath);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+      return;
+    }
+    writeFileSync(this.deadLetterPath, logs.map(log => JSON.stringify(log)).join('\n') + '\n');
+  }
+
+  // 이전 프로세스가 남긴 영구 실패 로그 목록 (같은 logId는 마지막 기록 사용)
+  readDeadLetters() {
+    if (!this.enabled || !existsSync(this.deadLetterPath)) return [];
+
+    const logs = new Map();
+    for (const line of readFileSync(this.deadLetterPath, 'utf8').split('\n')) {
+      if (line.trim() === '') continue;
+      try {
+        const log = JSON.parse(line);
+        if (log.logId) logs.set(log.logId, log);
+      } catch (error) {
+        // 크래시 직전 기록 중이던 마지막 줄은 잘려 있을 수 있음
+      }
+    }
+
+    return [...logs.values()].map(log => ({
+      ...log,
+      timestamp: new Date(log.timestamp || log.createdAt),
+      addedToBufferAt: new Date(log.addedToBufferAt || log.createdAt)
+    }));
+  }
+
+  // 이전 프로세스가 남긴 세그먼트를 읽어 로그 목록으로 반환
+  // 복구한 로그는 새 세그먼트에 다시 기록한 뒤 기존 파일을 삭제한다
+  recover() {
+    if (!this.enabled) return [];
+
+    // 현재 프로세스가 연 세그먼트는 제외
+    const files = this.listSegmentFiles().filter(file => !this.segments.has(file.seq));
+    if (files.length === 0) return [];
+
+    const entries = [];
+    const ackedIds = new Set();
+    const patches = new Map(); // logId → 마지막 변경분
+    let corruptLines = 0;
+
+    for (const file of files) {
+      const content = readFileSync(file.path, 'utf8');
+
+      for (const line of content.split('\n')) {
+        if (line.trim() === '') continue;
+
+        try {
+          const entry = JSON.parse(line);
+          if (Array.isArray(entry.acked)) {
+            entry.acked.forEach(logId => ackedIds.add(logId));
+          } else if (typeof entry.patch === 'string') {
+            patches.set(entry.patch, { ...patches.get(entry.patch), ...entry.fields });
+          } else {
+            entries.push(entry);
+          }
+        } catch (error) {
+          // 크래시 직전 기록 중이던 마지막 줄은 잘려 있을 수 있음
+          corruptLines++;
+        }
+      }
+    }
+
+    const recovered = [];
+    const seen = new Set();
+
+    for (const log of entries) {
+      if (!log.logId || ackedIds.has(log.logId) || seen.has(log.logId) || this.logSegment.has(log.logId)) continue;
+
+      seen.add(log.logId);
+      recovered.push({
+        ...log,
+        ...patches.get(log.logId),
+        timestamp: new Date(log.timestamp || log.createdAt),
+        addedToBufferAt: new Date(log.addedToBufferAt || log.createdAt),
+        retryCount: 0
+      });
+    }
+
+    // 복구한 로그를 새 세그먼트로 옮긴 뒤 기존 파일 정리
+    recovered.forEach(log => this.append(log));
+    if (this.activeFd !== null && !this.fsync) {
+      fsyncSync(this.activeFd);
+    }
+
+    for (const file of files) {
+      try {
+        unlinkSync(file.path);
+      } catch (error) {
+        console.error(`⚠️ 복구된 스풀 세그먼트 삭제 실패 (${file.path}):`, error.message);
+      }
+    }
+
+    this.totalReplayed += recovered.length;
+
+    if (corruptLines > 0) {
+      console.warn(`⚠️ 스풀 복구 중 손상된 줄 ${corruptLines}개를 건너뛰었습니다`);
+    }
+    console.log(`💾 스풀 복구 완료 - 세그먼트 ${files.length}개에서 로그 ${recovered.length}개 복구`);
+
+    return recovered;
+  }
+
+  close() {
+    this.closeActiveSegment();
+  }
+
+  getStats() {
+    return {
+      enabled: this.enabled,
+      dir: this.dir,
+      fsync: this.fsync,
+      segments: this.segments.size,
+      outstandingLogs: this.logSegment.size,
+      totalAppended: this.totalAppended,
+      totalAcked: this.totalAcked,
+      totalReplayed: this.totalReplayed,
+      totalDeadLettered: this.totalDeadLettered
+    };
+  }
+}
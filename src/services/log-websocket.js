@@ -0,0 +1,458 @@
+import { WebSocketServer } from 'ws';
+import { randomUUID } from 'crypto';
+import { ingestLog } from './log-ingest.js';
+import { resolveApiKeyName } from '../middleware/auth.js';
+import { verifyBeaconToken } from './beacon-token.js';
+
+// WebSocket 로그 수집 - 몇 시간씩 세션을 유지하는 게임 클라이언트가 이벤트마다 HTTP 요청을 만들지 않도록
+// HTTP 서버와 같은 포트의 LOG_WS_PATH(기본: /api/logs/ws)로 업그레이드한다
+//
+// 프로토콜 (텍스트 프레임, JSON)
+// - 인증: 업그레이드 요청의 x-api-key 헤더, 또는 연결 후 첫 프레임 { "op": "auth", "apiKey": "..." | "token": "..." }
+//         (브라우저는 헤더를 붙일 수 없으므로 첫 프레임 인증 사용, token은 POST /api/logs/beacon/token으로 발급)
+// - 로그 1건: { "op": "log", "id": "c1", "log": { type, level, message, ... } } → { "op": "ack", "id": "c1", "status": "accepted", "logId": ... }
+// - 배치:     { "op": "batch", "id": "b1", "logs": [...] } → { "op": "ack", "id": "b1", "accepted": n, ..., "results": [수락되지 않은 항목] }
+// - 서버 → 클라이언트: { "op": "ready" } (인증 완료), { "op": "error", "code", "message" }
+// - ack의 status가 "error"(code: INTERNAL_ERROR)이면 서버 내부 오류라 같은 로그를 재전송해도 성공한다는 보장이 없음
+//   (과부하는 "overloaded" + retryAfterSec로 따로 알림)
+// 프레임은 연결별로 받은 순서대로 처리하고, 연결이 닫히면 처리 중인 프레임까지 메모리 스토어에 넣은 뒤 정리한다
+// 처리 대기 중인 프레임이 LOG_WS_MAX_PENDING_BYTES를 넘으면 소켓 읽기를 멈췄다가(TCP 흐름 제어) 절반 아래로 줄면 재개하고,
+// 멈춘 뒤에도 이미 받은 데이터로 그 두 배를 넘으면 { "op": "error", "code": "BACKPRESSURE" }를 보내고 연결을 닫는다
+//
+// 환경 변수
+// - LOG_WS_ENABLED: false면 비활성화 (기본: 활성화)
+// - LOG_WS_PATH: 업그레이드 경로 (기본: /api/logs/ws)
+// - LOG_WS_MAX_CONNECTIONS: 최대 동시 연결 수 (기본: 1000)
+// - LOG_WS_MAX_PAYLOAD: 프레임 최대 크기 (bytes, 기본: 1MB)
+// - LOG_WS_AUTH_TIMEOUT_MS: 인증 프레임 대기 시간 (기본: 10000)
+// - LOG_WS_HEARTBEAT_MS: ping 간격, 이 시간 동안 pong이 없으면 연결 종료 (기본: 30000)
+// - LOG_WS_MAX_PENDING_BYTES: 연결별 처리 대기 프레임 최대 크기 (bytes, 기본: 프레임 최대 크기 × 4)
+const MAX_BATCH_LOGS = 1000; // POST /api/logs/batch와 같은 한도
+const MAX_CONNECTION_STATS = 100; // 통계에 노출할 연결 수 (처리량 많은 순)
+
+// 종료 코드 (4000번대는 애플리케이션 정의)
+const CLOSE_CODES = {
+  GOING_AWAY: 1001,
+  TRY_AGAIN_LATER: 1013,
+  UNAUTHORIZED: 4001,
+  AUTH_TIMEOUT: 4008
+};
+
+class LogWebSocketServer {
+  constructor() {
+    this.enabled = process.env.LOG_WS_ENABLED !== 'false';
+    this.path = process.env.LOG_WS_PATH || '/api/logs/ws';
+    this.maxConnections = parseInt(process.env.LOG_WS_MAX_CONNECTIONS) || 1000;
+    this.maxPayload = parseInt(process.env.LOG_WS_MAX_PAYLOAD) || 1024 * 1024;
+    this.authTimeoutMs = parseInt(process.env.LOG_WS_AUTH_TIMEOUT_MS) || 10000;
+    this.heartbeatMs = parseInt(process.env.LOG_WS_HEARTBEAT_MS) || 30000;
+    this.maxPendingBytes = parseInt(process.env.LOG_WS_MAX_PENDING_BYTES) || this.maxPayload * 4;
+
+    this.wss = null;
+    this.httpServer = null;
+    this.heartbeatTimer = null;
+    this.connections = new Map(); // connectionId → 연결 상태
+    this.closing = new Set();     // 닫힌 뒤 남은 프레임을 처리 중인 연결의 완료 Promise
+
+    this.stats = {
+      totalConnections: 0,
+      closedConnections: 0,
+      rejectedUpgrades: 0, // 경로 불일치 제외, 연결 수 초과/헤더 인증 실패
+      authFailures: 0,
+      frames: 0,
+      malformedFrames: 0,
+      pauses: 0,            // 처리 대기 프레임이 많아 읽기를 멈춘 횟수
+      backpressureCloses: 0, // 멈춘 뒤에도 한도를 넘어 닫은 연결 수
+      bytes: 0,
+      logs: 0,
+      accepted: 0,
+      rejected: 0,
+      sampled: 0,
+      dropped: 0,
+      errors: 0,            // 로그 저장 중 예기치 못한 예외
+      lastError: null,
+      lastErrorAt: null
+    };
+
+    this.handleUpgrade = this.handleUpgrade.bind(this);
+  }
+
+  // HTTP 서버에 업그레이드 핸들러 연결 (app.listen 반환값)
+  attach(httpServer) {
+    if (!this.enabled) {
+      console.log('ℹ️  WebSocket 로그 수집 비활성화 (LOG_WS_ENABLED=false)');
+      return;
+    }
+
+    this.wss = new WebSocketServer({ noServer: true, maxPayload: this.maxPayload });
+    this.httpServer = httpServer;
+    httpServer.on('upgrade', this.handleUpgrade);
+
+    // 응답 없는 연결 정리 (모바일 네트워크 전환 등으로 close 없이 끊긴 연결)
+    this.heartbeatTimer = setInterval(() => {
+      this.connections.forEach(connection => {
+        if (!connection.alive) {
+          connection.ws.terminate();
+          return;
+        }
+        connection.alive = false;
+        connection.ws.ping();
+      });
+    }, this.heartbeatMs);
+    this.heartbeatTimer.unref();
+
+    console.log(`🔌 WebSocket 로그 수집 시작 (${this.path})`);
+  }
+
+  recordError(counter, message) {
+    this.stats[counter]++;
+    this.stats.lastError = message;
+    this.stats.lastErrorAt = new Date().toISOString();
+  }
+
+  rejectUpgrade(socket, statusCode, message) {
+    this.recordError('rejectedUpgrades', message);
+    socket.write(`HTTP/1.1 ${statusCode} ${statusCode === 401 ? 'Unauthorized' : 'Service Unavailable'}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+    socket.destroy();
+  }
+
+  handleUpgrade(req, socket, head) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== this.path) return; // 다른 업그레이드 요청은 건드리지 않음
+
+    if (this.connections.size >= this.maxConnections) {
+      this.rejectUpgrade(socket, 503, `최대 동시 연결 수 초과 (${this.maxConnections})`);
+      return;
+    }
+
+    // 헤더에 키가 있으면 업그레이드 시점에 인증 (잘못된 키는 연결 자체를 거부)
+    const headerKey = req.headers['x-api-key'];
+    let auth = null;
+    if (headerKey) {
+      const apiKeyName = resolveApiKeyName(headerKey);
+      if (!apiKeyName) {
+        this.stats.authFailures++;
+        this.rejectUpgrade(socket, 401, '유효하지 않은 API 키입니다');
+        return;
+      }
+      auth = { apiKeyName, apiKey: headerKey };
+    }
+
+    this.wss.handleUpgrade(req, socket, head, ws => this.handleConnection(ws, req, auth));
+  }
+
+  // 프록시 뒤에서는 X-Forwarded-For의 첫 주소 사용 (TRUST_PROXY 설정 시)
+  remoteIp(req) {
+    const forwarded = req.headers['x-forwarded-for'];
+    if (process.env.TRUST_PROXY && typeof forwarded === 'string' && forwarded !== '') {
+      return forwarded.split(',')[0].trim();
+    }
+    return req.socket.remoteAddress;
+  }
+
+  handleConnection(ws, req, auth) {
+    const connection = {
+      id: randomUUID(),
+      ws,
+      ip: this.remoteIp(req),
+      userAgent: req.headers['user-agent'],
+      apiKeyName: null,
+      apiKey: null,
+      context: null,
+      connectedAt: Date.now(),
+      alive: true,
+      queue: Promise.resolve(), // 프레임 순서 보장용 처리 체인
+      pendingFrames: 0,         // 체인에 들어가 아직 처리되지 않은 프레임 수
+      pendingBytes: 0,
+      paused: false,
+      overflowed: false,
+      authTimer: null,
+      stats: { frames: 0, bytes: 0, logs: 0, accepted: 0, rejected: 0, sampled: 0, dropped: 0, errors: 0 }
+    };
+
+    this.connections.set(connection.id, connection);
+    this.stats.totalConnections++;
+
+    ws.on('pong', () => {
+      connection.alive = true;
+    });
+    ws.on('message', (data, isBinary) => {
+      // 한도를 넘겨 닫는 중인 연결의 나머지 프레임은 버림
+      if (connection.overflowed) return;
+
+      connection.stats.frames++;
+      connection.stats.bytes += data.length;
+      this.stats.frames++;
+      this.stats.bytes += data.length;
+
+      if (connection.pendingBytes + data.length > this.maxPendingBytes * 2) {
+        this.closeOverflowed(connection);
+        return;
+      }
+
+      connection.pendingFrames++;
+      connection.pendingBytes += data.length;
+      connection.queue = connection.queue
+        .then(() => this.handleFrame(connection, data, isBinary))
+        .finally(() => this.releaseFrame(connection, data.length));
+
+      // 처리보다 빨리 보내면 소켓 읽기를 멈춰 클라이언트 쪽 전송이 막히게 함
+      if (!connection.paused && connection.pendingBytes > this.maxPendingBytes) {
+        connection.paused = true;
+        this.stats.pauses++;
+        ws.pause();
+      }
+    });
+    ws.on('error', (error) => {
+      console.warn(`⚠️ WebSocket 연결 에러 (${connection.ip}):`, error.message);
+    });
+    ws.on('close', () => this.handleClose(connection));
+
+    if (auth) {
+      this.authenticate(connection, auth);
+    } else {
+      connection.authTimer = setTimeout(() => {
+        this.recordError('authFailures', '인증 시간 초과');
+        ws.close(CLOSE_CODES.AUTH_TIMEOUT, 'auth timeout');
+      }, this.authTimeoutMs);
+    }
+  }
+
+  // 처리가 끝난 프레임만큼 대기량을 줄이고, 멈춘 연결은 절반 아래로 줄면 다시 읽기 시작
+  releaseFrame(connection, bytes) {
+    connection.pendingFrames--;
+    connection.pendingBytes -= bytes;
+    if (connection.paused && connection.pendingBytes <= this.maxPendingBytes / 2) {
+      connection.paused = false;
+      connection.ws.resume();
+    }
+  }
+
+  // 읽기를 멈춘 뒤에도 이미 받은 데이터가 한도를 넘은 경우 - 받은 프레임은 처리하고 연결은 닫음
+  closeOverflowed(connection) {
+    connection.overflowed = true;
+    this.recordError('backpressureCloses', `처리 대기 중인 프레임이 너무 많습니다 (${connection.ip})`);
+    this.send(connection, {
+      op: 'error',
+      code: 'BACKPRESSURE',
+      message: `처리 대기 중인 프레임이 ${this.maxPendingBytes * 2}바이트를 넘어 연결을 닫습니다. ack를 받은 뒤 다음 프레임을 보내세요`
+    });
+    connection.ws.close(CLOSE_CODES.TRY_AGAIN_LATER, 'backpressure');
+  }
+
+  authenticate(connection, { apiKeyName, apiKey }) {
+    clearTimeout(connection.authTimer);
+    connection.authTimer = null;
+    connection.apiKeyName = apiKeyName;
+    connection.apiKey = apiKey ?? null;
+    connection.context = {
+      source: 'websocket',
+      ip: connection.ip,
+      userAgent: connection.userAgent,
+      apiKeyName,
+      apiKey: connection.apiKey
+    };
+    this.send(connection, { op: 'ready', connectionId: connection.id });
+  }
+
+  send(connection, message) {
+    if (connection.ws.readyState === connection.ws.OPEN) {
+      connection.ws.send(JSON.stringify(message));
+    }
+  }
+
+  sendError(connection, code, message, id) {
+    this.recordError('malformedFrames', message);
+    this.send(connection, { op: 'error', ...(id !== undefined && { id }), code, message });
+  }
+
+  // 인증 프레임 처리 - 실패하면 연결 종료
+  handleAuthFrame(connection, frame) {
+    let result;
+    if (typeof frame.token === 'string' && frame.token !== '') {
+      result = verifyBeaconToken(frame.token);
+    } else if (typeof frame.apiKey === 'string' && frame.apiKey !== '') {
+      const apiKeyName = resolveApiKeyName(frame.apiKey);
+      result = apiKeyName ? { apiKeyName, apiKey: frame.apiKey } : { error: '유효하지 않은 API 키입니다' };
+    } else {
+      result = { error: 'apiKey 또는 token이 필요합니다' };
+    }
+
+    if (result.error) {
+      this.recordError('authFailures', result.error);
+      this.send(connection, { op: 'error', code: 'UNAUTHORIZED', message: result.error });
+      connection.ws.close(CLOSE_CODES.UNAUTHORIZED, 'unauthorized');
+      return;
+    }
+
+    this.authenticate(connection, result);
+  }
+
+  async handleFrame(connection, data, isBinary) {
+    let frame;
+    try {
+      if (isBinary) throw new Error('텍스트(JSON) 프레임만 지원합니다');
+      frame = JSON.parse(data.toString('utf8'));
+    } catch (error) {
+      this.sendError(connection, 'MALFORMED_FRAME', `프레임을 해석할 수 없습니다: ${error.message}`);
+      return;
+    }
+
+    // op 없이 보낸 로그 객체/배열도 허용
+    if (Array.isArray(frame)) {
+      frame = { op: 'batch', logs: frame };
+    } else if (frame && typeof frame === 'object' && frame.op === undefined) {
+      frame = { op: 'log', log: frame };
+    } else if (!frame || typeof frame !== 'object') {
+      this.sendError(connection, 'MALFORMED_FRAME', '프레임은 JSON 객체 또는 배열이어야 합니다');
+      return;
+    }
+
+    if (frame.op === 'auth') {
+      if (connection.context) {
+        this.sendError(connection, 'ALREADY_AUTHENTICATED', '이미 인증된 연결입니다', frame.id);
+        return;
+      }
+      this.handleAuthFrame(connection, frame);
+      return;
+    }
+
+    if (!connection.context) {
+      this.recordError('authFailures', '인증 전에 로그 프레임을 보냈습니다');
+      this.send(connection, { op: 'error', code: 'UNAUTHORIZED', message: '먼저 auth 프레임으로 인증해야 합니다' });
+      connection.ws.close(CLOSE_CODES.UNAUTHORIZED, 'unauthorized');
+      return;
+    }
+
+    if (frame.op === 'log') {
+      const result = await this.ingest(connection, frame.log);
+      this.send(connection, { op: 'ack', ...(frame.id !== undefined && { id: frame.id }), ...result });
+      return;
+    }
+
+    if (frame.op === 'batch') {
+      if (!Array.isArray(frame.logs) || frame.logs.length === 0) {
+        this.sendError(connection, 'MALFORMED_FRAME', 'logs는 비어 있지 않은 배열이어야 합니다', frame.id);
+        return;
+      }
+      if (frame.logs.length > MAX_BATCH_LOGS) {
+        this.sendError(connection, 'BATCH_TOO_LARGE', `배치 크기가 너무 큽니다 (최대 ${MAX_BATCH_LOGS}개)`, frame.id);
+        return;
+      }
+
+      const counts = { accepted: 0, duplicate: 0, rejected: 0, sampled: 0, dropped: 0, error: 0 };
+      const results = [];
+      for (let index = 0; index < frame.logs.length; index++) {
+        const result = await this.ingest(connection, frame.logs[index]);
+        const key = result.status === 'shed' || result.status === 'overloaded' ? 'dropped' : result.status;
+        counts[key]++;
+        // 수락된 로그는 개수만 알려 ack 크기를 줄임
+        if (result.status !== 'accepted' && result.status !== 'duplicate') {
+          results.push({ index, ...result });
+        }
+      }
+
+      this.send(connection, { op: 'ack', ...(frame.id !== undefined && { id: frame.id }), ...counts, results });
+      return;
+    }
+
+    this.sendError(connection, 'UNKNOWN_OP', `알 수 없는 op입니다 (${frame.op})`, frame.id);
+  }
+
+  async ingest(connection, logData) {
+    connection.stats.logs++;
+    this.stats.logs++;
+
+    let result;
+    try {
+      result = await ingestLog(logData, { context: connection.context });
+    } catch (error) {
+      // 과부하(overloaded)로 알리면 클라이언트가 백프레셔로 보고 끝없이 재시도하므로 별도 상태로 응답
+      console.error('❌ WebSocket 로그 저장 실패:', error.message);
+      this.stats.lastError = `로그 저장 실패: ${error.message}`;
+      this.stats.lastErrorAt = new Date().toISOString();
+      result = { status: 'error', code: 'INTERNAL_ERROR', reason: error.message };
+    }
+
+    const counter = result.status === 'accepted' || result.status === 'duplicate'
+      ? 'accepted'
+      : result.status === 'error' ? 'errors'
+        : result.status === 'rejected' || result.status === 'sampled' ? result.status : 'dropped';
+    connection.stats[counter]++;
+    this.stats[counter]++;
+    return result;
+  }
+
+  // 연결 종료 - 이미 받은 프레임을 모두 메모리 스토어에 넣은 뒤 정리
+  handleClose(connection) {
+    clearTimeout(connection.authTimer);
+
+    const drained = connection.queue
+      .catch(error => console.error('❌ WebSocket 프레임 처리 실패:', error.message))
+      .then(() => {
+        this.connections.delete(connection.id);
+        this.closing.delete(drained);
+        this.stats.closedConnections++;
+      });
+    this.closing.add(drained);
+  }
+
+  // 서버 종료 시 업그레이드 중단, 모든 연결을 닫고 남은 프레임 처리 완료까지 대기
+  async stop() {
+    if (!this.wss) return;
+
+    this.httpServer.off('upgrade', this.handleUpgrade);
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+
+    const openCount = this.connections.size;
+    this.connections.forEach(connection => connection.ws.close(CLOSE_CODES.GOING_AWAY, 'server shutdown'));
+
+    // close 핸드셰이크에 응답하지 않는 연결은 5초 뒤 강제 종료
+    const forceTimer = setTimeout(() => this.connections.forEach(connection => connection.ws.terminate()), 5000);
+    while (this.connections.size > 0) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+      await Promise.all(this.closing);
+    }
+    clearTimeout(forceTimer);
+
+    await new Promise(resolve => this.wss.close(resolve));
+    this.wss = null;
+    console.log(`🔌 WebSocket 로그 수집 종료 (연결 ${openCount}개 정리)`);
+  }
+
+  getStats() {
+    const now = Date.now();
+    const connections = [...this.connections.values()]
+      .sort((a, b) => b.stats.logs - a.stats.logs)
+      .slice(0, MAX_CONNECTION_STATS)
+      .map(connection => {
+        const durationSec = Math.max((now - connection.connectedAt) / 1000, 1);
+        return {
+          id: connection.id,
+          ip: connection.ip,
+          apiKeyName: connection.apiKeyName,
+          authenticated: connection.context !== null,
+          connectedAt: new Date(connection.connectedAt).toISOString(),
+          durationSec: Math.round(durationSec),
+          pendingFrames: connection.pendingFrames,
+          pendingBytes: connection.pendingBytes,
+          paused: connection.paused,
+          ...connection.stats,
+          logsPerSecond: Math.round((connection.stats.logs / durationSec) * 100) / 100
+        };
+      });
+
+    return {
+      enabled: this.enabled,
+      path: this.wss ? this.path : null,
+      activeConnections: this.connections.size,
+      maxConnections: this.maxConnections,
+      maxPendingBytes: this.maxPendingBytes,
+      ...this.stats,
+      connections
+    };
+  }
+}
+
+export const logWebSocketServer = new LogWebSocketServer();
@@ -0,0 +1,327 @@
+import RE2 from 're2';
+import SnappyJS from 'snappyjs';
+import { WIRE_TYPE, decodeFields, toStringValue, toSignedInt64 } from './protobuf.js';
+import { normalizeLevel } from './log-levels.js';
+
+// Loki 라벨 ↔ 로그 컬럼 매핑
+// - type: LOKI_TYPE_LABELS 중 처음 존재하는 라벨 (기본: type, job, app, service_name)
+// - level: LOKI_LEVEL_LABELS 중 처음 존재하는 라벨 (기본: level, severity, detected_level)
+// - LOKI_METADATA_LABELS에 지정한 라벨은 metadata 최상위 키로도 복사 (기본: user_id → userId 필터로 조회 가능)
+// - 전체 라벨은 metadata.labels에 그대로 보관해 조회 시 스트림 라벨로 복원
+const parseList = (value, defaults) => (value ? value.split(',') : defaults).map(item => item.trim()).filter(Boolean);
+
+const TYPE_LABELS = parseList(process.env.LOKI_TYPE_LABELS, ['type', 'job', 'app', 'service_name']);
+const LEVEL_LABELS = parseList(process.env.LOKI_LEVEL_LABELS, ['level', 'severity', 'detected_level']);
+const METADATA_LABELS = parseList(process.env.LOKI_METADATA_LABELS, ['user_id']);
+const DEFAULT_LOG_TYPE = process.env.LOKI_DEFAULT_LOG_TYPE || 'loki';
+
+// ─── 라벨 셀렉터 파싱 ({name="value", name2=~"regex"}) ───
+
+const MATCHER_OPERATORS = ['=~', '!~', '!=', '='];
+
+const readQuotedString = (input, start) => {
+  const quote = input[start];
+
+  if (quote === '`') {
+    const end = input.indexOf('`', start + 1);
+    if (end === -1) throw new Error(`닫히지 않은 문자열 (위치 ${start})`);
+    return { value: input.slice(start + 1, end), end: end + 1 };
+  }
+
+  if (quote !== '"') throw new Error(`문자열은 따옴표로 감싸야 합니다 (위치 ${start})`);
+
+  let i = start + 1;
+  while (i < input.length && input[i] !== '"') {
+    if (input[i] === '\\') i++;
+    i++;
+  }
+  if (i >= input.length) throw new Error(`닫히지 않은 문자열 (위치 ${start})`);
+
+  return { value: JSON.parse(input.slice(start, i + 1)), end: i + 1 };
+};
+
+// 반환값: { matchers: [{ name, op, value }], end }
+export const parseLabelSelector = (input, start = 0) => {
+  let i = start;
+  const skipSpaces = () => { while (/\s/.test(input[i] || '')) i++; };
+
+  skipSpaces();
+  if (input[i] !== '{') throw new Error(`라벨 셀렉터는 {로 시작해야 합니다 (위치 ${i})`);
+  i++;
+
+  const matchers = [];
+  for (;;) {
+    skipSpaces();
+    if (input[i] === '}') break;
+
+    const name = input.slice(i).match(/^[a-zA-Z_][a-zA-Z0-9_]*/)?.[0];
+    if (!name) throw new Error(`라벨 이름이 필요합니다 (위치 ${i})`);
+    i += name.length;
+    skipSpaces();
+
+    const op = MATCHER_OPERATORS.find(candidate => input.startsWith(candidate, i));
+    if (!op) throw new Error(`라벨 연산자(=, !=, =~, !~)가 필요합니다 (위치 ${i})`);
+    i += op.length;
+    skipSpaces();
+
+    const quoted = readQuotedString(input, i);
+    i = quoted.end;
+    matchers.push({ name, op, value: quoted.value });
+
+    skipSpaces();
+    if (input[i] === ',') {
+      i++;
+      continue;
+    }
+    if (input[i] !== '}') throw new Error(`, 또는 }가 필요합니다 (위치 ${i})`);
+    break;
+  }
+
+  return { matchers, end: i + 1 };
+};
+
+// ─── push 요청 해석 ───
+
+const labelsToLogData = (labels, line, timestampNs, structuredMetadata) => {
+  const typeLabel = TYPE_LABELS.find(name => labels[name]);
+  const levelLabel = LEVEL_LABELS.find(name => labels[name]);
+  const metadata = { labels };
+
+  for (const name of METADATA_LABELS) {
+    if (labels[name] !== undefined) metadata[name] = labels[name];
+  }
+  if (structuredMetadata && Object.keys(structuredMetadata).length > 0) {
+    metadata.structured_metadata = structuredMetadata;
+  }
+
+  const occurredAt = timestampNs > 0n ? Number(timestampNs / 1000000n) : undefined;
+
+  return {
+    type: typeLabel ? labels[typeLabel] : DEFAULT_LOG_TYPE,
+    level: (levelLabel && normalizeLevel(labels[levelLabel])) || 'info',
+    message: line,
+    ...(occurredAt !== undefined && { occurredAt }),
+    metadata
+  };
+};
+
+const parseNanoseconds = (value) => {
+  try {
+    return BigInt(String(value));
+  } catch {
+    throw new Error(`타임스탬프는 나노초 epoch 문자열이어야 합니다 (${value})`);
+  }
+};
+
+// JSON push: { streams: [{ stream: { label: value }, values: [["<ns>", "line", { 구조화 메타데이터 }]] }] }
+const parseJsonPush = (body) => {
+  if (!body || !Array.isArray(body.streams)) {
+    throw new Error('streams 배열이 필요합니다');
+  }
+
+  const entries = [];
+  for (const stream of body.streams) {
+    const labels = {};
+    for (const [name, value] of Object.entries(stream?.stream || {})) {
+      labels[name] = String(value);
+    }
+
+    for (const value of stream?.values || []) {
+      if (!Array.isArray(value) || value.length < 2) {
+        throw new Error('values 항목은 ["<나노초>", "<로그 라인>"] 형식이어야 합니다');
+      }
+      entries.push(labelsToLogData(labels, String(value[1]), parseNanoseconds(value[0]), value[2]));
+    }
+  }
+  return entries;
+};
+
+// protobuf push (Promtail 기본): snappy 압축된 logproto.PushRequest
+// PushRequest { repeated Stream streams = 1 }
+// Stream { string labels = 1; repeated Entry entries = 2 }
+// Entry { Timestamp timestamp = 1; string line = 2; repeated LabelPair structuredMetadata = 3 }
+const parseProtobufPush = (compressed) => {
+  const buffer = Buffer.from(SnappyJS.uncompress(compressed));
+  const entries = [];
+
+  for (const { field, wireType, value } of decodeFields(buffer)) {
+    if (field !== 1 || wireType !== WIRE_TYPE.LENGTH_DELIMITED) continue;
+
+    const streamFields = decodeFields(value);
+    const labels = {};
+    const labelString = toStringValue(streamFields.find(f => f.field === 1)?.value);
+    for (const matcher of parseLabelSelector(labelString).matchers) {
+      labels[matcher.name] = matcher.value;
+    }
+
+    for (const entryField of streamFields.filter(f => f.field === 2)) {
+      let timestampNs = 0n;
+      let line = '';
+      const structuredMetadata = {};
+
+      for (const { field: entryFieldNumber, value: entryValue } of decodeFields(entryField.value)) {
+        if (entryFieldNumber === 1) {
+          // google.protobuf.Timestamp { int64 seconds = 1; int32 nanos = 2 }
+          let seconds = 0n;
+          let nanos = 0n;
+          for (const ts of decodeFields(entryValue)) {
+            if (ts.field === 1) seconds = toSignedInt64(ts.value);
+            if (ts.field === 2) nanos = toSignedInt64(ts.value);
+          }
+          timestampNs = seconds * 1000000000n + nanos;
+        }
+        if (entryFieldNumber === 2) line = toStringValue(entryValue);
+        if (entryFieldNumber === 3) {
+          const pair = decodeFields(entryValue);
+          const name = toStringValue(pair.find(f => f.field === 1)?.value);
+          if (name) structuredMetadata[name] = toStringValue(pair.find(f => f.field === 2)?.value);
+        }
+      }
+
+      entries.push(labelsToLogData(labels, line, timestampNs, structuredMetadata));
+    }
+  }
+
+  return entries;
+};
+
+// push 요청 본문 → 로그 엔트리 목록
+export const parsePushRequest = (body, isProtobuf) => (
+  isProtobuf ? parseProtobufPush(body) : parseJsonPush(body)
+);
+
+// ─── query_range ───
+
+const LINE_FILTER_OPERATORS = ['|=', '!=', '|~', '!~'];
+
+// 지원 범위: 스트림 셀렉터 + 라인 필터(|=, !=, |~, !~)
+// 파서(| json 등), 메트릭 쿼리는 지원하지 않음
+export const parseLogQuery = (query) => {
+  if (typeof query !== 'string' || query.trim() === '') {
+    throw new Error('query 파라미터가 필요합니다');
+  }
+
+  const { matchers, end } = parseLabelSelector(query);
+  if (matchers.length === 0) {
+    throw new Error('라벨 매처가 최소 1개 필요합니다');
+  }
+
+  const lineFilters = [];
+  let i = end;
+  for (;;) {
+    while (/\s/.test(query[i] || '')) i++;
+    if (i >= query.length) break;
+
+    const op = LINE_FILTER_OPERATORS.find(candidate => query.startsWith(candidate, i));
+    if (!op) {
+      throw new Error(`지원하지 않는 LogQL 구문입니다 (위치 ${i}): 라인 필터(|=, !=, |~, !~)만 지원합니다`);
+    }
+    i += op.length;
+    while (/\s/.test(query[i] || '')) i++;
+
+    const quoted = readQuotedString(query, i);
+    i = quoted.end;
+    lineFilters.push({ op, value: quoted.value });
+  }
+
+  // 정규식은 미리 컴파일해 문법 오류를 400으로 돌려줌
+  // 사용자 입력이 이벤트 루프에서 수천 개 메시지에 실행되므로 Loki와 같은 RE2(선형 시간, 백트래킹 없음)로 컴파일
+  const compile = (pattern, anchored) => {
+    try {
+      return new RE2(anchored ? `^(?:${pattern})$` : pattern);
+    } catch (error) {
+      throw new Error(`잘못된 정규식 ${pattern}: ${error.message}`);
+    }
+  };
+  matchers.forEach(m => { if (m.op === '=~' || m.op === '!~') m.regex = compile(m.value, true); });
+  lineFilters.forEach(f => { if (f.op === '|~' || f.op === '!~') f.regex = compile(f.value, false); });
+
+  return { matchers, lineFilters };
+};
+
+// 저장된 로그 행 → 스트림 라벨
+export const rowLabels = (row) => {
+  const stored = row.metadata?.labels && typeof row.metadata.labels === 'object' ? row.metadata.labels : {};
+  const labels = {};
+  for (const [name, value] of Object.entries(stored)) {
+    labels[name] = String(value);
+  }
+  labels.type = row.type;
+  labels.level = row.level;
+  return labels;
+};
+
+export const matchesLogQuery = (row, { matchers, lineFilters }) => {
+  const labels = rowLabels(row);
+
+  for (const { name, op, value, regex } of matchers) {
+    const actual = labels[name] ?? '';
+    if (op === '=' && actual !== value) return false;
+    if (op === '!=' && actual === value) return false;
+    if (op === '=~' && !regex.test(actual)) return false;
+    if (op === '!~' && regex.test(actual)) return false;
+  }
+
+  const line = row.message || '';
+  for (const { op, value, regex } of lineFilters) {
+    if (op === '|=' && !line.includes(value)) return false;
+    if (op === '!=' && line.includes(value)) return false;
+    if (op === '|~' && !regex.test(line)) return false;
+    if (op === '!~' && regex.test(line)) return false;
+  }
+
+  return true;
+};
+
+// DB/메모리 조회 조건으로 내려보낼 수 있는 부분만 추출 (나머지는 matchesLogQuery로 후처리)
+export const toStoreFilters = ({ matchers, lineFilters }) => {
+  const filters = {};
+
+  for (const { name, op, value } of matchers) {
+    if (op !== '=') continue;
+    if (name === 'type') filters.type = value;
+    if (name === 'level') filters.level = value;
+    if (name === 'user_id' && METADATA_LABELS.includes('user_id')) filters.userId = value;
+  }
+
+  const contains = lineFilters.find(filter => filter.op === '|=');
+  if (contains) filters.message = contains.value;
+
+  return filters;
+};
+
+// Loki 시간 파라미터: 나노초 epoch, 초 단위 epoch(소수 허용), RFC3339
+export const parseLokiTime = (value, fallback) => {
+  if (value === undefined || value === '') return fallback;
+
+  if (/^\d+$/.test(value)) {
+    return value.length >= 16 ? new Date(Number(BigInt(value) / 1000000n)) : new Date(Number(value) * 1000);
+  }
+  if (/^\d+\.\d+$/.test(value)) {
+    return new Date(Math.round(parseFloat(value) * 1000));
+  }
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`잘못된 시간 형식입니다 (${value})`);
+  }
+  return date;
+};
+
+// 로그 행 목록 → Loki streams 결과 (라벨 조합별로 묶음)
+export const toStreamsResult = (rows) => {
+  const streams = new Map();
+
+  for (const row of rows) {
+    const labels = rowLabels(row);
+    const key = JSON.stringify(Object.keys(labels).sort().map(name => [name, labels[name]]));
+    if (!streams.has(key)) {
+      streams.set(key, { stream: labels, values: [] });
+    }
+
+    const timeMs = new Date(row.occurred_at || row.created_at).getTime();
+    streams.get(key).values.push([`${BigInt(timeMs) * 1000000n}`, row.message]);
+  }
+
+  return [...streams.values()];
+};
@@ -0,0 +1,152 @@
+// metadata 필드 조건 (GET /api/logs meta 필터)
+//
+// 형식: <경로><연산자><값> 또는 <경로> exists / <경로> !exists
+//   stage_id=12, score>=1000, device.os=android, level!=boss, items exists
+//   - 경로: 점으로 중첩 키 (device.os), 배열은 요소마다 확인 (tags=pvp는 tags 배열에 pvp가 있으면 일치)
+//   - =: 따옴표 없는 값은 숫자/불리언/null이면 그 타입과 문자열 모두 일치 (12 → 12, "12"), "12"처럼 따옴표로 감싸면 문자열만
+//   - >, >=, <, <=: 값이 숫자면 숫자 값끼리, 아니면 문자열끼리 비교 (ISO 날짜 문자열 비교 가능)
+//   - !=: = 조건의 반대 (키가 없는 로그 포함)
+//   - exists: 키가 있으면 일치 (값이 null이어도), !exists는 반대
+// DB는 jsonpath(@?)로 변환해 metadata GIN 인덱스를 사용하고, 메모리 버퍼는 같은 의미(lax 모드)의 함수로 확인한다
+const FILTER_PATTERN = /^\s*([^\s=!<>]+)\s*(!=|>=|<=|=|>|<)\s*(.*?)\s*$/;
+const EXISTS_PATTERN = /^\s*([^\s=!<>]+)\s+(!?exists|not\s+exists)\s*$/i;
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?([eE][+-]?\d+)?$/;
+
+export const MAX_METADATA_FILTERS = 20;
+
+// 따옴표 없는 값 → 일치 후보 (문자열 원본 + 해석 가능한 JSON 타입)
+const valueCandidates = (text) => {
+  const candidates = [text];
+  if (NUMBER_PATTERN.test(text) && Number.isFinite(Number(text))) candidates.push(Number(text));
+  if (text === 'true' || text === 'false') candidates.push(text === 'true');
+  if (text === 'null') candidates.push(null);
+  return candidates;
+};
+
+// 조건 문자열 → { path, op, values } | { path, op: 'exists', negate } (형식이 잘못되면 에러)
+export const parseMetadataFilter = (expression) => {
+  if (typeof expression !== 'string' || expression.trim() === '') {
+    throw new Error('meta 조건이 비어 있습니다');
+  }
+
+  const parsePath = (text) => {
+    const path = text.replace(/^(meta|metadata)\./, '').split('.');
+    if (path.some(key => key === '')) throw new Error(`잘못된 metadata 경로입니다: ${text}`);
+    return path;
+  };
+
+  const exists = expression.match(EXISTS_PATTERN);
+  if (exists) {
+    return { path: parsePath(exists[1]), op: 'exists', negate: !/^exists$/i.test(exists[2]) };
+  }
+
+  const match = expression.match(FILTER_PATTERN);
+  if (!match) {
+    throw new Error(`meta 조건 형식이 잘못되었습니다: ${expression} (예: stage_id=12, score>=1000, items exists)`);
+  }
+
+  const [, pathText, op, rawValue] = match;
+  const quoted = rawValue.length >= 2 && rawValue.startsWith('"') && rawValue.endsWith('"');
+  let text = rawValue;
+  if (quoted) {
+    try {
+      text = JSON.parse(rawValue);
+    } catch {
+      throw new Error(`meta 조건의 따옴표 문자열이 잘못되었습니다: ${rawValue}`);
+    }
+  }
+
+  const path = parsePath(pathText);
+  if (op === '=' || op === '!=') {
+    return { path, op: 'eq', negate: op === '!=', values: quoted ? [text] : valueCandidates(text) };
+  }
+
+  if (text === '') throw new Error(`meta 조건에 비교할 값이 필요합니다: ${expression}`);
+  const numeric = !quoted && NUMBER_PATTERN.test(text) && Number.isFinite(Number(text));
+  return { path, op, negate: false, values: [numeric ? Number(text) : text] };
+};
+
+// 쿼리 파라미터 → 조건 목록
+// - meta=stage_id=12 (여러 번 가능)
+// - meta.stage_id=12, meta.score>=1000, meta.items%20exists 처럼 키에 경로를 쓰는 형식
+//   (쿼리 파서가 첫 =에서 키/값을 나누므로 다시 이어 붙여 해석)
+export const parseMetadataFilterQuery = (query) => {
+  const expressions = [];
+
+  for (const [key, rawValue] of Object.entries(query)) {
+    const values = (Array.isArray(rawValue) ? rawValue : [rawValue]).filter(value => typeof value === 'string');
+    if (key === 'meta') {
+      expressions.push(...values);
+    } else if (key.startsWith('meta.')) {
+      expressions.push(...values.map(value => (value === '' ? key : `${key}=${value}`)));
+    }
+  }
+
+  if (expressions.length > MAX_METADATA_FILTERS) {
+    throw new Error(`meta 조건은 최대 ${MAX_METADATA_FILTERS}개까지 가능합니다`);
+  }
+  return expressions.map(parseMetadataFilter);
+};
+
+// ─── SQL (jsonpath) ───
+
+const toJsonPathLiteral = (value) => (value === null ? 'null' : JSON.stringify(value));
+
+// 조건 → jsonpath 문자열 ($."device"."os" ? (@ == "android"))
+export const toJsonPath = ({ path, op, values }) => {
+  const base = `$${path.map(key => `.${JSON.stringify(key)}`).join('')}`;
+  if (op === 'exists') return base;
+  if (op === 'eq') return `${base} ? (${values.map(value => `@ == ${toJsonPathLiteral(value)}`).join(' || ')})`;
+  return `${base} ? (@ ${op} ${toJsonPathLiteral(values[0])})`;
+};
+
+// 조건 목록 → { clause, params } (params는 $startIndex부터 사용, 조건끼리 AND)
+export const buildMetadataFilterSql = (filters, startIndex = 1) => {
+  const params = [];
+  const clauses = filters.map(filter => {
+    params.push(toJsonPath(filter));
+    // metadata가 NULL이어도 true/false가 되도록 COALESCE (negate가 메모리 조건과 같게 동작)
+    const condition = `COALESCE(metadata @? $${startIndex + params.length - 1}::jsonpath, false)`;
+    return filter.negate ? `NOT ${condition}` : condition;
+  });
+  return { clause: clauses.join(' AND '), params };
+};
+
+// ─── 메모리 로그 ───
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const unwrap = (items) => items.flatMap(item => (Array.isArray(item) ? item : [item]));
+
+// jsonpath lax 모드와 같게 경로를 따라간 값 목록 (중간 배열은 요소마다 따라감)
+const resolvePath = (metadata, path) => path.reduce(
+  (items, key) => unwrap(items).filter(item => isObject(item) && Object.hasOwn(item, key)).map(item => item[key]),
+  metadata === undefined || metadata === null ? [] : [metadata]
+);
+
+const compare = (item, op, value) => {
+  if (typeof item !== typeof value || item === null) return false;
+  switch (op) {
+    case '>': return item > value;
+    case '>=': return item >= value;
+    case '<': return item < value;
+    case '<=': return item <= value;
+    default: return false;
+  }
+};
+
+const matchesFilter = (log, filter) => {
+  const items = resolvePath(log.metadata, filter.path);
+
+  let matched;
+  if (filter.op === 'exists') {
+    matched = items.length > 0;
+  } else if (filter.op === 'eq') {
+    matched = unwrap(items).some(item => filter.values.some(value => item === value));
+  } else {
+    matched = unwrap(items).some(item => compare(item, filter.op, filter.values[0]));
+  }
+  return filter.negate ? !matched : matched;
+};
+
+// 조건 목록 → (메모리 로그 원본) => boolean
+export const buildMetadataFilterPredicate = (filters) => (log) => filters.every(filter => matchesFilter(log, filter));
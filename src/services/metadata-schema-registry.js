@@ -0,0 +1,153 @@
+import Ajv from 'ajv';
+import { loadMetadataSchemas, upsertMetadataSchema, deleteMetadataSchema } from '../config/database.js';
+
+// 검증 모드
+// - strict: 스키마 위반 로그는 거부
+// - warn: 저장하되 응답과 통계에 위반 내용을 보고
+// - off: 등록만 해두고 검증하지 않음 (문서화 용도)
+export const SCHEMA_MODES = ['strict', 'warn', 'off'];
+const DEFAULT_MODE = SCHEMA_MODES.includes(process.env.LOG_SCHEMA_DEFAULT_MODE)
+  ? process.env.LOG_SCHEMA_DEFAULT_MODE
+  : 'warn';
+const MAX_REPORTED_VIOLATIONS = 10;
+
+// ajv 에러 → { path, message } (path는 metadata 기준 JSON Pointer)
+const toViolations = (errors = []) => errors.slice(0, MAX_REPORTED_VIOLATIONS).map(error => ({
+  path: error.keyword === 'required'
+    ? `${error.instancePath}/${error.params.missingProperty}`
+    : error.instancePath || '/',
+  message: error.message
+}));
+
+// 로그 type별 metadata JSON Schema 레지스트리 (DB에 저장, 메모리에 컴파일된 검증기 보관)
+class MetadataSchemaRegistry {
+  constructor() {
+    this.schemas = new Map(); // type → { type, schema, mode, description, createdAt, updatedAt, validate }
+    this.stats = new Map();   // type → { checked, passed, warned, rejected, lastViolation }
+    this.loaded = false;
+  }
+
+  // 스키마를 컴파일 (잘못된 스키마면 에러)
+  // $id가 겹쳐도 문제가 없도록 스키마마다 별도 인스턴스 사용
+  compile(schema) {
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+      throw new Error('schema는 JSON Schema 객체여야 합니다');
+    }
+    const ajv = new Ajv({ allErrors: true, strict: false });
+    return ajv.compile(schema);
+  }
+
+  register(row) {
+    this.schemas.set(row.type, {
+      type: row.type,
+      schema: row.schema,
+      mode: row.mode,
+      description: row.description ?? null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      validate: this.compile(row.schema)
+    });
+  }
+
+  // 서버 시작 시 DB에서 등록된 스키마 로드
+  async load() {
+    const rows = await loadMetadataSchemas();
+    this.schemas.clear();
+
+    for (const row of rows) {
+      try {
+        this.register(row);
+      } catch (error) {
+        console.error(`❌ metadata 스키마 컴파일 실패 (type: ${row.type}):`, error.message);
+      }
+    }
+
+    this.loaded = true;
+    console.log(`📐 metadata 스키마 ${this.schemas.size}개 로드 완료`);
+  }
+
+  async set(type, { schema, mode = DEFAULT_MODE, description = null }) {
+    if (!SCHEMA_MODES.includes(mode)) {
+      throw new Error(`mode는 ${SCHEMA_MODES.join(', ')} 중 하나여야 합니다`);
+    }
+
+    // 저장 전에 컴파일해서 잘못된 스키마는 DB에 들어가지 않게 함
+    this.compile(schema);
+
+    const row = await upsertMetadataSchema({ type, schema, mode, description });
+    this.register(row);
+    return this.get(type);
+  }
+
+  async remove(type) {
+    const deleted = await deleteMetadataSchema(type);
+    this.schemas.delete(type);
+    return deleted;
+  }
+
+  get(type) {
+    const entry = this.schemas.get(type);
+    if (!entry) return null;
+
+    const { validate, ...schema } = entry;
+    return { ...schema, stats: this.getTypeStats(type) };
+  }
+
+  list() {
+    return [...this.schemas.keys()].map(type => this.get(type));
+  }
+
+  // metadata 검증 (통계 기록 없음)
+  // 반환값: 스키마가 없거나 off면 null, 아니면 { mode, violations } (위반이 없으면 violations는 빈 배열)
+  check(type, metadata) {
+    const entry = this.schemas.get(type);
+    if (!entry || entry.mode === 'off') return null;
+
+    const valid = entry.validate(metadata ?? {});
+    return { mode: entry.mode, violations: valid ? [] : toViolations(entry.validate.errors) };
+  }
+
+  // 검증 결과 통계 기록 (outcome: passed | warned | rejected)
+  record(type, outcome, violations = []) {
+    if (!this.stats.has(type)) {
+      this.stats.set(type, { checked: 0, passed: 0, warned: 0, rejected: 0, lastViolation: null });
+    }
+
+    const stats = this.stats.get(type);
+    stats.checked++;
+    stats[outcome]++;
+    if (violations.length > 0) {
+      stats.lastViolation = { at: new Date().toISOString(), violations };
+    }
+  }
+
+  getTypeStats(type) {
+    const stats = this.stats.get(type);
+    return stats
+      ? { ...stats }
+      : { checked: 0, passed: 0, warned: 0, rejected: 0, lastViolation: null };
+  }
+
+  getStats() {
+    const byType = {};
+    let warned = 0;
+    let rejected = 0;
+
+    for (const [type, stats] of this.stats) {
+      byType[type] = { ...stats };
+      warned += stats.warned;
+      rejected += stats.rejected;
+    }
+
+    return {
+      defaultMode: DEFAULT_MODE,
+      registered: this.schemas.size,
+      loaded: this.loaded,
+      totalWarned: warned,
+      totalRejected: rejected,
+      byType
+    };
+  }
+}
+
+export const metadataSchemaRegistry = new MetadataSchemaRegistry();
@@ -0,0 +1,223 @@
+import {
+  WIRE_TYPE,
+  decodeFields,
+  toStringValue,
+  toSignedInt64,
+  fixed64ToBigInt,
+  fixed32ToNumber,
+  doubleValue
+} from './protobuf.js';
+import { normalizeLevel } from './log-levels.js';
+
+// OpenTelemetry SeverityNumber(1~24) → 로그 레벨
+// 1-4 TRACE, 5-8 DEBUG, 9-12 INFO, 13-16 WARN, 17-20 ERROR, 21-24 FATAL
+const SEVERITY_RANGES = ['trace', 'debug', 'info', 'warn', 'error', 'fatal'];
+const DEFAULT_LOG_TYPE = process.env.OTLP_DEFAULT_LOG_TYPE || 'otel';
+
+// ─── protobuf → OTLP/JSON 형태로 변환 ───
+// JSON 요청과 같은 구조로 맞춰 이후 매핑 로직을 하나로 유지한다
+
+const decodeAnyValue = (buffer) => {
+  for (const { field, value } of decodeFields(buffer)) {
+    switch (field) {
+      case 1: return { stringValue: toStringValue(value) };
+      case 2: return { boolValue: value !== 0n };
+      case 3: return { intValue: toSignedInt64(value).toString() };
+      case 4: return { doubleValue: doubleValue(value) };
+      case 5: return { arrayValue: { values: decodeFields(value).filter(f => f.field === 1).map(f => decodeAnyValue(f.value)) } };
+      case 6: return { kvlistValue: { values: decodeFields(value).filter(f => f.field === 1).map(f => decodeKeyValue(f.value)) } };
+      case 7: return { bytesValue: value.toString('base64') };
+    }
+  }
+  return {};
+};
+
+const decodeKeyValue = (buffer) => {
+  const keyValue = { key: '', value: {} };
+  for (const { field, value } of decodeFields(buffer)) {
+    if (field === 1) keyValue.key = toStringValue(value);
+    if (field === 2) keyValue.value = decodeAnyValue(value);
+  }
+  return keyValue;
+};
+
+const decodeAttributes = (fields, fieldNumber) => fields
+  .filter(f => f.field === fieldNumber && f.wireType === WIRE_TYPE.LENGTH_DELIMITED)
+  .map(f => decodeKeyValue(f.value));
+
+const decodeLogRecord = (buffer) => {
+  const fields = decodeFields(buffer);
+  const record = { attributes: decodeAttributes(fields, 6) };
+
+  for (const { field, value } of fields) {
+    switch (field) {
+      case 1: record.timeUnixNano = fixed64ToBigInt(value).toString(); break;
+      case 11: record.observedTimeUnixNano = fixed64ToBigInt(value).toString(); break;
+      case 2: record.severityNumber = Number(value); break;
+      case 3: record.severityText = toStringValue(value); break;
+      case 5: record.body = decodeAnyValue(value); break;
+      case 8: record.flags = fixed32ToNumber(value); break;
+      case 9: record.traceId = value.toString('hex'); break;
+      case 10: record.spanId = value.toString('hex'); break;
+      case 12: record.eventName = toStringValue(value); break;
+    }
+  }
+
+  return record;
+};
+
+const decodeScopeLogs = (buffer) => {
+  const scopeLogs = { logRecords: [] };
+
+  for (const { field, value } of decodeFields(buffer)) {
+    if (field === 1) {
+      const scopeFields = decodeFields(value);
+      scopeLogs.scope = {
+        name: toStringValue(scopeFields.find(f => f.field === 1)?.value),
+        version: toStringValue(scopeFields.find(f => f.field === 2)?.value),
+        attributes: decodeAttributes(scopeFields, 3)
+      };
+    }
+    if (field === 2) scopeLogs.logRecords.push(decodeLogRecord(value));
+  }
+
+  return scopeLogs;
+};
+
+const decodeResourceLogs = (buffer) => {
+  const resourceLogs = { scopeLogs: [] };
+
+  for (const { field, value } of decodeFields(buffer)) {
+    if (field === 1) resourceLogs.resource = { attributes: decodeAttributes(decodeFields(value), 1) };
+    if (field === 2) resourceLogs.scopeLogs.push(decodeScopeLogs(value));
+  }
+
+  return resourceLogs;
+};
+
+// protobuf ExportLogsServiceRequest 디코딩
+export const decodeExportLogsRequest = (buffer) => ({
+  resourceLogs: decodeFields(buffer)
+    .filter(f => f.field === 1 && f.wireType === WIRE_TYPE.LENGTH_DELIMITED)
+    .map(f => decodeResourceLogs(f.value))
+});
+
+// ─── OTLP/JSON → 로그 엔트리 매핑 ───
+
+// AnyValue → 일반 JS 값
+const anyValueToJs = (anyValue) => {
+  if (!anyValue || typeof anyValue !== 'object') return null;
+  if ('stringValue' in anyValue) return anyValue.stringValue;
+  if ('boolValue' in anyValue) return anyValue.boolValue;
+  if ('intValue' in anyValue) {
+    // int64는 안전한 범위를 넘으면 문자열로 유지
+    const number = Number(anyValue.intValue);
+    return Number.isSafeInteger(number) ? number : String(anyValue.intValue);
+  }
+  if ('doubleValue' in anyValue) return Number(anyValue.doubleValue);
+  if ('arrayValue' in anyValue) return (anyValue.arrayValue?.values || []).map(anyValueToJs);
+  if ('kvlistValue' in anyValue) return attributesToObject(anyValue.kvlistValue?.values);
+  if ('bytesValue' in anyValue) return anyValue.bytesValue;
+  return null;
+};
+
+const attributesToObject = (attributes) => {
+  const result = {};
+  if (!Array.isArray(attributes)) return result;
+
+  for (const attribute of attributes) {
+    if (attribute && typeof attribute.key === 'string') {
+      result[attribute.key] = anyValueToJs(attribute.value);
+    }
+  }
+  return result;
+};
+
+const mapSeverity = (severityNumber, severityText) => {
+  const number = Number(severityNumber);
+  if (Number.isInteger(number) && number >= 1 && number <= 24) {
+    return SEVERITY_RANGES[Math.floor((number - 1) / 4)];
+  }
+  return normalizeLevel(severityText) || 'info';
+};
+
+// 나노초 epoch(문자열/숫자) → 밀리초 (0이나 누락이면 undefined)
+const unixNanoToMillis = (value) => {
+  if (value === undefined || value === null || value === '' || value === 0 || value === '0') return undefined;
+  try {
+    const millis = Number(BigInt(value) / 1000000n);
+    return millis > 0 ? millis : undefined;
+  } catch {
+    return undefined;
+  }
+};
+
+// 바이트 ID는 OTLP/JSON에서 hex 문자열 (모두 0이면 유효하지 않은 ID)
+const normalizeId = (value) => {
+  if (typeof value !== 'string' || value === '' || /^0+$/.test(value)) return undefined;
+  return value.toLowerCase();
+};
+
+const bodyToMessage = (body) => {
+  const value = anyValueToJs(body);
+  if (value === null || value === undefined) return '';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+};
+
+// ExportLogsServiceRequest → [{ logData } | { error }] (LogRecord 순서 유지)
+export const mapExportLogsRequest = (request) => {
+  if (!request || typeof request !== 'object' || !Array.isArray(request.resourceLogs ?? [])) {
+    throw new Error('resourceLogs는 배열이어야 합니다');
+  }
+
+  const entries = [];
+
+  for (const resourceLogs of request.resourceLogs || []) {
+    const resource = attributesToObject(resourceLogs?.resource?.attributes);
+
+    for (const scopeLogs of resourceLogs?.scopeLogs || []) {
+      const scope = scopeLogs?.scope || {};
+      const scopeInfo = {
+        name: scope.name || null,
+        version: scope.version || null,
+        attributes: attributesToObject(scope.attributes)
+      };
+
+      for (const record of scopeLogs?.logRecords || []) {
+        if (!record || typeof record !== 'object') {
+          entries.push({ error: 'LogRecord는 객체여야 합니다' });
+          continue;
+        }
+
+        const traceId = normalizeId(record.traceId);
+        const spanId = normalizeId(record.spanId);
+        const occurredAt = unixNanoToMillis(record.timeUnixNano) ?? unixNanoToMillis(record.observedTimeUnixNano);
+        const message = bodyToMessage(record.body) || record.eventName || '';
+
+        entries.push({
+          logData: {
+            type: String(resource['service.name'] || scopeInfo.name || DEFAULT_LOG_TYPE),
+            level: mapSeverity(record.severityNumber, record.severityText),
+            message,
+            ...(occurredAt !== undefined && { occurredAt }),
+            metadata: {
+              ...(traceId && { trace_id: traceId }),
+              ...(spanId && { span_id: spanId }),
+              attributes: attributesToObject(record.attributes),
+              resource,
+              scope: scopeInfo,
+              otel: {
+                severityNumber: record.severityNumber ?? null,
+                severityText: record.severityText || null,
+                flags: record.flags ?? null,
+                eventName: record.eventName || null
+              }
+            }
+          }
+        });
+      }
+    }
+  }
+
+  return entries;
+};
@@ -0,0 +1,121 @@
+// 최소한의 protobuf 와이어 포맷 리더/라이터
+// .proto 스키마 컴파일 없이 필드 번호 기준으로 직접 해석한다 (OTLP, Loki push 등 외부 수집 포맷용)
+
+export const WIRE_TYPE = {
+  VARINT: 0,
+  FIXED64: 1,
+  LENGTH_DELIMITED: 2,
+  FIXED32: 5
+};
+
+const readVarint = (buffer, offset) => {
+  let result = 0n;
+  let shift = 0n;
+  let pos = offset;
+
+  while (pos < buffer.length) {
+    const byte = buffer[pos++];
+    result |= BigInt(byte & 0x7f) << shift;
+    if ((byte & 0x80) === 0) {
+      return { value: result, offset: pos };
+    }
+    shift += 7n;
+    if (shift > 63n) break;
+  }
+
+  throw new Error(`protobuf varint 해석 실패 (offset ${offset})`);
+};
+
+// 메시지를 필드 목록으로 분해
+// 반환값: [{ field, wireType, value }]
+// - VARINT: BigInt, FIXED64/FIXED32: 해당 길이의 Buffer, LENGTH_DELIMITED: Buffer
+export const decodeFields = (buffer) => {
+  const fields = [];
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    const tag = readVarint(buffer, offset);
+    offset = tag.offset;
+
+    const field = Number(tag.value >> 3n);
+    const wireType = Number(tag.value & 7n);
+    let value;
+
+    switch (wireType) {
+      case WIRE_TYPE.VARINT: {
+        const varint = readVarint(buffer, offset);
+        value = varint.value;
+        offset = varint.offset;
+        break;
+      }
+      case WIRE_TYPE.FIXED64:
+        value = buffer.subarray(offset, offset + 8);
+        offset += 8;
+        break;
+      case WIRE_TYPE.LENGTH_DELIMITED: {
+        const length = readVarint(buffer, offset);
+        const end = length.offset + Number(length.value);
+        if (end > buffer.length) {
+          throw new Error(`protobuf 필드 ${field}의 길이가 메시지를 벗어납니다`);
+        }
+        value = buffer.subarray(length.offset, end);
+        offset = end;
+        break;
+      }
+      case WIRE_TYPE.FIXED32:
+        value = buffer.subarray(offset, offset + 4);
+        offset += 4;
+        break;
+      default:
+        throw new Error(`지원하지 않는 protobuf wire type ${wireType} (필드 ${field})`);
+    }
+
+    if (offset > buffer.length) {
+      throw new Error(`protobuf 필드 ${field}가 잘려 있습니다`);
+    }
+
+    fields.push({ field, wireType, value });
+  }
+
+  return fields;
+};
+
+// 값 변환 헬퍼
+export const toStringValue = (value) => Buffer.isBuffer(value) ? value.toString('utf8') : '';
+export const toSignedInt64 = (value) => BigInt.asIntN(64, value);
+export const fixed64ToBigInt = (value) => value.readBigUInt64LE(0);
+export const fixed32ToNumber = (value) => value.readUInt32LE(0);
+export const doubleValue = (value) => value.readDoubleLE(0);
+
+const encodeVarint = (value) => {
+  let remaining = BigInt.asUintN(64, BigInt(value));
+  const bytes = [];
+
+  do {
+    let byte = Number(remaining & 0x7fn);
+    remaining >>= 7n;
+    if (remaining > 0n) byte |= 0x80;
+    bytes.push(byte);
+  } while (remaining > 0n);
+
+  return Buffer.from(bytes);
+};
+
+// 필드 목록을 메시지로 인코딩 (응답 메시지 작성용)
+// fields: [{ field, type: 'varint' | 'string' | 'bytes', value }]
+export const encodeFields = (fields) => {
+  const parts = [];
+
+  for (const { field, type, value } of fields) {
+    if (value === undefined || value === null) continue;
+
+    if (type === 'varint') {
+      parts.push(encodeVarint((BigInt(field) << 3n) | BigInt(WIRE_TYPE.VARINT)), encodeVarint(value));
+    } else {
+      const payload = type === 'string' ? Buffer.from(String(value), 'utf8') : value;
+      parts.push(encodeVarint((BigInt(field) << 3n) | BigInt(WIRE_TYPE.LENGTH_DELIMITED)), encodeVarint(payload.length), payload);
+    }
+  }
+
+  return Buffer.concat(parts);
+};
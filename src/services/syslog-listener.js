@@ -0,0 +1,356 @@
+import dgram from 'dgram';
+import net from 'net';
+import { ingestLog } from './log-ingest.js';
+
+// syslog severity(0~7) → 로그 레벨
+const SEVERITY_LEVELS = ['fatal', 'fatal', 'fatal', 'error', 'warn', 'info', 'info', 'debug'];
+const SEVERITY_NAMES = ['emerg', 'alert', 'crit', 'err', 'warning', 'notice', 'info', 'debug'];
+const FACILITY_NAMES = [
+  'kern', 'user', 'mail', 'daemon', 'auth', 'syslog', 'lpr', 'news',
+  'uucp', 'cron', 'authpriv', 'ftp', 'ntp', 'security', 'console', 'solaris-cron',
+  'local0', 'local1', 'local2', 'local3', 'local4', 'local5', 'local6', 'local7'
+];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const MAX_MESSAGE_BYTES = 64 * 1024;
+const nilToNull = (value) => (value === '-' ? null : value);
+
+// RFC 5424 STRUCTURED-DATA 파싱 ([id k="v"][id2 ...] 형태)
+// 반환값: { data, rest } - rest는 STRUCTURED-DATA 뒤의 나머지 문자열
+const parseStructuredData = (input) => {
+  if (input.startsWith('-')) {
+    return { data: null, rest: input.slice(1) };
+  }
+
+  const data = {};
+  let i = 0;
+
+  while (input[i] === '[') {
+    i++;
+    let id = '';
+    while (i < input.length && input[i] !== ' ' && input[i] !== ']') id += input[i++];
+    const params = {};
+
+    while (input[i] === ' ') {
+      i++;
+      let name = '';
+      while (i < input.length && input[i] !== '=') name += input[i++];
+      if (input[i + 1] !== '"') throw new Error(`STRUCTURED-DATA 값 형식 오류 (${id})`);
+      i += 2;
+
+      let value = '';
+      while (i < input.length && input[i] !== '"') {
+        if (input[i] === '\\' && ['"', '\\', ']'].includes(input[i + 1])) i++;
+        value += input[i++];
+      }
+      if (input[i] !== '"') throw new Error(`STRUCTURED-DATA 값이 닫히지 않았습니다 (${id})`);
+      i++;
+      params[name] = value;
+    }
+
+    if (input[i] !== ']') throw new Error(`STRUCTURED-DATA 요소가 닫히지 않았습니다 (${id})`);
+    i++;
+    data[id] = params;
+  }
+
+  if (i === 0) throw new Error('STRUCTURED-DATA가 없습니다');
+  return { data, rest: input.slice(i) };
+};
+
+// RFC 3164 타임스탬프 (연도/시간대 없음 → 서버 로컬 시간, 미래로 계산되면 작년으로 간주)
+const parseBsdTimestamp = (month, day, hour, minute, second) => {
+  const now = new Date();
+  const date = new Date(now.getFullYear(), MONTHS.indexOf(month), parseInt(day), parseInt(hour), parseInt(minute), parseInt(second));
+  if (date.getTime() - now.getTime() > 24 * 60 * 60 * 1000) {
+    date.setFullYear(date.getFullYear() - 1);
+  }
+  return date.getTime();
+};
+
+// syslog 메시지 한 건을 로그 엔트리로 변환 (RFC 5424 우선, 실패 시 RFC 3164)
+export const parseSyslogMessage = (raw) => {
+  const text = raw.replace(/[\r\n\0]+$/, '');
+  const priMatch = text.match(/^<(\d{1,3})>/);
+  if (!priMatch) {
+    throw new Error('PRI(<숫자>)로 시작하지 않는 메시지입니다');
+  }
+
+  const pri = parseInt(priMatch[1]);
+  if (pri > 191) {
+    throw new Error(`PRI 값이 범위를 벗어났습니다 (${pri})`);
+  }
+
+  const facility = Math.floor(pri / 8);
+  const severity = pri % 8;
+  const body = text.slice(priMatch[0].length);
+
+  const syslog = {
+    facility,
+    facilityName: FACILITY_NAMES[facility] || `facility${facility}`,
+    severity,
+    severityName: SEVERITY_NAMES[severity]
+  };
+
+  let occurredAt;
+  let message;
+
+  const rfc5424 = body.match(/^(\d{1,2}) (\S+) (\S+) (\S+) (\S+) (\S+) /);
+  if (rfc5424) {
+    const [header, version, timestamp, hostname, appName, procId, msgId] = rfc5424;
+    const { data, rest } = parseStructuredData(body.slice(header.length));
+
+    if (timestamp !== '-') {
+      occurredAt = Date.parse(timestamp);
+      if (!Number.isFinite(occurredAt)) {
+        throw new Error(`TIMESTAMP 형식 오류 (${timestamp})`);
+      }
+    }
+
+    Object.assign(syslog, {
+      format: 'rfc5424',
+      version: parseInt(version),
+      hostname: nilToNull(hostname),
+      appName: nilToNull(appName),
+      procId: nilToNull(procId),
+      msgId: nilToNull(msgId),
+      structuredData: data
+    });
+    message = rest.replace(/^ /, '').replace(/^﻿/, '');
+  } else {
+    const rfc3164 = body.match(/^([A-Z][a-z]{2}) {1,2}(\d{1,2}) (\d{2}):(\d{2}):(\d{2}) (\S+) ?(.*)$/s);
+    let content = body;
+
+    syslog.format = 'rfc3164';
+    if (rfc3164 && MONTHS.includes(rfc3164[1])) {
+      const [, month, day, hour, minute, second, hostname, rest] = rfc3164;
+      occurredAt = parseBsdTimestamp(month, day, hour, minute, second);
+      syslog.hostname = hostname;
+      content = rest;
+    }
+
+    // TAG[pid]: MSG
+    const tag = content.match(/^([^\s:[\]]{1,48})(?:\[([^\]]*)\])?: ?(.*)$/s);
+    if (tag) {
+      syslog.appName = tag[1];
+      syslog.procId = tag[2] ?? null;
+      content = tag[3];
+    }
+    message = content;
+  }
+
+  return {
+    type: process.env.SYSLOG_LOG_TYPE || syslog.appName || 'syslog',
+    level: SEVERITY_LEVELS[severity],
+    message: message.trim() !== '' ? message : '(no message)',
+    ...(occurredAt !== undefined && { occurredAt }),
+    metadata: { syslog }
+  };
+};
+
+// UDP/TCP syslog 수신기 - 파싱한 로그를 공통 수집 경로(ingestLog)로 전달
+export class SyslogListener {
+  constructor() {
+    this.enabled = process.env.SYSLOG_ENABLED === 'true';
+    this.host = process.env.SYSLOG_HOST || '0.0.0.0';
+    this.udpPort = parseInt(process.env.SYSLOG_UDP_PORT) || 5514;
+    this.tcpPort = parseInt(process.env.SYSLOG_TCP_PORT) || 5514;
+    this.udpEnabled = process.env.SYSLOG_UDP_ENABLED !== 'false';
+    this.tcpEnabled = process.env.SYSLOG_TCP_ENABLED !== 'false';
+
+    this.udpSocket = null;
+    this.tcpServer = null;
+    this.tcpConnections = new Set();
+
+    this.stats = {
+      received: 0,
+      accepted: 0,
+      parseFailures: 0,
+      rejected: 0,
+      dropped: 0,
+      sampled: 0,
+      byTransport: { udp: 0, tcp: 0 },
+      lastParseError: null,
+      lastParseErrorAt: null
+    };
+  }
+
+  async handleMessage(raw, transport, remoteAddress) {
+    this.stats.received++;
+    this.stats.byTransport[transport]++;
+
+    let logData;
+    try {
+      logData = parseSyslogMessage(raw);
+    } catch (error) {
+      this.stats.parseFailures++;
+      this.stats.lastParseError = error.message;
+      this.stats.lastParseErrorAt = new Date().toISOString();
+      return;
+    }
+
+    logData.metadata.syslog.transport = transport;
+    logData.metadata.syslog.remoteAddress = remoteAddress;
+
+    try {
+      const result = await ingestLog(logData, { context: { source: `syslog-${transport}`, ip: remoteAddress } });
+      if (result.status === 'accepted' || result.status === 'duplicate') {
+        this.stats.accepted++;
+      } else if (result.status === 'rejected') {
+        this.stats.rejected++;
+      } else if (result.status === 'sampled') {
+        this.stats.sampled++;
+      } else {
+        this.stats.dropped++;
+      }
+    } catch (error) {
+      this.stats.dropped++;
+      console.error('❌ syslog 메시지 저장 실패:', error.message);
+    }
+  }
+
+  startUdp() {
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket(this.host.includes(':') ? 'udp6' : 'udp4');
+
+      socket.on('message', (msg, rinfo) => {
+        // UDP는 데이터그램 하나가 메시지 하나
+        this.handleMessage(msg.toString('utf8'), 'udp', rinfo.address);
+      });
+      socket.on('error', (error) => {
+        console.error('❌ syslog UDP 소켓 에러:', error.message);
+      });
+
+      socket.once('error', reject);
+      socket.bind(this.udpPort, this.host, () => {
+        socket.off('error', reject);
+        this.udpSocket = socket;
+        console.log(`📡 syslog UDP 수신 시작 (${this.host}:${this.udpPort})`);
+        resolve();
+      });
+    });
+  }
+
+  // TCP 프레이밍 (RFC 6587): "길이 SP 메시지" octet-counting 또는 줄바꿈 구분
+  handleTcpConnection(socket) {
+    this.tcpConnections.add(socket);
+    let pending = Buffer.alloc(0);
+    const remoteAddress = socket.remoteAddress;
+
+    socket.on('data', (chunk) => {
+      pending = Buffer.concat([pending, chunk]);
+
+      while (pending.length > 0) {
+        const head = pending.subarray(0, 12).toString('latin1');
+        const octetMatch = head.match(/^(\d{1,6}) /);
+
+        if (octetMatch) {
+          const length = parseInt(octetMatch[1]);
+          const start = octetMatch[0].length;
+          if (length > MAX_MESSAGE_BYTES) {
+            this.stats.parseFailures++;
+            this.stats.lastParseError = `메시지 길이 초과 (${length} bytes)`;
+            socket.destroy();
+            return;
+          }
+          if (pending.length < start + length) break;
+
+          this.handleMessage(pending.subarray(start, start + length).toString('utf8'), 'tcp', remoteAddress);
+          pending = pending.subarray(start + length);
+        } else {
+          const newline = pending.indexOf(0x0a);
+          if (newline === -1) {
+            if (pending.length > MAX_MESSAGE_BYTES) {
+              this.stats.parseFailures++;
+              this.stats.lastParseError = `줄바꿈 없이 ${MAX_MESSAGE_BYTES} bytes 초과`;
+              socket.destroy();
+            }
+            break;
+          }
+
+          const line = pending.subarray(0, newline).toString('utf8');
+          pending = pending.subarray(newline + 1);
+          if (line.trim() !== '') {
+            this.handleMessage(line, 'tcp', remoteAddress);
+          }
+        }
+      }
+    });
+
+    socket.on('end', () => {
+      // 줄바꿈 없이 끝난 마지막 메시지 처리
+      if (pending.length > 0 && pending.toString('utf8').trim() !== '') {
+        this.handleMessage(pending.toString('utf8'), 'tcp', remoteAddress);
+      }
+      pending = Buffer.alloc(0);
+    });
+    socket.on('error', (error) => {
+      console.warn(`⚠️ syslog TCP 연결 에러 (${remoteAddress}):`, error.message);
+    });
+    socket.on('close', () => {
+      this.tcpConnections.delete(socket);
+    });
+  }
+
+  startTcp() {
+    return new Promise((resolve, reject) => {
+      const server = net.createServer(socket => this.handleTcpConnection(socket));
+
+      server.once('error', reject);
+      server.listen(this.tcpPort, this.host, () => {
+        server.off('error', reject);
+        server.on('error', (error) => {
+          console.error('❌ syslog TCP 서버 에러:', error.message);
+        });
+        this.tcpServer = server;
+        console.log(`📡 syslog TCP 수신 시작 (${this.host}:${this.tcpPort})`);
+        resolve();
+      });
+    });
+  }
+
+  async start() {
+    if (!this.enabled) {
+      console.log('ℹ️  syslog 수신기 비활성화 (SYSLOG_ENABLED=true로 활성화)');
+      return;
+    }
+
+    // 수신기 실패는 HTTP 서버 동작에 영향을 주지 않도록 로그만 남김
+    if (this.udpEnabled) {
+      await this.startUdp().catch(error => console.error('❌ syslog UDP 수신 시작 실패:', error.message));
+    }
+    if (this.tcpEnabled) {
+      await this.startTcp().catch(error => console.error('❌ syslog TCP 수신 시작 실패:', error.message));
+    }
+  }
+
+  async stop() {
+    if (this.udpSocket) {
+      await new Promise(resolve => this.udpSocket.close(resolve));
+      this.udpSocket = null;
+    }
+
+    if (this.tcpServer) {
+      const closed = new Promise(resolve => this.tcpServer.close(resolve));
+      this.tcpConnections.forEach(socket => socket.end());
+      await closed;
+      this.tcpServer = null;
+    }
+
+    if (this.enabled) {
+      console.log('📡 syslog 수신기 종료');
+    }
+  }
+
+  getStats() {
+    return {
+      enabled: this.enabled,
+      udp: this.udpSocket ? `${this.host}:${this.udpPort}` : null,
+      tcp: this.tcpServer ? `${this.host}:${this.tcpPort}` : null,
+      tcpConnections: this.tcpConnections.size,
+      ...this.stats,
+      byTransport: { ...this.stats.byTransport }
+    };
+  }
+}
+
+export const syslogListener = new SyslogListener();
@@ -0,0 +1,77 @@
+// User-Agent 문자열 → { os, osVersion, device, browser, browserVersion }
+// 브라우저, 인앱 브라우저(카카오톡/네이버), 게임 클라이언트(Unity, okhttp, CFNetwork) 위주의 가벼운 파서
+// 알아볼 수 없는 값은 null로 둔다
+
+// 위에서부터 먼저 맞는 규칙 사용 (Chrome 계열은 UA에 Chrome/Safari를 함께 넣으므로 구체적인 것부터)
+const BROWSER_RULES = [
+  { name: 'KakaoTalk', pattern: /KAKAOTALK\/?\s*([\d.]+)?/i },
+  { name: 'Naver', pattern: /NAVER\(inapp;[^)]*?([\d.]+)\)/i },
+  { name: 'Whale', pattern: /Whale\/([\d.]+)/ },
+  { name: 'Samsung Internet', pattern: /SamsungBrowser\/([\d.]+)/ },
+  { name: 'Edge', pattern: /Edg(?:e|A|iOS)?\/([\d.]+)/ },
+  { name: 'Opera', pattern: /(?:OPR|OPiOS)\/([\d.]+)/ },
+  { name: 'Firefox', pattern: /(?:Firefox|FxiOS)\/([\d.]+)/ },
+  { name: 'Chrome', pattern: /(?:Chrome|CriOS)\/([\d.]+)/ },
+  { name: 'Safari', pattern: /Version\/([\d.]+).*Safari\// },
+  { name: 'UnityPlayer', pattern: /UnityPlayer\/([\w.]+)/ },
+  { name: 'okhttp', pattern: /okhttp\/([\d.]+)/i },
+  { name: 'CFNetwork', pattern: /CFNetwork\/([\d.]+)/ },
+  { name: 'curl', pattern: /^curl\/([\d.]+)/ }
+];
+
+const WINDOWS_VERSIONS = {
+  '10.0': '10',
+  '6.3': '8.1',
+  '6.2': '8',
+  '6.1': '7'
+};
+
+const BOT_PATTERN = /bot|crawler|spider|slurp|headless|lighthouse/i;
+const TABLET_PATTERN = /iPad|Tablet|SM-T\d|Tab\b|Android(?!.*Mobile)/i;
+const MOBILE_PATTERN = /Mobile|iPhone|iPod|Android|Windows Phone/i;
+
+const toVersion = (value) => (value ? value.replace(/_/g, '.') : null);
+
+const parseOs = (ua) => {
+  let match;
+
+  if ((match = ua.match(/Windows NT ([\d.]+)/))) {
+    return { os: 'Windows', osVersion: WINDOWS_VERSIONS[match[1]] || match[1] };
+  }
+  if ((match = ua.match(/Android[\s/]?([\d.]+)?/))) return { os: 'Android', osVersion: match[1] || null };
+  if ((match = ua.match(/(?:iPhone|iPad|iPod)(?:.*?OS ([\d_]+))?/))) {
+    return { os: /iPad/.test(ua) ? 'iPadOS' : 'iOS', osVersion: toVersion(match[1]) };
+  }
+  if ((match = ua.match(/Mac OS X ([\d_.]+)?/))) return { os: 'macOS', osVersion: toVersion(match[1]) };
+  if (/CrOS/.test(ua)) return { os: 'Chrome OS', osVersion: null };
+  // iOS 네이티브 앱(NSURLSession)은 Darwin 버전만 보낸다
+  if ((match = ua.match(/Darwin\/([\d.]+)/))) return { os: /CFNetwork/.test(ua) ? 'iOS' : 'Darwin', osVersion: null };
+  if (/Linux/.test(ua)) return { os: 'Linux', osVersion: null };
+
+  return { os: null, osVersion: null };
+};
+
+const parseDevice = (ua, os) => {
+  if (BOT_PATTERN.test(ua)) return 'bot';
+  if (/iPad/.test(ua) || (os === 'Android' && TABLET_PATTERN.test(ua))) return 'tablet';
+  if (MOBILE_PATTERN.test(ua) || os === 'iOS') return 'mobile';
+  if (os === 'Windows' || os === 'macOS' || os === 'Linux' || os === 'Chrome OS') return 'desktop';
+  return null;
+};
+
+export const parseUserAgent = (userAgent) => {
+  if (typeof userAgent !== 'string' || userAgent.trim() === '') return null;
+
+  const ua = userAgent.trim();
+  const { os, osVersion } = parseOs(ua);
+  const browserRule = BROWSER_RULES.find(rule => rule.pattern.test(ua));
+  const browserMatch = browserRule ? ua.match(browserRule.pattern) : null;
+
+  return {
+    os,
+    osVersion,
+    device: parseDevice(ua, os),
+    browser: browserRule?.name ?? null,
+    browserVersion: browserMatch?.[1] ?? null
+  };
+};